@@ -1,21 +1,29 @@
 import express from 'express';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
-import ZeroConnector from '../../src/index.js';
+import ZeroConnector, { getErrorStatus, errorResult } from '../../src/index.js';
 import { createZeroX402Client, checkUsdcBalance } from '../../src/client/x402.js'; // Import new client
-import { Connection, PublicKey } from '@solana/web3.js';
+import { Connection } from '@solana/web3.js';
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
 
 // Initialize Zero Connector with JSON storage
 const connector = new ZeroConnector({
   storagePath: './data/wallets.json',
-  network: 'mainnet-beta' // Change to 'devnet' for testing
+  network: 'mainnet-beta', // Change to 'devnet' for testing
+  // Return SPL token balances with every balance call; USDC is always listed, even at 0
+  tokenOptions: {
+    includeTokens: true,
+    watchlist: [{ mint: USDC_MINT, symbol: 'USDC', name: 'USD Coin', decimals: 6 }]
+  },
+  // Sign-In With Solana for browser wallets (domain of the frontend that shows the message)
+  siws: { domain: process.env.SIWS_DOMAIN || 'localhost:5173' }
 });
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 // Initialize Solana Connection for the proxy
 const connection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
-const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
 
 // Middleware
 app.use(cors({
@@ -26,19 +34,33 @@ app.use(express.json());
 app.use(cookieParser());
 
 // Auth middleware
-const requireAuth = (req, res, next) => {
-  const sessionToken = req.cookies.session;
-  const session = connector.verifySession(sessionToken);
-  
-  if (!session) {
-    return res.status(401).json({ error: 'Unauthorized' });
+const requireAuth = async (req, res, next) => {
+  try {
+    const sessionToken = req.cookies.session;
+    const session = await connector.verifySession(sessionToken);
+    
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Unauthorized', code: 'SESSION_EXPIRED' });
+    }
+    
+    req.session = session;
+    req.user = { publicKey: session.publicKey };
+    next();
+  } catch (error) {
+    sendError(res, error);
   }
-  
-  req.session = session;
-  req.user = { publicKey: session.publicKey };
-  next();
 };
 
+// Library errors carry a code, suggested status and public message; anything else
+// becomes a 500 that does not reveal its details
+const sendError = (res, error) => {
+  console.error('[Server] Request failed:', error);
+  res.status(getErrorStatus(error)).json(errorResult(error, 'Server error'));
+};
+
+// Client details for the audit log, taken from the request and never from the body
+const requestContext = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
 // Routes
 
 /**
@@ -47,10 +69,107 @@ const requireAuth = (req, res, next) => {
  */
 app.post('/api/wallet/create', async (req, res) => {
   try {
-    const result = await connector.createWallet(req.body);
-    res.status(result.success ? 201 : 400).json(result);
+    const result = await connector.createWallet({ ...req.body, ...requestContext(req) });
+    res.status(result.success ? 201 : getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/import
+ * Import an existing key (base58, id.json array, mnemonic or keystore)
+ */
+app.post('/api/wallet/import', async (req, res) => {
+  try {
+    const result = await connector.importWallet({ ...req.body, ...requestContext(req) });
+    res.status(result.success ? 201 : getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/export
+ * Export the wallet as keystore JSON or raw key (requires auth and password)
+ */
+app.post('/api/wallet/export', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.exportWallet({
+      ...req.body,
+      ...requestContext(req),
+      publicKey: req.user.publicKey
+    });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/2fa/enroll
+ * Start TOTP enrollment (requires auth and password); returns the secret and otpauth URI
+ */
+app.post('/api/wallet/2fa/enroll', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.enrollTotp({
+      publicKey: req.user.publicKey,
+      password: req.body.password
+    });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/2fa/confirm
+ * Enable 2FA with a code from the authenticator app; returns backup codes once
+ */
+app.post('/api/wallet/2fa/confirm', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.confirmTotp({
+      publicKey: req.user.publicKey,
+      password: req.body.password,
+      otp: req.body.otp
+    });
+    res.status(getErrorStatus(result)).json(result);
   } catch (error) {
-    res.status(500).json({ error: 'Server error', details: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/2fa/disable
+ * Turn 2FA off (requires auth, password and a code)
+ */
+app.post('/api/wallet/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.disableTotp({
+      publicKey: req.user.publicKey,
+      password: req.body.password,
+      otp: req.body.otp
+    });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/2fa/backup-codes
+ * Replace the backup codes (requires auth, password and a code)
+ */
+app.post('/api/wallet/2fa/backup-codes', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.regenerateBackupCodes({
+      publicKey: req.user.publicKey,
+      password: req.body.password,
+      otp: req.body.otp
+    });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -60,7 +179,16 @@ app.post('/api/wallet/create', async (req, res) => {
  */
 app.post('/api/wallet/authenticate', async (req, res) => {
   try {
-    const result = await connector.authenticate(req.body);
+    // Device details come from the request, never from the body
+    const result = await connector.authenticate({
+      ...req.body,
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    
+    if (result.code === 'LOCKED_OUT') {
+      res.set('Retry-After', String(result.retryAfter));
+    }
     
     if (result.success && result.sessionToken) {
       // Set session cookie
@@ -75,9 +203,140 @@ app.post('/api/wallet/authenticate', async (req, res) => {
       delete result.sessionToken;
     }
     
+    if (result.success && result.refreshToken) {
+      setRefreshCookie(res, result.refreshToken);
+      delete result.refreshToken;
+    }
+    
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Refresh tokens (only issued with sessionOptions.refreshTokenDuration) are only sent to the refresh route
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refresh', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/wallet/refresh',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+};
+
+/**
+ * POST /api/wallet/refresh
+ * Swap the refresh cookie for a new session cookie and refresh cookie
+ */
+app.post('/api/wallet/refresh', async (req, res) => {
+  try {
+    const result = await connector.refreshSession({
+      refreshToken: req.cookies.refresh,
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    
+    if (!result.success) {
+      res.clearCookie('refresh', { path: '/api/wallet/refresh' });
+      return res.status(getErrorStatus(result)).json(result);
+    }
+    
+    res.cookie('session', result.sessionToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      maxAge: 24 * 60 * 60 * 1000
+    });
+    setRefreshCookie(res, result.refreshToken);
+    
+    delete result.sessionToken;
+    delete result.refreshToken;
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: 'Server error', details: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/siws/challenge
+ * Get a Sign-In With Solana message for a browser wallet to sign
+ */
+app.post('/api/wallet/siws/challenge', async (req, res) => {
+  try {
+    const result = await connector.createSiwsChallenge(req.body);
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/siws/authenticate
+ * Sign in with a signed challenge; the session cannot sign server-side
+ */
+app.post('/api/wallet/siws/authenticate', async (req, res) => {
+  try {
+    const result = await connector.authenticateSiws({
+      message: req.body.message,
+      signature: req.body.signature,
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    
+    if (!result.success) {
+      return res.status(getErrorStatus(result)).json(result);
+    }
+    
+    res.cookie('session', result.sessionToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      maxAge: 24 * 60 * 60 * 1000
+    });
+    delete result.sessionToken;
+    
+    if (result.refreshToken) {
+      setRefreshCookie(res, result.refreshToken);
+      delete result.refreshToken;
+    }
+    
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/recover
+ * Reset password with the wallet's recovery phrase
+ */
+app.post('/api/wallet/recover', async (req, res) => {
+  try {
+    const result = await connector.recoverWallet({ ...req.body, ...requestContext(req) });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/change-password
+ * Change password (requires auth); other sessions are logged out
+ */
+app.post('/api/wallet/change-password', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.changePassword({
+      publicKey: req.user.publicKey,
+      oldPassword: req.body.oldPassword,
+      newPassword: req.body.newPassword,
+      otp: req.body.otp,
+      sessionToken: req.cookies.session,
+      ...requestContext(req)
+    });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -88,9 +347,9 @@ app.post('/api/wallet/authenticate', async (req, res) => {
 app.get('/api/wallet/balance', requireAuth, async (req, res) => {
   try {
     const result = await connector.getBalance(req.user.publicKey);
-    res.json(result);
+    res.status(getErrorStatus(result)).json(result);
   } catch (error) {
-    res.status(500).json({ error: 'Server error', details: error.message });
+    sendError(res, error);
   }
 });
 
@@ -100,39 +359,11 @@ app.get('/api/wallet/balance', requireAuth, async (req, res) => {
  */
 app.post('/api/wallet/balance/refresh', requireAuth, async (req, res) => {
   try {
-    // 1. Refresh SOL balance (existing)
+    // SOL and token balances (result.balance.tokens), stored with the wallet
     const result = await connector.refreshBalance(req.user.publicKey);
-    
-    // 2. Refresh USDC balance (NEW)
-    // Note: checkUsdcBalance returns boolean, we need amount. 
-    // Let's use getAccount from spl-token directly or modify checkUsdcBalance if needed.
-    // Since we are in server.js, let's just do a quick raw fetch for display.
-    
-    // Actually, we can reuse the client helper logic but we want the NUMBER.
-    // Let's do it manually here for the example to keep it simple without modifying core libs too much.
-    
-    let usdcBalance = 0;
-    try {
-        const { getAssociatedTokenAddress, getAccount } = await import('@solana/spl-token');
-        const ata = await getAssociatedTokenAddress(USDC_MINT, new PublicKey(req.user.publicKey));
-        const account = await getAccount(connection, ata);
-        usdcBalance = Number(account.amount) / 1000000; // 6 decimals
-    } catch (e) {
-        // Account likely doesn't exist or 0 balance
-        usdcBalance = 0;
-    }
-
-    // Add USDC to the response result
-    if (result.success) {
-        result.balance.usdcBalance = usdcBalance;
-        
-        // Ideally save this to storage too if you want persistence
-        // connector.updateBalance(req.user.publicKey, undefined, { usdcBalance });
-    }
-
-    res.json(result);
+    res.status(getErrorStatus(result)).json(result);
   } catch (error) {
-    res.status(500).json({ error: 'Server error', details: error.message });
+    sendError(res, error);
   }
 });
 
@@ -156,7 +387,25 @@ app.get('/api/wallet/transactions', requireAuth, async (req, res) => {
       transactions
     });
   } catch (error) {
-    res.status(500).json({ error: 'Server error', details: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/transfer
+ * Send SOL from the logged-in wallet (requires auth and an unlocked session)
+ */
+app.post('/api/wallet/transfer', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.sendSol({
+      sessionToken: req.cookies.session,
+      to: req.body.to,
+      amount: req.body.amount,
+      ...requestContext(req)
+    });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -164,18 +413,111 @@ app.get('/api/wallet/transactions', requireAuth, async (req, res) => {
  * POST /api/wallet/logout
  * Logout (clear session)
  */
-app.post('/api/wallet/logout', (req, res) => {
+app.post('/api/wallet/logout', async (req, res) => {
   try {
     const sessionToken = req.cookies.session;
     
     if (sessionToken) {
-      connector.deleteSession(sessionToken);
+      await connector.deleteSession(sessionToken);
     }
     
     res.clearCookie('session');
+    res.clearCookie('refresh', { path: '/api/wallet/refresh' });
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
-    res.status(500).json({ error: 'Server error', details: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/wallet/sessions
+ * List the devices logged in to this wallet
+ */
+app.get('/api/wallet/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await connector.listSessions(req.user.publicKey, req.cookies.session);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/wallet/activity
+ * Security events of this wallet from the audit log, newest first
+ */
+app.get('/api/wallet/activity', requireAuth, async (req, res) => {
+  try {
+    const events = await connector.queryAuditLog({
+      publicKey: req.user.publicKey,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    res.json({
+      success: true,
+      events: events.map(({ type, outcome, ip, userAgent, sessionId, details, timestamp }) => (
+        { type, outcome, ip, userAgent, sessionId, details, timestamp }
+      ))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/wallet/sessions/:sessionId
+ * Log out one device
+ */
+app.delete('/api/wallet/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const revoked = await connector.revokeSession(req.user.publicKey, req.params.sessionId);
+    res.status(revoked ? 200 : 404).json({ success: revoked });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/sessions/revoke-others
+ * Log out every other device
+ */
+app.post('/api/wallet/sessions/revoke-others', requireAuth, async (req, res) => {
+  try {
+    const revokedSessions = await connector.revokeOtherSessions(req.cookies.session);
+    res.json({ success: true, revokedSessions });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/unlock
+ * Re-enter the password (and a two-factor code with 2FA) to let this session sign again
+ */
+app.post('/api/wallet/unlock', requireAuth, async (req, res) => {
+  try {
+    const result = await connector.unlockSession({
+      sessionToken: req.cookies.session,
+      password: req.body.password,
+      otp: req.body.otp,
+      ...requestContext(req)
+    });
+    res.status(getErrorStatus(result)).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/wallet/lock
+ * Drop this session's signing key (the session stays logged in)
+ */
+app.post('/api/wallet/lock', requireAuth, async (req, res) => {
+  try {
+    await connector.lockSession(req.cookies.session);
+    res.json({ success: true, message: 'Session locked' });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -183,10 +525,10 @@ app.post('/api/wallet/logout', (req, res) => {
  * GET /api/wallet/verify
  * Verify if user is authenticated
  */
-app.get('/api/wallet/verify', (req, res) => {
+app.get('/api/wallet/verify', async (req, res) => {
   try {
     const sessionToken = req.cookies.session;
-    const session = connector.verifySession(sessionToken);
+    const session = await connector.verifySession(sessionToken);
     
     if (!session) {
       return res.json({ success: false, authenticated: false });
@@ -198,7 +540,7 @@ app.get('/api/wallet/verify', (req, res) => {
       publicKey: session.publicKey
     });
   } catch (error) {
-    res.status(500).json({ error: 'Server error', details: error.message });
+    sendError(res, error);
   }
 });
 
@@ -208,18 +550,6 @@ app.get('/api/wallet/verify', (req, res) => {
  */
 app.post('/api/ai/request', requireAuth, async (req, res) => {
     try {
-        // 1. Get Signer from Session (using new helper)
-        const sessionToken = req.cookies.session;
-        const signer = connector.getSignerFromSession(sessionToken);
-
-        // 2. Create Client
-        const client = createZeroX402Client({
-            connection,
-            signer,
-            network: 'solana'
-        });
-
-        // 3. Make Request
         const API_URL = req.body.targetUrl || 'https://api.zeroconnector.fun/api/zeroc-x402-demo';
         const prompt = req.body.prompt || 'Hello';
         const payloadKey = req.body.payloadKey || 'prompt'; // Default to 'prompt'
@@ -228,10 +558,22 @@ app.post('/api/ai/request', requireAuth, async (req, res) => {
         const body = {};
         body[payloadKey] = prompt;
 
-        const response = await client.fetch(API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
+        // 1. Get Signer from Session (the key is wiped once the payment request is done)
+        const sessionToken = req.cookies.session;
+        const response = await connector.withSessionSigner(sessionToken, async (signer) => {
+            // 2. Create Client
+            const client = createZeroX402Client({
+                connection,
+                signer,
+                network: 'solana'
+            });
+
+            // 3. Make Request
+            return client.fetch(API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
         });
 
         if (!response.ok) {
@@ -247,8 +589,8 @@ app.post('/api/ai/request', requireAuth, async (req, res) => {
         res.json({ success: true, data });
 
     } catch (error) {
-        console.error('AI Proxy Error:', error);
-        res.status(500).json({ success: false, error: error.message });
+        // SESSION_LOCKED and NON_CUSTODIAL answer 403, so the frontend can ask for the password or the wallet
+        sendError(res, error);
     }
 });
 
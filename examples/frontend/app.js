@@ -74,6 +74,11 @@ function formatBalance(balance) {
   return parseFloat(balance).toFixed(4);
 }
 
+// USDC is on the server's token watch-list, so it is listed even without a token account
+function usdcAmount(balance) {
+  return balance?.tokens?.find(token => token.symbol === 'USDC')?.uiAmount || 0;
+}
+
 function shortenPublicKey(key) {
   if (!key || key.length < 10) return key;
   return `${key.slice(0, 6)}...${key.slice(-4)}`;
@@ -169,7 +174,7 @@ async function loadBalance() {
   
   if (result.success && result.data.success) {
     const balance = result.data.balance?.solBalance || 0;
-    const usdc = result.data.balance?.usdcBalance || 0; // New
+    const usdc = usdcAmount(result.data.balance);
     balanceAmount.textContent = formatBalance(balance);
     usdcBalanceAmount.textContent = formatBalance(usdc); // New
     showResult('Balance Loaded', result.data);
@@ -186,7 +191,7 @@ async function refreshBalance() {
   
   if (result.success && result.data.success) {
     const balance = result.data.balance?.solBalance || 0;
-    const usdc = result.data.balance?.usdcBalance || 0; // New
+    const usdc = usdcAmount(result.data.balance);
     balanceAmount.textContent = formatBalance(balance);
     usdcBalanceAmount.textContent = formatBalance(usdc); // New
     showResult('Balance Refreshed', result.data);
@@ -2,27 +2,189 @@
  * Zero Connector TypeScript Type Definitions
  */
 
+export interface PasswordPolicyReason {
+  code: string;
+  message: string;
+  [key: string]: any;
+}
+
+/** Stable error code of a failed response (see ERROR_CODES in src/core/errors.js) */
+export type ErrorCode =
+  | 'INVALID_INPUT'
+  | 'INVALID_PUBLIC_KEY'
+  | 'WEAK_PASSWORD'
+  | 'SAME_PASSWORD'
+  | 'INVALID_ALIAS'
+  | 'INVALID_MNEMONIC'
+  | 'MNEMONIC_MISMATCH'
+  | 'INVALID_KEY'
+  | 'NOT_SEED_WALLET'
+  | 'INVALID_SIWS_MESSAGE'
+  | 'INVALID_AMOUNT'
+  | 'INSUFFICIENT_FUNDS'
+  | 'TRANSACTION_FAILED'
+  | 'INVALID_PASSWORD'
+  | 'INVALID_CREDENTIALS'
+  | 'OTP_REQUIRED'
+  | 'INVALID_OTP'
+  | 'SESSION_EXPIRED'
+  | 'INVALID_REFRESH_TOKEN'
+  | 'REFRESH_TOKEN_REUSED'
+  | 'INVALID_SIGNATURE'
+  | 'CHALLENGE_EXPIRED'
+  | 'SESSION_LOCKED'
+  | 'NON_CUSTODIAL'
+  | 'SESSION_NOT_UNLOCKABLE'
+  | 'WALLET_NOT_FOUND'
+  | 'ACCOUNT_NOT_FOUND'
+  | 'WALLET_EXISTS'
+  | 'ACCOUNT_EXISTS'
+  | 'ALIAS_TAKEN'
+  | 'CONCURRENT_UPDATE'
+  | 'TWO_FACTOR_ENABLED'
+  | 'TWO_FACTOR_NOT_ENABLED'
+  | 'NO_ENROLLMENT_PENDING'
+  | 'AUDIT_SEQUENCE_CONFLICT'
+  | 'LOCKED_OUT'
+  | 'INTERNAL_ERROR'
+  | 'DECRYPTION_FAILED'
+  | 'NOT_CONFIGURED'
+  | 'RPC_UNAVAILABLE'
+  | 'TRANSACTION_EXPIRED'
+  | 'CONFIRMATION_TIMEOUT';
+
+export interface WalletAliases {
+  username?: string;
+  email?: string;
+}
+
 export interface WalletCreateResponse {
   success: boolean;
   publicKey?: string;
+  username?: string | null;
+  email?: string | null;
+  mnemonic?: string;
   message?: string;
   error?: string;
+  code?: ErrorCode;
+  reasons?: PasswordPolicyReason[];
+  field?: 'username' | 'email';
   details?: string;
 }
 
+export interface ImportWalletRequest extends WalletAliases {
+  password: string;
+  secretKey?: string | number[];
+  mnemonic?: string;
+  keystore?: Keystore | string;
+  keystorePassword?: string;
+}
+
+export interface Keystore {
+  type: 'zero-connector-keystore';
+  version: number;
+  publicKey: string;
+  kind: 'privateKey' | 'seed';
+  crypto: string;
+  createdAt: string;
+}
+
+export interface ExportWalletRequest {
+  password: string;
+  format?: 'keystore' | 'raw';
+  exportPassword?: string;
+  accountIndex?: number;
+  otp?: string;
+}
+
+export interface ExportWalletResponse {
+  success: boolean;
+  publicKey?: string;
+  format?: 'keystore' | 'raw';
+  keystore?: Keystore;
+  privateKey?: string;
+  secretKey?: number[];
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+  reasons?: PasswordPolicyReason[];
+}
+
+export type TwoFactorErrorCode = 'OTP_REQUIRED' | 'INVALID_OTP';
+
+export interface TotpEnrollResponse {
+  success: boolean;
+  publicKey?: string;
+  secret?: string;
+  otpauthUri?: string;
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+}
+
+export interface TotpResponse {
+  success: boolean;
+  publicKey?: string;
+  backupCodes?: string[];
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+}
+
 export interface AuthenticateResponse {
   success: boolean;
   sessionToken?: string;
+  refreshToken?: string | null;
+  sessionId?: string;
   publicKey?: string;
   balance?: Balance;
   message?: string;
   error?: string;
-  details?: string;
+  code?: ErrorCode;
+  retryAfter?: number;
+}
+
+export interface ChangePasswordResponse {
+  success: boolean;
+  publicKey?: string;
+  revokedSessions?: number;
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+  reasons?: PasswordPolicyReason[];
+}
+
+export interface RecoverWalletResponse {
+  success: boolean;
+  publicKey?: string;
+  revokedSessions?: number;
+  message?: string;
+  error?: string;
+  reasons?: PasswordPolicyReason[];
+  code?: ErrorCode;
+}
+
+export interface TokenBalance {
+  mint: string;
+  /** Token account address; null for a watch-listed mint the wallet holds none of */
+  account: string | null;
+  /** Raw amount in base units */
+  amount: string;
+  decimals: number | null;
+  uiAmount: number;
+  uiAmountString: string;
+  program: 'spl-token' | 'spl-token-2022' | null;
+  /** Display metadata from the server's token watch-list */
+  symbol?: string;
+  name?: string;
+  logoUri?: string;
+  [key: string]: any;
 }
 
 export interface Balance {
   solBalance: number;
   customData?: Record<string, any>;
+  tokens?: TokenBalance[];
   lastUpdated?: string;
 }
 
@@ -32,7 +194,7 @@ export interface BalanceResponse {
   balance?: Balance;
   message?: string;
   error?: string;
-  details?: string;
+  code?: ErrorCode;
 }
 
 export interface VerifySessionResponse {
@@ -42,6 +204,89 @@ export interface VerifySessionResponse {
   error?: string;
 }
 
+export interface SessionInfo {
+  sessionId: string;
+  userAgent: string | null;
+  ip: string | null;
+  createdAt: number;
+  lastSeenAt: number;
+  expiresAt: number;
+  canSign: boolean;
+  unlockedUntil: number | null;
+  nonCustodial: boolean;
+  current: boolean;
+}
+
+export interface ListSessionsResponse {
+  success: boolean;
+  sessions?: SessionInfo[];
+  error?: string;
+  code?: ErrorCode;
+}
+
+export interface ActivityEvent {
+  type: string;
+  outcome: 'success' | 'failure';
+  ip: string | null;
+  userAgent: string | null;
+  sessionId: string | null;
+  details: { [key: string]: any } | null;
+  timestamp: number;
+}
+
+export interface ActivityResponse {
+  success: boolean;
+  events?: ActivityEvent[];
+  error?: string;
+  code?: ErrorCode;
+}
+
+export interface RevokeSessionsResponse {
+  success: boolean;
+  revokedSessions?: number;
+  error?: string;
+  code?: ErrorCode;
+}
+
+export interface UnlockSessionResponse {
+  success: boolean;
+  publicKey?: string;
+  unlockedUntil?: number | null;
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+}
+
+export interface LockSessionResponse {
+  success: boolean;
+  message?: string;
+  error?: string;
+}
+
+export interface RefreshSessionResponse {
+  success: boolean;
+  sessionId?: string;
+  publicKey?: string;
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+}
+
+export interface SiwsWallet {
+  publicKey: { toString(): string };
+  signMessage(message: Uint8Array): Promise<Uint8Array>;
+}
+
+export interface SiwsAuthenticateResponse {
+  success: boolean;
+  sessionId?: string;
+  publicKey?: string;
+  balance?: Balance;
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+}
+
 export interface LogoutResponse {
   success: boolean;
   message?: string;
@@ -56,11 +301,61 @@ export interface Transaction {
   [key: string]: any;
 }
 
-export function createWallet(apiUrl: string, password: string): Promise<WalletCreateResponse>;
-export function authenticate(apiUrl: string, publicKey: string, password: string): Promise<AuthenticateResponse>;
+export type TransferStatus = 'pending' | 'submitted' | 'confirmed' | 'failed' | 'expired';
+
+export interface TransferRecord extends Transaction {
+  type: 'transfer';
+  direction: 'out';
+  signature: string;
+  from: string;
+  to: string;
+  amount: number;
+  lamports: string;
+  fee: number;
+  network: string;
+  commitment: 'processed' | 'confirmed' | 'finalized';
+  status: TransferStatus;
+  confirmationStatus?: 'processed' | 'confirmed' | 'finalized';
+  slot?: number;
+  error?: string;
+  code?: ErrorCode;
+  updatedAt?: string;
+}
+
+export interface SendSolResponse {
+  success: boolean;
+  publicKey?: string;
+  signature?: string;
+  transaction?: TransferRecord;
+  balance?: number;
+  logs?: string[];
+  message?: string;
+  error?: string;
+  code?: ErrorCode;
+}
+
+export function createWallet(apiUrl: string, password: string, withMnemonic?: boolean, aliases?: WalletAliases): Promise<WalletCreateResponse>;
+export function importWallet(apiUrl: string, data: ImportWalletRequest): Promise<WalletCreateResponse>;
+export function exportWallet(apiUrl: string, data: ExportWalletRequest): Promise<ExportWalletResponse>;
+export function authenticate(apiUrl: string, identifier: string, password: string, otp?: string | null): Promise<AuthenticateResponse>;
+export function changePassword(apiUrl: string, oldPassword: string, newPassword: string, otp?: string | null): Promise<ChangePasswordResponse>;
+export function enrollTotp(apiUrl: string, password: string): Promise<TotpEnrollResponse>;
+export function confirmTotp(apiUrl: string, password: string, otp: string): Promise<TotpResponse>;
+export function disableTotp(apiUrl: string, password: string, otp: string): Promise<TotpResponse>;
+export function regenerateBackupCodes(apiUrl: string, password: string, otp: string): Promise<TotpResponse>;
+export function recoverWallet(apiUrl: string, mnemonic: string, newPassword: string): Promise<RecoverWalletResponse>;
 export function getBalance(apiUrl: string): Promise<BalanceResponse>;
 export function refreshBalance(apiUrl: string): Promise<BalanceResponse>;
+export function sendSol(apiUrl: string, to: string, amount: number | string): Promise<SendSolResponse>;
+export function signInWithSolana(apiUrl: string, wallet: SiwsWallet): Promise<SiwsAuthenticateResponse>;
+export function refreshSession(apiUrl: string): Promise<RefreshSessionResponse>;
 export function logout(apiUrl: string): Promise<LogoutResponse>;
+export function listSessions(apiUrl: string): Promise<ListSessionsResponse>;
+export function getActivity(apiUrl: string, options?: { limit?: number; offset?: number }): Promise<ActivityResponse>;
+export function revokeSession(apiUrl: string, sessionId: string): Promise<RevokeSessionsResponse>;
+export function revokeOtherSessions(apiUrl: string): Promise<RevokeSessionsResponse>;
+export function unlockSession(apiUrl: string, password: string, otp?: string | null): Promise<UnlockSessionResponse>;
+export function lockSession(apiUrl: string): Promise<LockSessionResponse>;
 export function verifySession(apiUrl: string): Promise<VerifySessionResponse>;
 export function formatSolBalance(solBalance: number, decimals?: number): string;
 export function shortenPublicKey(publicKey: string, startChars?: number, endChars?: number): string;
@@ -8,14 +8,50 @@
  * Create a new wallet
  * @param {string} apiUrl - Base API URL (e.g., '/api/wallet' or 'https://api.example.com/wallet')
  * @param {string} password - User's password
- * @returns {Promise<Object>} { success, publicKey, message }
+ * @param {boolean} withMnemonic - Generate a recovery phrase (returned once as `mnemonic`)
+ * @param {Object} aliases - { username, email } to log in with instead of the public key (optional)
+ * @returns {Promise<Object>} { success, publicKey, username, email, mnemonic, message }
  */
-export async function createWallet(apiUrl, password) {
+export async function createWallet(apiUrl, password, withMnemonic = false, aliases = {}) {
 	const response = await fetch(`${apiUrl}/create`, {
 		method: 'POST',
 		headers: { 'Content-Type': 'application/json' },
 		credentials: 'include', // Include cookies
-		body: JSON.stringify({ password })
+		body: JSON.stringify({ password, withMnemonic, username: aliases.username, email: aliases.email })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Import an existing key as a new wallet
+ * @param {string} apiUrl - Base API URL
+ * @param {Object} data - { password, secretKey | mnemonic | keystore, keystorePassword }
+ * @returns {Promise<Object>} { success, publicKey, message }
+ */
+export async function importWallet(apiUrl, data) {
+	const response = await fetch(`${apiUrl}/import`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify(data)
+	});
+	
+	return response.json();
+}
+
+/**
+ * Export the authenticated wallet (requires the password again)
+ * @param {string} apiUrl - Base API URL
+ * @param {Object} data - { password, format: 'keystore' | 'raw', exportPassword, accountIndex }
+ * @returns {Promise<Object>} { success, publicKey, format, keystore | privateKey + secretKey }
+ */
+export async function exportWallet(apiUrl, data) {
+	const response = await fetch(`${apiUrl}/export`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify(data)
 	});
 	
 	return response.json();
@@ -24,16 +60,127 @@ export async function createWallet(apiUrl, password) {
 /**
  * Authenticate with existing wallet
  * @param {string} apiUrl - Base API URL
- * @param {string} publicKey - User's public key
+ * @param {string} identifier - User's public key, username or email address
  * @param {string} password - User's password
- * @returns {Promise<Object>} { success, publicKey, balance, message }
+ * @param {string} otp - Two-factor code, once the server answered with code 'OTP_REQUIRED' (optional)
+ * @returns {Promise<Object>} { success, sessionId, publicKey, balance, message }
  */
-export async function authenticate(apiUrl, publicKey, password) {
+export async function authenticate(apiUrl, identifier, password, otp = null) {
 	const response = await fetch(`${apiUrl}/authenticate`, {
 		method: 'POST',
 		headers: { 'Content-Type': 'application/json' },
 		credentials: 'include', // Include cookies for session
-		body: JSON.stringify({ publicKey, password })
+		body: JSON.stringify({ identifier, password, otp })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Change the password of the authenticated wallet
+ * Other sessions of the wallet are logged out
+ * @param {string} apiUrl - Base API URL
+ * @param {string} oldPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {string} otp - Two-factor code (required when 2FA is enabled)
+ * @returns {Promise<Object>} { success, publicKey, revokedSessions, message }
+ */
+export async function changePassword(apiUrl, oldPassword, newPassword, otp = null) {
+	const response = await fetch(`${apiUrl}/change-password`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ oldPassword, newPassword, otp })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Start TOTP two-factor enrollment for the authenticated wallet
+ * Show otpauthUri as a QR code, then call confirmTotp with a code from the app.
+ * @param {string} apiUrl - Base API URL
+ * @param {string} password - User's password
+ * @returns {Promise<Object>} { success, publicKey, secret, otpauthUri, message }
+ */
+export async function enrollTotp(apiUrl, password) {
+	const response = await fetch(`${apiUrl}/2fa/enroll`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ password })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Enable two-factor authentication with a code from the authenticator app
+ * @param {string} apiUrl - Base API URL
+ * @param {string} password - User's password
+ * @param {string} otp - Current code
+ * @returns {Promise<Object>} { success, publicKey, backupCodes, message }
+ */
+export async function confirmTotp(apiUrl, password, otp) {
+	const response = await fetch(`${apiUrl}/2fa/confirm`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ password, otp })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Disable two-factor authentication
+ * @param {string} apiUrl - Base API URL
+ * @param {string} password - User's password
+ * @param {string} otp - Current code or a backup code
+ * @returns {Promise<Object>} { success, publicKey, message }
+ */
+export async function disableTotp(apiUrl, password, otp) {
+	const response = await fetch(`${apiUrl}/2fa/disable`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ password, otp })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Replace the backup codes of the authenticated wallet
+ * @param {string} apiUrl - Base API URL
+ * @param {string} password - User's password
+ * @param {string} otp - Current code or a backup code
+ * @returns {Promise<Object>} { success, publicKey, backupCodes, message }
+ */
+export async function regenerateBackupCodes(apiUrl, password, otp) {
+	const response = await fetch(`${apiUrl}/2fa/backup-codes`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ password, otp })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Reset the password of a wallet using its recovery phrase
+ * @param {string} apiUrl - Base API URL
+ * @param {string} mnemonic - Recovery phrase
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} { success, publicKey, revokedSessions, message }
+ */
+export async function recoverWallet(apiUrl, mnemonic, newPassword) {
+	const response = await fetch(`${apiUrl}/recover`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ mnemonic, newPassword })
 	});
 	
 	return response.json();
@@ -67,6 +214,68 @@ export async function refreshBalance(apiUrl) {
 	return response.json();
 }
 
+/**
+ * Send SOL from the logged-in wallet
+ * @param {string} apiUrl - Base API URL
+ * @param {string} to - Recipient public key
+ * @param {number|string} amount - Amount in SOL
+ * @returns {Promise<Object>} { success, publicKey, signature, transaction, message } or { success: false, error, code }
+ */
+export async function sendSol(apiUrl, to, amount) {
+	const response = await fetch(`${apiUrl}/transfer`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ to, amount })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Sign in with a browser wallet (Sign-In With Solana); the server never sees its key
+ * @param {string} apiUrl - Base API URL
+ * @param {Object} wallet - Wallet adapter with publicKey and signMessage(bytes)
+ * @returns {Promise<Object>} { success, sessionId, publicKey, balance, message }
+ */
+export async function signInWithSolana(apiUrl, wallet) {
+	const challengeResponse = await fetch(`${apiUrl}/siws/challenge`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ publicKey: wallet.publicKey.toString() })
+	});
+	const challenge = await challengeResponse.json();
+	if (!challenge.success) {
+		return challenge;
+	}
+	
+	const signature = await wallet.signMessage(new TextEncoder().encode(challenge.message));
+	
+	const response = await fetch(`${apiUrl}/siws/authenticate`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ message: challenge.message, signature: Array.from(signature) })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Swap the refresh cookie for a new session (call when a request returns 401)
+ * @param {string} apiUrl - Base API URL
+ * @returns {Promise<Object>} { success, sessionId, publicKey, message } or { success: false, error, code }
+ */
+export async function refreshSession(apiUrl) {
+	const response = await fetch(`${apiUrl}/refresh`, {
+		method: 'POST',
+		credentials: 'include'
+	});
+	
+	return response.json();
+}
+
 /**
  * Logout (clear session)
  * @param {string} apiUrl - Base API URL
@@ -81,6 +290,96 @@ export async function logout(apiUrl) {
 	return response.json();
 }
 
+/**
+ * List the devices logged in to the authenticated wallet
+ * @param {string} apiUrl - Base API URL
+ * @returns {Promise<Object>} { success, sessions: [{ sessionId, userAgent, ip, createdAt, lastSeenAt, expiresAt, canSign, unlockedUntil, nonCustodial, current }] }
+ */
+export async function listSessions(apiUrl) {
+	const response = await fetch(`${apiUrl}/sessions`, {
+		method: 'GET',
+		credentials: 'include'
+	});
+	
+	return response.json();
+}
+
+/**
+ * Get the security events of the authenticated wallet (logins, signer use, password changes, ...)
+ * @param {string} apiUrl - Base API URL
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { success, events: [{ type, outcome, ip, userAgent, sessionId, details, timestamp }] }
+ */
+export async function getActivity(apiUrl, { limit = 50, offset = 0 } = {}) {
+	const response = await fetch(`${apiUrl}/activity?limit=${limit}&offset=${offset}`, {
+		method: 'GET',
+		credentials: 'include'
+	});
+	
+	return response.json();
+}
+
+/**
+ * Log out one device of the authenticated wallet
+ * @param {string} apiUrl - Base API URL
+ * @param {string} sessionId - Session ID from listSessions
+ * @returns {Promise<Object>} { success }
+ */
+export async function revokeSession(apiUrl, sessionId) {
+	const response = await fetch(`${apiUrl}/sessions/${encodeURIComponent(sessionId)}`, {
+		method: 'DELETE',
+		credentials: 'include'
+	});
+	
+	return response.json();
+}
+
+/**
+ * Log out every other device of the authenticated wallet
+ * @param {string} apiUrl - Base API URL
+ * @returns {Promise<Object>} { success, revokedSessions }
+ */
+export async function revokeOtherSessions(apiUrl) {
+	const response = await fetch(`${apiUrl}/sessions/revoke-others`, {
+		method: 'POST',
+		credentials: 'include'
+	});
+	
+	return response.json();
+}
+
+/**
+ * Unlock the current session for signing by re-entering the password
+ * @param {string} apiUrl - Base API URL
+ * @param {string} password - User's password
+ * @param {string} otp - Two-factor code (required when 2FA is enabled)
+ * @returns {Promise<Object>} { success, publicKey, unlockedUntil, message }
+ */
+export async function unlockSession(apiUrl, password, otp = null) {
+	const response = await fetch(`${apiUrl}/unlock`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		credentials: 'include',
+		body: JSON.stringify({ password, otp })
+	});
+	
+	return response.json();
+}
+
+/**
+ * Lock the current session (it stays logged in but cannot sign)
+ * @param {string} apiUrl - Base API URL
+ * @returns {Promise<Object>} { success, message }
+ */
+export async function lockSession(apiUrl) {
+	const response = await fetch(`${apiUrl}/lock`, {
+		method: 'POST',
+		credentials: 'include'
+	});
+	
+	return response.json();
+}
+
 /**
  * Verify if user is authenticated
  * @param {string} apiUrl - Base API URL
@@ -0,0 +1,135 @@
+import { validateAddress } from './solana.js';
+
+/**
+ * Wallet Aliases
+ * Optional usernames and email addresses that can be used to log in instead
+ * of the public key. Aliases are unique per storage adapter and are stored
+ * and looked up in normalized form:
+ *
+ *   1. Unicode NFKC normalization folds compatibility characters (fullwidth
+ *      letters, ligatures, superscripts) into their plain equivalents
+ *   2. Surrounding whitespace is removed and everything is lowercased
+ *   3. Only ASCII is accepted after that, so letters from other scripts that
+ *      look like Latin ones (Cyrillic "а", Greek "ο", ...) cannot be used to
+ *      imitate an existing alias
+ *
+ * Usernames are 3-32 characters of a-z, 0-9, '.', '_' and '-' that start and
+ * end with a letter or digit, and can never be a valid Solana address.
+ * Email addresses need international domains in punycode; provider-specific
+ * rules (such as Gmail ignoring dots) are not applied.
+ */
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,30}[a-z0-9]$/;
+const EMAIL_PATTERN = /^[a-z0-9._%+-]{1,64}@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Normalize an alias for storage and lookup (NFKC, trimmed, lowercase)
+ * @param {string} value - Username or email address as entered
+ * @returns {string}
+ */
+export function normalizeAlias(value) {
+	return String(value).normalize('NFKC').trim().toLowerCase();
+}
+
+/**
+ * Validate and normalize a username
+ * @param {string} username - Username as entered
+ * @returns {Object} { valid, username, error }
+ */
+export function validateUsername(username) {
+	const normalized = normalizeAlias(username);
+	if (!USERNAME_PATTERN.test(normalized)) {
+		return {
+			valid: false,
+			error: 'Usernames must be 3-32 characters of a-z, 0-9, ".", "_" or "-" and start and end with a letter or digit'
+		};
+	}
+	// Identifiers that parse as an address are always treated as one
+	if (validateAddress(normalized)) {
+		return { valid: false, error: 'Usernames cannot be a Solana address' };
+	}
+	return { valid: true, username: normalized };
+}
+
+/**
+ * Validate and normalize an email address
+ * @param {string} email - Email address as entered
+ * @returns {Object} { valid, email, error }
+ */
+export function validateEmail(email) {
+	const normalized = normalizeAlias(email);
+	if (normalized.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(normalized)) {
+		return { valid: false, error: 'Invalid email address' };
+	}
+	return { valid: true, email: normalized };
+}
+
+/**
+ * Validate the optional aliases of a new wallet
+ * @param {Object} data - { username, email } as entered (both optional)
+ * @returns {Object} { aliases: { username, email } } with normalized values or null,
+ *   or { error } with a handler error result (code 'INVALID_ALIAS')
+ */
+export function prepareAliases({ username = null, email = null } = {}) {
+	const aliases = { username: null, email: null };
+
+	if (username !== null && username !== undefined && username !== '') {
+		const result = validateUsername(username);
+		if (!result.valid) {
+			return { error: { success: false, error: result.error, code: 'INVALID_ALIAS' } };
+		}
+		aliases.username = result.username;
+	}
+
+	if (email !== null && email !== undefined && email !== '') {
+		const result = validateEmail(email);
+		if (!result.valid) {
+			return { error: { success: false, error: result.error, code: 'INVALID_ALIAS' } };
+		}
+		aliases.email = result.email;
+	}
+
+	return { aliases };
+}
+
+/**
+ * Work out what a login identifier refers to
+ * Anything containing '@' is an email address, anything that parses as an
+ * address is a public key (compared case-sensitively), the rest is a username.
+ * @param {string} identifier - Public key, username or email address
+ * @returns {Object|null} { field: 'publicKey' | 'username' | 'email', value }, or null if empty
+ */
+export function resolveIdentifier(identifier) {
+	if (typeof identifier !== 'string' || !identifier.trim()) {
+		return null;
+	}
+
+	const trimmed = identifier.trim();
+	if (trimmed.includes('@')) {
+		return { field: 'email', value: normalizeAlias(trimmed) };
+	}
+	if (validateAddress(trimmed)) {
+		return { field: 'publicKey', value: trimmed };
+	}
+	return { field: 'username', value: normalizeAlias(trimmed) };
+}
+
+/**
+ * Find the public key a login identifier refers to
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {string} identifier - Public key, username or email address
+ * @returns {Promise<string|null>} Public key, or null for an unknown alias
+ */
+export async function findPublicKey(storage, identifier) {
+	const resolved = resolveIdentifier(identifier);
+	if (!resolved) {
+		return null;
+	}
+	if (resolved.field === 'publicKey') {
+		return resolved.value;
+	}
+
+	const wallet = await storage.getWalletByAlias(resolved.field, resolved.value);
+	return wallet ? wallet.publicKey : null;
+}
@@ -0,0 +1,183 @@
+import { createHash } from 'crypto';
+
+/**
+ * Audit Log
+ * Append-only record of security-relevant wallet and session events, kept in
+ * the storage adapter. Entries look like:
+ *
+ *   { sequence, type, publicKey, sessionId, ip, userAgent, outcome, details, timestamp, prevHash, hash }
+ *
+ * outcome is 'success' or 'failure'; details holds event-specific data such
+ * as the error code of a failed login, never passwords or keys.
+ *
+ * Entries are hash-chained: each stores the hash of the entry before it, and
+ * its own hash covers its content and that link. Editing, deleting or
+ * reordering an entry breaks the chain from that point on, which verify()
+ * reports. Dropping the newest entries leaves a valid (shorter) chain, so
+ * copy getHead() somewhere the database cannot write to and pass it to
+ * verify() to detect truncation.
+ *
+ * Appends are serialized within a process; when several instances append at
+ * once, the adapter's unique sequence lets one win and the others are
+ * rebuilt on the new head and retried.
+ */
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+export class AuditLog {
+	/**
+	 * @param {StorageAdapter} storage - Storage adapter implementing the audit event methods
+	 * @param {Object} options
+	 * @param {number} options.maxRetries - Appends retried after losing a race to another instance (default 5)
+	 */
+	constructor(storage, options = {}) {
+		this.storage = storage;
+		this.maxRetries = options.maxRetries ?? 5;
+		this.pending = Promise.resolve();
+	}
+
+	/**
+	 * Append an event
+	 * @param {Object} event - { type, publicKey, sessionId, ip, userAgent, outcome, details }
+	 * @returns {Promise<Object>} Stored entry
+	 */
+	async record(event) {
+		const append = this.pending.then(() => this.append(event));
+		// Keep the queue going after a failed append
+		this.pending = append.catch(() => {});
+		return append;
+	}
+
+	async append(event) {
+		for (let attempt = 0; ; attempt++) {
+			const entry = buildEntry(event, await this.storage.getLatestAuditEvent());
+			try {
+				await this.storage.appendAuditEvent(entry);
+				return entry;
+			} catch (error) {
+				if (error.code !== 'AUDIT_SEQUENCE_CONFLICT' || attempt >= this.maxRetries) {
+					throw error;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Query events, newest first
+	 * @param {Object} filters - { type, publicKey, sessionId, ip, outcome, since, until, limit, offset }
+	 *   since/until are timestamps (ms), inclusive
+	 * @returns {Promise<Array>} Entries
+	 */
+	async query(filters = {}) {
+		return this.storage.queryAuditEvents({ ...filters, order: 'desc' });
+	}
+
+	/**
+	 * Get the newest entry's position and hash, to keep outside the database
+	 * @returns {Promise<Object|null>} { sequence, hash }, or null if the log is empty
+	 */
+	async getHead() {
+		const head = await this.storage.getLatestAuditEvent();
+		return head ? { sequence: head.sequence, hash: head.hash } : null;
+	}
+
+	/**
+	 * Check the hash chain from the first entry
+	 * @param {Object} options - { expectedHead, batchSize }
+	 *   expectedHead: a { sequence, hash } saved from getHead() earlier; the chain must still contain it
+	 * @returns {Promise<Object>} { valid, checked, head } or { valid: false, checked, brokenAt, error }
+	 */
+	async verify({ expectedHead = null, batchSize = 500 } = {}) {
+		let prevHash = GENESIS_HASH;
+		let checked = 0;
+		let anchorFound = expectedHead === null;
+
+		while (true) {
+			const entries = await this.storage.queryAuditEvents({ afterSequence: checked, order: 'asc', limit: batchSize });
+			for (const entry of entries) {
+				const sequence = checked + 1;
+				if (entry.sequence !== sequence || entry.prevHash !== prevHash) {
+					return { valid: false, checked, brokenAt: sequence, error: 'Entry missing or out of order' };
+				}
+				if (hashEntry(entry) !== entry.hash) {
+					return { valid: false, checked, brokenAt: sequence, error: 'Entry was modified' };
+				}
+				if (expectedHead && sequence === expectedHead.sequence) {
+					if (entry.hash !== expectedHead.hash) {
+						return { valid: false, checked, brokenAt: sequence, error: 'Entry does not match the saved head' };
+					}
+					anchorFound = true;
+				}
+
+				prevHash = entry.hash;
+				checked = sequence;
+			}
+
+			if (entries.length < batchSize) {
+				break;
+			}
+		}
+
+		if (!anchorFound) {
+			return { valid: false, checked, brokenAt: checked + 1, error: 'Log ends before the saved head' };
+		}
+		return { valid: true, checked, head: checked > 0 ? { sequence: checked, hash: prevHash } : null };
+	}
+}
+
+/**
+ * Compute the hash of an entry (everything except the hash itself)
+ * @param {Object} entry - Audit entry
+ * @returns {string} Hex SHA-256
+ */
+export function hashEntry(entry) {
+	const content = canonicalJson([
+		entry.sequence,
+		entry.timestamp,
+		entry.type,
+		entry.publicKey,
+		entry.sessionId,
+		entry.ip,
+		entry.userAgent,
+		entry.outcome,
+		entry.details,
+		entry.prevHash
+	]);
+	return createHash('sha256').update(content).digest('hex');
+}
+
+function buildEntry(event, head) {
+	if (!event.type) {
+		throw new Error('Audit events need a type');
+	}
+
+	const entry = {
+		sequence: head ? head.sequence + 1 : 1,
+		type: event.type,
+		publicKey: event.publicKey ?? null,
+		sessionId: event.sessionId ?? null,
+		ip: event.ip ?? null,
+		userAgent: event.userAgent ?? null,
+		outcome: event.outcome || 'success',
+		// Round-trip so the hash covers exactly what the adapter will store
+		details: event.details ? JSON.parse(JSON.stringify(event.details)) : null,
+		timestamp: Date.now(),
+		prevHash: head ? head.hash : GENESIS_HASH
+	};
+	return { ...entry, hash: hashEntry(entry) };
+}
+
+/**
+ * JSON with object keys sorted, so databases that reorder keys (JSONB) hash the same
+ */
+function canonicalJson(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(item => canonicalJson(item ?? null)).join(',')}]`;
+	}
+	if (value && typeof value === 'object') {
+		const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+		return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
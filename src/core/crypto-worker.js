@@ -0,0 +1,15 @@
+import { parentPort } from 'worker_threads';
+import { scryptSync } from 'crypto';
+
+/**
+ * Crypto Worker
+ * Runs scrypt key derivations dispatched by WorkerPool
+ */
+parentPort.on('message', ({ id, password, salt, keyLength, options }) => {
+	try {
+		const key = scryptSync(password, salt, keyLength, options);
+		parentPort.postMessage({ id, result: key });
+	} catch (error) {
+		parentPort.postMessage({ id, error: error.message });
+	}
+});
@@ -1,32 +1,188 @@
-import { randomBytes, scryptSync, timingSafeEqual, createCipheriv, createDecipheriv } from 'crypto';
+import { randomBytes, createHash, scrypt, scryptSync, timingSafeEqual, createCipheriv, createDecipheriv } from 'crypto';
+import { defaultWorkerPool } from './worker-pool.js';
+
+/**
+ * Versioned credential format
+ *
+ * Password hashes and encrypted data are stored as `$`-separated envelopes
+ * that carry the algorithm identifiers and KDF cost parameters they were
+ * produced with, so the work factor can be raised without breaking records
+ * written with older settings:
+ *
+ *   password hash:  $zc1$scrypt$N=16384,r=8,p=1$<hash>
+ *   encrypted data: $zc1$scrypt$N=16384,r=8,p=1$aes-256-gcm$<salt>$<iv>$<authTag>$<data>
+ *
+ * Records written before the envelope existed (bare hex hash and
+ * `salt:iv:authTag:data`) are still understood and are treated as outdated.
+ */
+export const ENVELOPE_VERSION = 'zc1';
+export const KDF_ALGORITHM = 'scrypt';
+export const CIPHER_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Default scrypt cost parameters (N = CPU/memory cost, r = block size, p = parallelization)
+ */
+export const DEFAULT_KDF_PARAMS = Object.freeze({ N: 16384, r: 8, p: 1 });
+
+// Parameters used by unversioned records (Node's scrypt defaults)
+const LEGACY_KDF_PARAMS = Object.freeze({ N: 16384, r: 8, p: 1 });
+
+const HASH_LENGTH = 64;
+const KEY_LENGTH = 32;
+
+/**
+ * Normalize and validate scrypt parameters
+ * @param {Object} params - { N, r, p } (missing values fall back to defaults)
+ * @returns {Object} { N, r, p }
+ */
+export function normalizeKdfParams(params = {}) {
+	const normalized = {
+		N: params.N ?? DEFAULT_KDF_PARAMS.N,
+		r: params.r ?? DEFAULT_KDF_PARAMS.r,
+		p: params.p ?? DEFAULT_KDF_PARAMS.p
+	};
+
+	const { N, r, p } = normalized;
+	if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+		throw new Error('scrypt N must be a power of two greater than 1');
+	}
+	if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+		throw new Error('scrypt r and p must be positive integers');
+	}
+
+	return normalized;
+}
+
+/**
+ * Derive a key with scrypt
+ * @param {string} password - Password
+ * @param {Buffer} salt - Salt
+ * @param {number} keyLength - Output length in bytes
+ * @param {Object} params - { N, r, p }
+ * @returns {Buffer}
+ */
+export function deriveKey(password, salt, keyLength, params) {
+	return scryptSync(password, salt, keyLength, scryptOptions(params));
+}
+
+/**
+ * Build options for Node's scrypt, raising maxmem for expensive parameters
+ * @param {Object} params - { N, r, p }
+ * @returns {Object}
+ */
+export function scryptOptions({ N, r, p }) {
+	// scrypt needs roughly 128 * N * r bytes; leave headroom over Node's 32MB default
+	return { N, r, p, maxmem: Math.max(32 * 1024 * 1024, 256 * N * r) };
+}
+
+function formatKdfParams({ N, r, p }) {
+	return `N=${N},r=${r},p=${p}`;
+}
+
+function parseKdfParams(value) {
+	const params = {};
+	for (const pair of value.split(',')) {
+		const [name, number] = pair.split('=');
+		params[name] = parseInt(number, 10);
+	}
+	return normalizeKdfParams(params);
+}
+
+function sameKdfParams(a, b) {
+	return a.N === b.N && a.r === b.r && a.p === b.p;
+}
+
+/**
+ * Parse a stored password hash
+ * @param {string} storedHash - Versioned or legacy password hash
+ * @returns {Object} { version, params, hash }
+ */
+export function parsePasswordHash(storedHash) {
+	if (!storedHash.startsWith('$')) {
+		return { version: null, params: LEGACY_KDF_PARAMS, hash: storedHash };
+	}
+
+	const [, version, kdf, params, hash] = storedHash.split('$');
+	if (version !== ENVELOPE_VERSION || kdf !== KDF_ALGORITHM || !hash) {
+		throw new Error('Unsupported password hash format');
+	}
+
+	return { version, params: parseKdfParams(params), hash };
+}
+
+/**
+ * Parse encrypted data
+ * @param {string} encryptedData - Versioned or legacy encrypted data
+ * @returns {Object} { version, params, salt, iv, authTag, data }
+ */
+export function parseEncryptedData(encryptedData) {
+	if (!encryptedData.startsWith('$')) {
+		const parts = encryptedData.split(':');
+		if (parts.length !== 4) {
+			throw new Error('Invalid encrypted data format');
+		}
+
+		const [salt, iv, authTag, data] = parts;
+		return { version: null, params: LEGACY_KDF_PARAMS, salt, iv, authTag, data };
+	}
+
+	const parts = encryptedData.split('$');
+	if (parts.length !== 9) {
+		throw new Error('Invalid encrypted data format');
+	}
+
+	const [, version, kdf, params, cipher, salt, iv, authTag, data] = parts;
+	if (version !== ENVELOPE_VERSION || kdf !== KDF_ALGORITHM || cipher !== CIPHER_ALGORITHM) {
+		throw new Error('Unsupported encrypted data format');
+	}
+
+	return { version, params: parseKdfParams(params), salt, iv, authTag, data };
+}
 
 /**
  * Hash a password using scrypt
  * @param {string} password - The password to hash
+ * @param {Object} params - Optional scrypt parameters { N, r, p }
  * @returns {Object} { hash: string, salt: string }
  */
-export function hashPassword(password) {
+export function hashPassword(password, params = DEFAULT_KDF_PARAMS) {
+	const kdfParams = normalizeKdfParams(params);
 	const salt = randomBytes(16);
-	const hash = scryptSync(password, salt, 64).toString('hex');
-	return { hash, salt: salt.toString('hex') };
+	const hash = deriveKey(password, salt, HASH_LENGTH, kdfParams).toString('hex');
+	return {
+		hash: formatPasswordHash(kdfParams, hash),
+		salt: salt.toString('hex')
+	};
+}
+
+/**
+ * Build a versioned password hash string
+ * @param {Object} params - scrypt parameters
+ * @param {string} hash - Derived hash (hex)
+ * @returns {string}
+ */
+export function formatPasswordHash(params, hash) {
+	return `$${ENVELOPE_VERSION}$${KDF_ALGORITHM}$${formatKdfParams(params)}$${hash}`;
 }
 
 /**
  * Verify a password against a hash
  * @param {string} password - The password to verify
- * @param {string} storedHash - The stored hash (hex)
+ * @param {string} storedHash - The stored hash (versioned or legacy hex)
  * @param {string} salt - The salt used for hashing (hex)
  * @returns {boolean}
  */
 export function verifyPassword(password, storedHash, salt) {
 	try {
-		const hashedPassword = scryptSync(
+		const { params, hash } = parsePasswordHash(storedHash);
+		const hashedPassword = deriveKey(
 			password,
 			Buffer.from(salt, 'hex'),
-			64
+			HASH_LENGTH,
+			params
 		);
-		
-		const storedHashBuffer = Buffer.from(storedHash, 'hex');
+
+		const storedHashBuffer = Buffer.from(hash, 'hex');
 		return timingSafeEqual(hashedPassword, storedHashBuffer);
 	} catch (error) {
 		console.error('Password verification error:', error);
@@ -38,68 +194,253 @@ export function verifyPassword(password, storedHash, salt) {
  * Encrypt data using AES-256-GCM
  * @param {string} data - Data to encrypt
  * @param {string} password - Password for encryption
- * @returns {string} Encrypted data in format: iv:authTag:encryptedData (all hex)
+ * @param {Object} params - Optional scrypt parameters { N, r, p }
+ * @returns {string} Versioned envelope: $zc1$scrypt$<params>$aes-256-gcm$salt$iv$authTag$encryptedData (hex fields)
  */
-export function encrypt(data, password) {
+export function encrypt(data, password, params = DEFAULT_KDF_PARAMS) {
 	try {
 		// Derive a key from the password
+		const kdfParams = normalizeKdfParams(params);
 		const salt = randomBytes(16);
-		const key = scryptSync(password, salt, 32);
-		
-		// Generate IV
-		const iv = randomBytes(16);
-		
-		// Create cipher
-		const cipher = createCipheriv('aes-256-gcm', key, iv);
-		
-		// Encrypt
-		let encrypted = cipher.update(data, 'utf8', 'hex');
-		encrypted += cipher.final('hex');
-		
-		// Get auth tag
-		const authTag = cipher.getAuthTag();
-		
-		// Return format: salt:iv:authTag:encryptedData
-		return `${salt.toString('hex')}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+		const key = deriveKey(password, salt, KEY_LENGTH, kdfParams);
+
+		return encryptWithKey(data, key, kdfParams, salt);
 	} catch (error) {
 		console.error('Encryption error:', error);
 		throw new Error('Failed to encrypt data');
 	}
 }
 
+/**
+ * Encrypt data with an already derived key
+ * @param {string} data - Data to encrypt
+ * @param {Buffer} key - 32-byte key derived from the password and salt
+ * @param {Object} params - scrypt parameters the key was derived with
+ * @param {Buffer} salt - Salt the key was derived with
+ * @returns {string} Versioned envelope
+ */
+export function encryptWithKey(data, key, params, salt) {
+	// Generate IV
+	const iv = randomBytes(16);
+
+	// Create cipher
+	const cipher = createCipheriv(CIPHER_ALGORITHM, key, iv);
+
+	// Encrypt
+	let encrypted = cipher.update(data, 'utf8', 'hex');
+	encrypted += cipher.final('hex');
+
+	// Get auth tag
+	const authTag = cipher.getAuthTag();
+
+	return [
+		'',
+		ENVELOPE_VERSION,
+		KDF_ALGORITHM,
+		formatKdfParams(params),
+		CIPHER_ALGORITHM,
+		salt.toString('hex'),
+		iv.toString('hex'),
+		authTag.toString('hex'),
+		encrypted
+	].join('$');
+}
+
 /**
  * Decrypt data using AES-256-GCM
- * @param {string} encryptedData - Encrypted data in format: salt:iv:authTag:encryptedData
+ * @param {string} encryptedData - Versioned envelope or legacy salt:iv:authTag:encryptedData
  * @param {string} password - Password for decryption
  * @returns {string} Decrypted data
  */
 export function decrypt(encryptedData, password) {
 	try {
-		// Split the encrypted data
-		const parts = encryptedData.split(':');
-		if (parts.length !== 4) {
-			throw new Error('Invalid encrypted data format');
-		}
-		
-		const [saltHex, ivHex, authTagHex, encrypted] = parts;
-		
-		// Convert from hex
-		const salt = Buffer.from(saltHex, 'hex');
-		const iv = Buffer.from(ivHex, 'hex');
-		const authTag = Buffer.from(authTagHex, 'hex');
-		
+		const parsed = parseEncryptedData(encryptedData);
+
 		// Derive the key
-		const key = scryptSync(password, salt, 32);
+		const key = deriveKey(password, Buffer.from(parsed.salt, 'hex'), KEY_LENGTH, parsed.params);
+
+		return decryptWithKey(parsed, key);
+	} catch (error) {
+		console.error('Decryption error:', error);
+		throw new Error('Failed to decrypt data');
+	}
+}
+
+/**
+ * Decrypt parsed encrypted data with an already derived key
+ * @param {Object} parsed - Result of parseEncryptedData()
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Decrypted data
+ */
+export function decryptWithKey(parsed, key) {
+	// Create decipher
+	const decipher = createDecipheriv(CIPHER_ALGORITHM, key, Buffer.from(parsed.iv, 'hex'));
+	decipher.setAuthTag(Buffer.from(parsed.authTag, 'hex'));
+
+	// Decrypt
+	let decrypted = decipher.update(parsed.data, 'hex', 'utf8');
+	decrypted += decipher.final('utf8');
+
+	return decrypted;
+}
+
+/**
+ * Check whether a stored password hash was produced with outdated parameters
+ * @param {string} storedHash - The stored hash
+ * @param {Object} params - Current scrypt parameters
+ * @returns {boolean} True if the hash should be recomputed
+ */
+export function needsRehash(storedHash, params = DEFAULT_KDF_PARAMS) {
+	try {
+		const parsed = parsePasswordHash(storedHash);
+		return parsed.version !== ENVELOPE_VERSION || !sameKdfParams(parsed.params, normalizeKdfParams(params));
+	} catch (error) {
+		return true;
+	}
+}
+
+/**
+ * Check whether encrypted data was produced with an outdated format or parameters
+ * @param {string} encryptedData - The encrypted data
+ * @param {Object} params - Current scrypt parameters
+ * @returns {boolean} True if the data should be re-encrypted
+ */
+export function needsReencrypt(encryptedData, params = DEFAULT_KDF_PARAMS) {
+	try {
+		const parsed = parseEncryptedData(encryptedData);
+		return parsed.version !== ENVELOPE_VERSION || !sameKdfParams(parsed.params, normalizeKdfParams(params));
+	} catch (error) {
+		return true;
+	}
+}
+
+/**
+ * Derive a key with scrypt without blocking the event loop
+ * @param {string} password - Password
+ * @param {Buffer} salt - Salt
+ * @param {number} keyLength - Output length in bytes
+ * @param {Object} params - { N, r, p }
+ * @param {WorkerPool|null} pool - Worker pool to run on (null uses Node's libuv threadpool)
+ * @returns {Promise<Buffer>}
+ */
+export function deriveKeyAsync(password, salt, keyLength, params, pool = defaultWorkerPool) {
+	if (!pool) {
+		return new Promise((resolve, reject) => {
+			scrypt(password, salt, keyLength, scryptOptions(params), (error, key) => {
+				if (error) {
+					reject(error);
+				} else {
+					resolve(key);
+				}
+			});
+		});
+	}
+	
+	return pool.scrypt(password, salt, keyLength, scryptOptions(params));
+}
+
+/**
+ * Hash a password using scrypt (async, runs on the worker pool)
+ * @param {string} password - The password to hash
+ * @param {Object} params - Optional scrypt parameters { N, r, p }
+ * @param {WorkerPool|null} pool - Worker pool
+ * @returns {Promise<Object>} { hash: string, salt: string }
+ */
+export async function hashPasswordAsync(password, params = DEFAULT_KDF_PARAMS, pool = defaultWorkerPool) {
+	const kdfParams = normalizeKdfParams(params);
+	const salt = randomBytes(16);
+	const hash = (await deriveKeyAsync(password, salt, HASH_LENGTH, kdfParams, pool)).toString('hex');
+	return {
+		hash: formatPasswordHash(kdfParams, hash),
+		salt: salt.toString('hex')
+	};
+}
+
+/**
+ * Verify a password against a hash (async, runs on the worker pool)
+ * @param {string} password - The password to verify
+ * @param {string} storedHash - The stored hash (versioned or legacy hex)
+ * @param {string} salt - The salt used for hashing (hex)
+ * @param {WorkerPool|null} pool - Worker pool
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPasswordAsync(password, storedHash, salt, pool = defaultWorkerPool) {
+	try {
+		const { params, hash } = parsePasswordHash(storedHash);
+		const hashedPassword = await deriveKeyAsync(
+			password,
+			Buffer.from(salt, 'hex'),
+			HASH_LENGTH,
+			params,
+			pool
+		);
 		
-		// Create decipher
-		const decipher = createDecipheriv('aes-256-gcm', key, iv);
-		decipher.setAuthTag(authTag);
+		const storedHashBuffer = Buffer.from(hash, 'hex');
+		return timingSafeEqual(hashedPassword, storedHashBuffer);
+	} catch (error) {
+		console.error('Password verification error:', error);
+		return false;
+	}
+}
+
+// Decoy password hashes by KDF parameters (promises, so concurrent callers share one derivation)
+const decoyHashes = new Map();
+
+/**
+ * Get a fixed decoy password hash for a set of KDF parameters
+ * Verifying a password against it costs exactly as much as verifying a real
+ * one, so logins for missing wallets can take as long as wrong passwords.
+ * Derived once per process from a random password nobody knows.
+ * @param {Object} params - scrypt parameters { N, r, p }
+ * @param {WorkerPool|null} pool - Worker pool
+ * @returns {Promise<Object>} { hash, salt }
+ */
+export function getDecoyHashAsync(params = DEFAULT_KDF_PARAMS, pool = defaultWorkerPool) {
+	const { N, r, p } = normalizeKdfParams(params);
+	const key = `${N},${r},${p}`;
+	if (!decoyHashes.has(key)) {
+		const decoy = hashPasswordAsync(generateToken(), { N, r, p }, pool);
+		// Let a failed derivation be retried
+		decoy.catch(() => decoyHashes.delete(key));
+		decoyHashes.set(key, decoy);
+	}
+	return decoyHashes.get(key);
+}
+
+/**
+ * Encrypt data using AES-256-GCM (async, key derivation runs on the worker pool)
+ * @param {string} data - Data to encrypt
+ * @param {string} password - Password for encryption
+ * @param {Object} params - Optional scrypt parameters { N, r, p }
+ * @param {WorkerPool|null} pool - Worker pool
+ * @returns {Promise<string>} Versioned envelope
+ */
+export async function encryptAsync(data, password, params = DEFAULT_KDF_PARAMS, pool = defaultWorkerPool) {
+	try {
+		const kdfParams = normalizeKdfParams(params);
+		const salt = randomBytes(16);
+		const key = await deriveKeyAsync(password, salt, KEY_LENGTH, kdfParams, pool);
 		
-		// Decrypt
-		let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-		decrypted += decipher.final('utf8');
+		return encryptWithKey(data, key, kdfParams, salt);
+	} catch (error) {
+		console.error('Encryption error:', error);
+		throw new Error('Failed to encrypt data');
+	}
+}
+
+/**
+ * Decrypt data using AES-256-GCM (async, key derivation runs on the worker pool)
+ * @param {string} encryptedData - Versioned envelope or legacy salt:iv:authTag:encryptedData
+ * @param {string} password - Password for decryption
+ * @param {WorkerPool|null} pool - Worker pool
+ * @returns {Promise<string>} Decrypted data
+ */
+export async function decryptAsync(encryptedData, password, pool = defaultWorkerPool) {
+	try {
+		const parsed = parseEncryptedData(encryptedData);
+		const key = await deriveKeyAsync(password, Buffer.from(parsed.salt, 'hex'), KEY_LENGTH, parsed.params, pool);
 		
-		return decrypted;
+		return decryptWithKey(parsed, key);
 	} catch (error) {
 		console.error('Decryption error:', error);
 		throw new Error('Failed to decrypt data');
@@ -115,3 +456,11 @@ export function generateToken(bytes = 32) {
 	return randomBytes(bytes).toString('hex');
 }
 
+/**
+ * Hash a bearer token for storage, so a leaked store cannot be replayed
+ * @param {string} token - Token
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashToken(token) {
+	return createHash('sha256').update(token).digest('hex');
+}
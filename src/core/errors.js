@@ -0,0 +1,179 @@
+/**
+ * Errors
+ * Every failure the library reports carries a stable, machine-readable code.
+ * Handlers return it in their result objects ({ success: false, error, code });
+ * methods that throw use ZeroConnectorError or one of its subclasses. Codes
+ * never change once released, messages may, so match on the code.
+ *
+ * Each code has a suggested HTTP status and a public message. error.message
+ * may carry internal detail for logs; error.publicMessage is safe to show to
+ * end users, and for server errors (status 500 and up) it never includes the
+ * underlying cause.
+ */
+
+// code -> { status, message }
+export const ERROR_CODES = Object.freeze({
+	// Bad input
+	INVALID_INPUT: { status: 400, message: 'Invalid request' },
+	INVALID_PUBLIC_KEY: { status: 400, message: 'Invalid public key' },
+	WEAK_PASSWORD: { status: 400, message: 'Password does not meet the password policy' },
+	SAME_PASSWORD: { status: 400, message: 'New password must be different from the old password' },
+	INVALID_ALIAS: { status: 400, message: 'Invalid username or email' },
+	INVALID_MNEMONIC: { status: 400, message: 'Invalid recovery phrase' },
+	MNEMONIC_MISMATCH: { status: 400, message: 'Recovery phrase does not match this wallet' },
+	INVALID_KEY: { status: 400, message: 'Invalid key' },
+	NOT_SEED_WALLET: { status: 400, message: 'Wallet is not seed-based' },
+	INVALID_SIWS_MESSAGE: { status: 400, message: 'Invalid sign-in message' },
+	INVALID_AMOUNT: { status: 400, message: 'Amount must be a positive number of SOL with at most 9 decimal places' },
+	INSUFFICIENT_FUNDS: { status: 400, message: 'Insufficient funds for the amount and the network fee' },
+	TRANSACTION_FAILED: { status: 400, message: 'Transaction failed' },
+
+	// Missing or wrong credentials
+	INVALID_PASSWORD: { status: 401, message: 'Invalid password' },
+	INVALID_CREDENTIALS: { status: 401, message: 'Invalid credentials' },
+	OTP_REQUIRED: { status: 401, message: 'Two-factor code required' },
+	INVALID_OTP: { status: 401, message: 'Invalid two-factor code' },
+	SESSION_EXPIRED: { status: 401, message: 'Invalid or expired session' },
+	INVALID_REFRESH_TOKEN: { status: 401, message: 'Invalid or expired refresh token' },
+	REFRESH_TOKEN_REUSED: { status: 401, message: 'Refresh token was already used; all sessions of this login were revoked' },
+	INVALID_SIGNATURE: { status: 401, message: 'Invalid signature' },
+	CHALLENGE_EXPIRED: { status: 401, message: 'Sign-in challenge expired or already used' },
+
+	// Authenticated but not allowed
+	SESSION_LOCKED: { status: 403, message: 'Session is locked; unlock it with the wallet password to sign' },
+	NON_CUSTODIAL: { status: 403, message: 'Session belongs to an externally held wallet; sign on the client' },
+	SESSION_NOT_UNLOCKABLE: { status: 403, message: 'This session cannot be unlocked' },
+
+	WALLET_NOT_FOUND: { status: 404, message: 'Wallet not found' },
+	ACCOUNT_NOT_FOUND: { status: 404, message: 'Account not found' },
+
+	// State conflicts
+	WALLET_EXISTS: { status: 409, message: 'Wallet already exists' },
+	ACCOUNT_EXISTS: { status: 409, message: 'Account already exists' },
+	ALIAS_TAKEN: { status: 409, message: 'Username or email already taken' },
+	CONCURRENT_UPDATE: { status: 409, message: 'Wallet was changed by another request, please try again' },
+	TWO_FACTOR_ENABLED: { status: 409, message: 'Two-factor authentication is already enabled' },
+	TWO_FACTOR_NOT_ENABLED: { status: 409, message: 'Two-factor authentication is not enabled' },
+	NO_ENROLLMENT_PENDING: { status: 409, message: 'No two-factor enrollment in progress' },
+	AUDIT_SEQUENCE_CONFLICT: { status: 409, message: 'Audit sequence conflict' },
+
+	LOCKED_OUT: { status: 429, message: 'Too many failed attempts, try again later' },
+
+	// Server side
+	INTERNAL_ERROR: { status: 500, message: 'Internal error' },
+	DECRYPTION_FAILED: { status: 500, message: 'Failed to decrypt private key' },
+	NOT_CONFIGURED: { status: 500, message: 'Feature is not configured' },
+	RPC_UNAVAILABLE: { status: 503, message: 'Solana RPC is unavailable, try again later' },
+	TRANSACTION_EXPIRED: { status: 504, message: 'Transaction expired before it was confirmed; it was not executed' },
+	CONFIRMATION_TIMEOUT: { status: 504, message: 'Transaction was sent but is not confirmed yet; check its status before retrying' }
+});
+
+export class ZeroConnectorError extends Error {
+	/**
+	 * @param {string} code - Code from ERROR_CODES
+	 * @param {string} message - Message (defaults to the code's public message)
+	 * @param {Object} options - { status, publicMessage, details, cause }
+	 *   details: extra result fields that are safe to return, e.g. { retryAfter }
+	 */
+	constructor(code, message = null, options = {}) {
+		const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+		super(message || definition.message, options.cause ? { cause: options.cause } : undefined);
+		this.name = this.constructor.name;
+		this.code = code;
+		this.status = options.status ?? definition.status;
+		this.details = options.details || {};
+		// Client errors are written for end users; server errors keep their cause private
+		this.publicMessage = options.publicMessage || (this.status < 500 ? this.message : definition.message);
+	}
+
+	/**
+	 * Convert to the handler result shape
+	 * @returns {Object} { success: false, error, code, ...details }
+	 */
+	toResult() {
+		return {
+			success: false,
+			error: this.publicMessage,
+			code: this.code,
+			...this.details
+		};
+	}
+}
+
+// One subclass per status family, so callers can catch by kind
+export class ValidationError extends ZeroConnectorError {}
+export class AuthenticationError extends ZeroConnectorError {}
+export class PermissionError extends ZeroConnectorError {}
+export class NotFoundError extends ZeroConnectorError {}
+export class ConflictError extends ZeroConnectorError {}
+export class RateLimitError extends ZeroConnectorError {}
+export class InternalError extends ZeroConnectorError {}
+export class RpcError extends ZeroConnectorError {}
+
+const ERROR_CLASSES = {
+	400: ValidationError,
+	401: AuthenticationError,
+	403: PermissionError,
+	404: NotFoundError,
+	409: ConflictError,
+	429: RateLimitError,
+	503: RpcError,
+	504: RpcError
+};
+
+/**
+ * Create an error of the subclass that matches a code's status
+ * @param {string} code - Code from ERROR_CODES
+ * @param {string} message - Message (optional)
+ * @param {Object} options - As for ZeroConnectorError
+ * @returns {ZeroConnectorError}
+ */
+export function createError(code, message = null, options = {}) {
+	const ErrorClass = ERROR_CLASSES[ERROR_CODES[code]?.status] || InternalError;
+	return new ErrorClass(code, message, options);
+}
+
+/**
+ * Turn a failed handler result into an error, for callers that prefer throwing
+ * @param {Object} result - { success: false, error, code, ...details }
+ * @returns {ZeroConnectorError}
+ */
+export function errorFromResult(result) {
+	const { success, error, code = 'INTERNAL_ERROR', ...details } = result;
+	return createError(code, error, { details });
+}
+
+/**
+ * Turn anything caught in a handler into a failed result
+ * Unexpected errors become INTERNAL_ERROR without their message; log them first.
+ * Results never carry the underlying message in a details field.
+ * @param {Error} error - Caught error
+ * @param {string} message - Public message for unexpected errors
+ * @returns {Object} { success: false, error, code, ...details }
+ */
+export function errorResult(error, message = null) {
+	if (error instanceof ZeroConnectorError) {
+		return error.toResult();
+	}
+	return {
+		success: false,
+		error: message || ERROR_CODES.INTERNAL_ERROR.message,
+		code: 'INTERNAL_ERROR'
+	};
+}
+
+/**
+ * Suggested HTTP status for a code, a handler result or an error
+ * @param {string|Object|Error} value
+ * @returns {number} 200 for successful results, 500 for unknown errors
+ */
+export function getErrorStatus(value) {
+	if (value && typeof value === 'object' && value.success === true) {
+		return 200;
+	}
+	if (value instanceof ZeroConnectorError) {
+		return value.status;
+	}
+	const code = typeof value === 'string' ? value : value?.code;
+	return ERROR_CODES[code]?.status ?? 500;
+}
@@ -0,0 +1,239 @@
+import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { readFileSync } from 'fs';
+
+/**
+ * Server-side key wrapping
+ *
+ * When a key provider is configured, password-encrypted secrets are wrapped
+ * once more under a server-held key encryption key (KEK) before they reach
+ * storage, so a database dump alone is not enough to attack them offline:
+ *
+ *   $zck1$<keyId>$<wrapped>
+ *
+ * The key ID identifies which KEK was used, allowing keys to be rotated
+ * while older records remain readable.
+ */
+export const WRAP_VERSION = 'zck1';
+
+/**
+ * Abstract Key Provider Interface
+ * Implementations may hold keys locally or delegate to a KMS/HSM
+ */
+export class KeyProvider {
+	/**
+	 * Get the ID of the key used for new wraps
+	 * @returns {string}
+	 */
+	getCurrentKeyId() {
+		throw new Error('getCurrentKeyId() must be implemented');
+	}
+
+	/**
+	 * Wrap (encrypt) data under the current key
+	 * @param {Buffer} data - Data to wrap
+	 * @returns {Promise<Object>} { keyId, wrapped } where wrapped is a base64url string
+	 */
+	async wrap(data) {
+		throw new Error('wrap() must be implemented');
+	}
+
+	/**
+	 * Unwrap (decrypt) data wrapped under the given key
+	 * @param {string} keyId - ID of the key the data was wrapped with
+	 * @param {string} wrapped - Wrapped data (base64url)
+	 * @returns {Promise<Buffer>}
+	 */
+	async unwrap(keyId, wrapped) {
+		throw new Error('unwrap() must be implemented');
+	}
+}
+
+/**
+ * Local Key Provider
+ * Holds 256-bit AES-GCM keys in process memory, loaded from options,
+ * environment variables or a JSON key file
+ */
+export class LocalKeyProvider extends KeyProvider {
+	/**
+	 * @param {Object} options - { keys: { [keyId]: hex|base64|Buffer }, currentKeyId }
+	 */
+	constructor(options = {}) {
+		super();
+		this.keys = new Map();
+
+		for (const [keyId, key] of Object.entries(options.keys || {})) {
+			this.addKey(keyId, key, false);
+		}
+
+		const keyIds = [...this.keys.keys()];
+		this.currentKeyId = options.currentKeyId || keyIds[keyIds.length - 1] || null;
+
+		if (!this.currentKeyId || !this.keys.has(this.currentKeyId)) {
+			throw new Error('LocalKeyProvider requires at least one key and a valid currentKeyId');
+		}
+	}
+
+	/**
+	 * Create a provider from environment variables
+	 * ZERO_CONNECTOR_MASTER_KEYS="kid1:<hex|base64>,kid2:<hex|base64>"
+	 * ZERO_CONNECTOR_MASTER_KEY_ID="kid2" (optional, defaults to the last key)
+	 * @param {Object} env - Environment (defaults to process.env)
+	 * @returns {LocalKeyProvider}
+	 */
+	static fromEnv(env = process.env) {
+		const keys = {};
+		for (const entry of (env.ZERO_CONNECTOR_MASTER_KEYS || '').split(',')) {
+			const separator = entry.indexOf(':');
+			if (separator > 0) {
+				keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+			}
+		}
+
+		return new LocalKeyProvider({
+			keys,
+			currentKeyId: env.ZERO_CONNECTOR_MASTER_KEY_ID
+		});
+	}
+
+	/**
+	 * Create a provider from a JSON key file: { "currentKeyId": "...", "keys": { "<keyId>": "<hex|base64>" } }
+	 * @param {string} filePath - Path to the key file
+	 * @returns {LocalKeyProvider}
+	 */
+	static fromFile(filePath) {
+		return new LocalKeyProvider(JSON.parse(readFileSync(filePath, 'utf-8')));
+	}
+
+	/**
+	 * Generate a new random key
+	 * @returns {string} 256-bit key (hex)
+	 */
+	static generateKey() {
+		return randomBytes(32).toString('hex');
+	}
+
+	/**
+	 * Add a key, optionally making it the key used for new wraps
+	 * @param {string} keyId - Key ID
+	 * @param {string|Buffer} key - 256-bit key (hex, base64 or Buffer)
+	 * @param {boolean} makeCurrent - Use this key for new wraps (default true)
+	 */
+	addKey(keyId, key, makeCurrent = true) {
+		if (!keyId || keyId.includes('$')) {
+			throw new Error('Invalid key ID');
+		}
+
+		const keyBuffer = Buffer.isBuffer(key) ? key : decodeKey(key);
+		if (keyBuffer.length !== 32) {
+			throw new Error(`Key ${keyId} must be 256 bits`);
+		}
+
+		this.keys.set(keyId, keyBuffer);
+		if (makeCurrent) {
+			this.currentKeyId = keyId;
+		}
+	}
+
+	getCurrentKeyId() {
+		return this.currentKeyId;
+	}
+
+	async wrap(data) {
+		const keyId = this.currentKeyId;
+		const iv = randomBytes(12);
+		const cipher = createCipheriv('aes-256-gcm', this.keys.get(keyId), iv);
+
+		// Bind the ciphertext to the key ID it claims
+		cipher.setAAD(Buffer.from(keyId, 'utf8'));
+		const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+		return {
+			keyId,
+			wrapped: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url')
+		};
+	}
+
+	async unwrap(keyId, wrapped) {
+		const key = this.keys.get(keyId);
+		if (!key) {
+			throw new Error(`Unknown key ID: ${keyId}`);
+		}
+
+		const buffer = Buffer.from(wrapped, 'base64url');
+		const decipher = createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+		decipher.setAAD(Buffer.from(keyId, 'utf8'));
+		decipher.setAuthTag(buffer.subarray(12, 28));
+
+		return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+	}
+}
+
+function decodeKey(key) {
+	return /^[0-9a-fA-F]{64}$/.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+}
+
+/**
+ * Check whether a stored value is wrapped by a key provider
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export function isWrapped(value) {
+	return typeof value === 'string' && value.startsWith(`$${WRAP_VERSION}$`);
+}
+
+/**
+ * Get the key ID a stored value was wrapped with
+ * @param {string} value - Stored value
+ * @returns {string|null} Key ID or null if not wrapped
+ */
+export function getWrapKeyId(value) {
+	return isWrapped(value) ? value.split('$')[2] : null;
+}
+
+/**
+ * Wrap a value for storage. Returns it unchanged when no provider is configured.
+ * @param {string} value - Value to wrap (e.g. a password-encrypted private key)
+ * @param {KeyProvider|null} keyProvider - Key provider
+ * @returns {Promise<string>}
+ */
+export async function wrapSecret(value, keyProvider) {
+	if (!keyProvider) {
+		return value;
+	}
+
+	const { keyId, wrapped } = await keyProvider.wrap(Buffer.from(value, 'utf8'));
+	return `$${WRAP_VERSION}$${keyId}$${wrapped}`;
+}
+
+/**
+ * Unwrap a stored value. Values that were never wrapped are returned unchanged.
+ * @param {string} value - Stored value
+ * @param {KeyProvider|null} keyProvider - Key provider
+ * @returns {Promise<string>}
+ */
+export async function unwrapSecret(value, keyProvider) {
+	if (!isWrapped(value)) {
+		return value;
+	}
+
+	if (!keyProvider) {
+		throw new Error('Value is wrapped by a key provider but none is configured');
+	}
+
+	const [, , keyId, wrapped] = value.split('$');
+	return (await keyProvider.unwrap(keyId, wrapped)).toString('utf8');
+}
+
+/**
+ * Check whether a stored value should be (re-)wrapped under the provider's current key
+ * @param {string} value - Stored value
+ * @param {KeyProvider|null} keyProvider - Key provider
+ * @returns {boolean}
+ */
+export function needsRewrap(value, keyProvider) {
+	if (!keyProvider) {
+		return false;
+	}
+
+	return getWrapKeyId(value) !== keyProvider.getCurrentKeyId();
+}
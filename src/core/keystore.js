@@ -0,0 +1,101 @@
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { encryptAsync, decryptAsync, parseEncryptedData, normalizeKdfParams } from './crypto.js';
+import { keypairFromSecret, isSeedSecret } from './mnemonic.js';
+
+/**
+ * Keystore Module
+ * Parses externally created secret keys and reads/writes the portable,
+ * password-encrypted keystore format produced by exportWallet:
+ *
+ *   {
+ *     "type": "zero-connector-keystore",
+ *     "version": 1,
+ *     "publicKey": "<base58>",
+ *     "kind": "privateKey" | "seed",
+ *     "crypto": "$zc1$scrypt$...$aes-256-gcm$...",
+ *     "createdAt": "<ISO date>"
+ *   }
+ */
+export const KEYSTORE_TYPE = 'zero-connector-keystore';
+export const KEYSTORE_VERSION = 1;
+
+/**
+ * Parse a secret key exported by another wallet
+ * Accepts a base58 string (Phantom, Solflare), a Solana CLI id.json byte array,
+ * or that array as a JSON string
+ * @param {string|Array<number>|Uint8Array} secretKey - 64-byte secret key
+ * @returns {Object} { publicKey: string, privateKey: string }
+ */
+export function parseSecretKey(secretKey) {
+	let bytes;
+	if (typeof secretKey === 'string') {
+		const trimmed = secretKey.trim();
+		bytes = trimmed.startsWith('[') ? Uint8Array.from(JSON.parse(trimmed)) : bs58.decode(trimmed);
+	} else if (Array.isArray(secretKey) || secretKey instanceof Uint8Array) {
+		bytes = Uint8Array.from(secretKey);
+	} else {
+		throw new Error('Unsupported secret key format');
+	}
+
+	if (bytes.length !== 64) {
+		throw new Error('Secret key must be 64 bytes');
+	}
+
+	// Throws if the public half does not belong to the private half
+	const keypair = Keypair.fromSecretKey(bytes);
+	return {
+		publicKey: keypair.publicKey.toBase58(),
+		privateKey: bs58.encode(keypair.secretKey)
+	};
+}
+
+/**
+ * Create a portable keystore for a wallet secret
+ * @param {string} secret - Decrypted wallet secret (base58 private key or seed secret)
+ * @param {string} password - Password protecting the keystore
+ * @param {Object} options - { kdfParams, workerPool }
+ * @returns {Promise<Object>} Keystore object (JSON-serializable)
+ */
+export async function createKeystore(secret, password, options = {}) {
+	return {
+		type: KEYSTORE_TYPE,
+		version: KEYSTORE_VERSION,
+		publicKey: keypairFromSecret(secret).publicKey,
+		kind: isSeedSecret(secret) ? 'seed' : 'privateKey',
+		crypto: await encryptAsync(secret, password, options.kdfParams, options.workerPool),
+		createdAt: new Date().toISOString()
+	};
+}
+
+/**
+ * Read a keystore created by createKeystore
+ * The keystore's scrypt parameters come from the caller, so keystores that
+ * would cost more memory or CPU to open than the configured kdfParams are
+ * refused before any key derivation.
+ * @param {Object|string} keystore - Keystore object or its JSON string
+ * @param {string} password - Password protecting the keystore
+ * @param {Object} options - { kdfParams, workerPool }
+ * @returns {Promise<Object>} { publicKey, secret }
+ */
+export async function readKeystore(keystore, password, options = {}) {
+	const parsed = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+	if (!parsed || parsed.type !== KEYSTORE_TYPE || parsed.version !== KEYSTORE_VERSION || typeof parsed.crypto !== 'string') {
+		throw new Error('Unsupported keystore format');
+	}
+
+	const { params } = parseEncryptedData(parsed.crypto);
+	const limit = normalizeKdfParams(options.kdfParams);
+	// scrypt needs memory in proportion to N * r and time in proportion to N * r * p
+	if (params.N * params.r > limit.N * limit.r || params.N * params.r * params.p > limit.N * limit.r * limit.p) {
+		throw new Error('Keystore scrypt parameters exceed the configured kdfParams');
+	}
+
+	const secret = await decryptAsync(parsed.crypto, password, options.workerPool);
+	const { publicKey } = keypairFromSecret(secret);
+	if (publicKey !== parsed.publicKey) {
+		throw new Error('Keystore public key does not match its contents');
+	}
+
+	return { publicKey, secret };
+}
@@ -0,0 +1,212 @@
+import { verifyPasswordAsync } from './crypto.js';
+import { checkSecondFactor } from './totp.js';
+
+/**
+ * Login Throttle
+ * Counts failed logins per wallet and per client IP in the storage adapter,
+ * so limits survive restarts and are shared between instances.
+ *
+ * The first freeAttempts failures of a key cost nothing; each further failure
+ * locks the key for baseDelay, doubling every time up to maxDelay. A key's
+ * failures are forgotten resetAfter its last failure. A successful login
+ * clears the wallet's count but not the IP's, so nobody can reset their IP
+ * budget by logging into a wallet of their own in between guesses.
+ *
+ * Checks and updates are not atomic; concurrent requests can get a few
+ * attempts past a limit, but never an unbounded number.
+ */
+export class LoginThrottle {
+	/**
+	 * @param {StorageAdapter} storage - Storage adapter implementing the login attempt methods
+	 * @param {Object} options
+	 * @param {number} options.freeAttempts - Failures per wallet before lockouts start (default 5)
+	 * @param {number} options.ipFreeAttempts - Failures per IP before lockouts start (default 20)
+	 * @param {number} options.baseDelay - First lockout in ms (default 1s)
+	 * @param {number} options.maxDelay - Longest lockout in ms (default 15 min)
+	 * @param {number} options.resetAfter - Forget failures this long after the last one, in ms (default 1h)
+	 */
+	constructor(storage, options = {}) {
+		this.storage = storage;
+		this.freeAttempts = options.freeAttempts ?? 5;
+		this.ipFreeAttempts = options.ipFreeAttempts ?? 20;
+		this.baseDelay = options.baseDelay ?? 1000;
+		this.maxDelay = options.maxDelay ?? (15 * 60 * 1000);
+		this.resetAfter = options.resetAfter ?? (60 * 60 * 1000);
+	}
+
+	/**
+	 * Attempt keys for a login, with the number of free failures for each
+	 * @param {Object} context - { publicKey, ip }
+	 * @returns {Array} Array of { key, freeAttempts }
+	 */
+	getKeys({ publicKey = null, ip = null } = {}) {
+		const keys = [];
+		if (publicKey) {
+			keys.push({ key: `publicKey:${publicKey}`, freeAttempts: this.freeAttempts });
+		}
+		if (ip) {
+			keys.push({ key: `ip:${ip}`, freeAttempts: this.ipFreeAttempts });
+		}
+		return keys;
+	}
+
+	/**
+	 * Check whether a login may be attempted
+	 * @param {Object} context - { publicKey, ip }
+	 * @returns {Promise<Object>} { allowed, lockedUntil, retryAfter } (retryAfter in seconds)
+	 */
+	async check(context) {
+		const records = await Promise.all(
+			this.getKeys(context).map(({ key }) => this.storage.getLoginAttempts(key))
+		);
+		return lockStatus(records);
+	}
+
+	/**
+	 * Record a failed login
+	 * @param {Object} context - { publicKey, ip }
+	 * @returns {Promise<Object>} { allowed, lockedUntil, retryAfter } for the next attempt
+	 */
+	async recordFailure(context) {
+		const now = Date.now();
+		const records = [];
+
+		for (const { key, freeAttempts } of this.getKeys(context)) {
+			const previous = await this.storage.getLoginAttempts(key);
+			const failures = (previous?.failures || 0) + 1;
+			const lockedUntil = failures > freeAttempts
+				? now + Math.min(this.baseDelay * 2 ** (failures - freeAttempts - 1), this.maxDelay)
+				: null;
+
+			const record = {
+				failures,
+				lastFailureAt: now,
+				lockedUntil,
+				expiresAt: Math.max(now + this.resetAfter, lockedUntil || 0)
+			};
+			await this.storage.saveLoginAttempts(key, record);
+			records.push(record);
+		}
+
+		return lockStatus(records);
+	}
+
+	/**
+	 * Record a successful login (clears the wallet's failures)
+	 * @param {Object} context - { publicKey }
+	 * @returns {Promise<void>}
+	 */
+	async recordSuccess({ publicKey }) {
+		await this.storage.deleteLoginAttempts(`publicKey:${publicKey}`);
+	}
+
+	/**
+	 * Clear the failures and lockout of a wallet and/or IP (admin)
+	 * @param {Object} context - { publicKey, ip }
+	 * @returns {Promise<boolean>} True if anything was cleared
+	 */
+	async clear(context) {
+		let cleared = false;
+		for (const { key } of this.getKeys(context)) {
+			if (await this.storage.deleteLoginAttempts(key)) {
+				cleared = true;
+			}
+		}
+		return cleared;
+	}
+}
+
+/**
+ * Combine attempt records into the longest active lockout
+ */
+function lockStatus(records, now = Date.now()) {
+	const lockedUntil = Math.max(0, ...records.map(record => record?.lockedUntil || 0));
+	if (lockedUntil <= now) {
+		return { allowed: true, lockedUntil: null, retryAfter: 0 };
+	}
+	return { allowed: false, lockedUntil, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+}
+
+/**
+ * Verify a password under the login throttle
+ * Every password check (logins, signers, exports, password changes, session
+ * unlocks, 2FA and account changes) goes through here, so all of them count
+ * towards the same lockout. Locked out keys are refused before any key
+ * derivation runs. A match does not clear the count; authenticate does that
+ * once the whole login succeeded.
+ * @param {Object} credentials - { passwordHash, salt } of the wallet, or of a decoy
+ * @param {string} password - Password to check
+ * @param {Object} context - Throttle context { publicKey, ip }
+ * @param {Object} options - { loginThrottle, workerPool }
+ * @returns {Promise<Object|null>} null if the password matches, otherwise a handler
+ *   error result with code 'LOCKED_OUT' (and retryAfter) or 'INVALID_PASSWORD'
+ */
+export async function verifyPasswordThrottled(credentials, password, context, options = {}) {
+	const throttle = options.loginThrottle || null;
+	if (throttle) {
+		const status = await throttle.check(context);
+		if (!status.allowed) {
+			return lockedOutError(status);
+		}
+	}
+
+	if (await verifyPasswordAsync(password, credentials.passwordHash, credentials.salt, options.workerPool)) {
+		return null;
+	}
+
+	const status = throttle ? await throttle.recordFailure(context) : null;
+	if (status && !status.allowed) {
+		return lockedOutError(status);
+	}
+	return {
+		success: false,
+		error: 'Invalid password',
+		code: 'INVALID_PASSWORD'
+	};
+}
+
+/**
+ * Check the second factor of a 2FA wallet under the login throttle
+ * Wrong codes count towards the same lockout as wrong passwords, wherever
+ * they are entered, so knowing the password is not enough to guess the code.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} wallet - Stored wallet record with 2FA enabled
+ * @param {string} walletSecret - Decrypted private key (or seed secret)
+ * @param {string} otp - Code entered by the user
+ * @param {Object} context - Throttle context { publicKey, ip }
+ * @param {Object} options - { loginThrottle }
+ * @returns {Promise<Object|null>} null if the code was accepted, otherwise a handler
+ *   error result with code 'LOCKED_OUT' (and retryAfter), 'OTP_REQUIRED' or 'INVALID_OTP'
+ */
+export async function verifySecondFactorThrottled(storage, wallet, walletSecret, otp, context, options = {}) {
+	const throttle = options.loginThrottle || null;
+	if (throttle) {
+		const status = await throttle.check(context);
+		if (!status.allowed) {
+			return lockedOutError(status);
+		}
+	}
+
+	const otpError = await checkSecondFactor(storage, wallet, walletSecret, otp);
+	if (otpError?.code === 'INVALID_OTP' && throttle) {
+		const status = await throttle.recordFailure(context);
+		if (!status.allowed) {
+			return lockedOutError(status);
+		}
+	}
+	return otpError;
+}
+
+/**
+ * Build a handler error result for a locked out login
+ * @param {Object} status - Result of LoginThrottle.check() or recordFailure()
+ * @returns {Object} { success: false, error, code: 'LOCKED_OUT', retryAfter }
+ */
+export function lockedOutError(status) {
+	return {
+		success: false,
+		error: 'Too many failed attempts, try again later',
+		code: 'LOCKED_OUT',
+		retryAfter: status.retryAfter
+	};
+}
@@ -0,0 +1,172 @@
+import { readFileSync, writeFileSync, existsSync, renameSync } from 'fs';
+import { wrapSecret, unwrapSecret, needsRewrap } from './key-provider.js';
+
+/**
+ * Migration Module
+ * Bulk re-wrapping of stored private keys under the current master key.
+ *
+ * Only the key-provider layer is touched: it does not depend on user
+ * passwords, so every wallet can be migrated offline. (KDF parameters of the
+ * password layer can only change when the user logs in, see authenticate.)
+ *
+ * Runs are resumable: progress is saved to a checkpoint after every batch,
+ * and a new run continues after the last processed wallet. A failure on one
+ * wallet is recorded in the report and never aborts the run.
+ */
+
+/**
+ * File-backed checkpoint for migrateWallets
+ */
+export class FileCheckpoint {
+	constructor(filePath) {
+		this.filePath = filePath;
+	}
+
+	/**
+	 * Load the saved state
+	 * @returns {Promise<Object|null>}
+	 */
+	async load() {
+		if (!existsSync(this.filePath)) {
+			return null;
+		}
+		return JSON.parse(readFileSync(this.filePath, 'utf-8'));
+	}
+
+	/**
+	 * Save the current state
+	 * @param {Object} state - Migration state
+	 */
+	async save(state) {
+		const tempPath = `${this.filePath}.tmp`;
+		writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf-8');
+		renameSync(tempPath, this.filePath);
+	}
+}
+
+/**
+ * Re-wrap every wallet's encrypted private key under the key provider's current key
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} options
+ * @param {KeyProvider} options.keyProvider - Provider holding the current key and any older keys still in use
+ * @param {boolean} options.dryRun - Only report what would change (default false)
+ * @param {number} options.batchSize - Wallets loaded per batch (default 100)
+ * @param {number} options.limit - Stop after processing this many wallets (default unlimited)
+ * @param {Object} options.checkpoint - Object with async load() and save(state)
+ * @param {string} options.checkpointFile - Shortcut for a FileCheckpoint at this path
+ * @param {Function} options.onProgress - Called with the state after every batch
+ * @returns {Promise<Object>} { processed, migrated, skipped, failed, failures, lastPublicKey, completed, dryRun }
+ */
+export async function migrateWallets(storage, options = {}) {
+	const {
+		keyProvider,
+		dryRun = false,
+		batchSize = 100,
+		limit = Infinity,
+		onProgress = null
+	} = options;
+
+	if (!keyProvider) {
+		throw new Error('migrateWallets requires a keyProvider');
+	}
+
+	const checkpoint = options.checkpoint
+		|| (options.checkpointFile ? new FileCheckpoint(options.checkpointFile) : null);
+
+	// Resume from the last checkpoint (dry runs always start from the beginning)
+	const saved = checkpoint && !dryRun ? await checkpoint.load() : null;
+	const state = {
+		targetKeyId: keyProvider.getCurrentKeyId(),
+		lastPublicKey: null,
+		processed: 0,
+		migrated: 0,
+		skipped: 0,
+		failed: 0,
+		failures: [],
+		startedAt: new Date().toISOString(),
+		updatedAt: null,
+		completed: false,
+		dryRun
+	};
+
+	// A checkpoint for a different target key belongs to an older rotation
+	if (saved && !saved.completed && saved.targetKeyId === state.targetKeyId) {
+		Object.assign(state, saved, { dryRun });
+	}
+
+	let processedThisRun = 0;
+	let batchCount = 0;
+	let exhausted = true;
+
+	const saveProgress = async () => {
+		state.updatedAt = new Date().toISOString();
+		if (checkpoint && !dryRun) {
+			await checkpoint.save(state);
+		}
+		if (onProgress) {
+			onProgress({ ...state });
+		}
+	};
+
+	for await (const wallet of storage.iterateWallets({ after: state.lastPublicKey, batchSize })) {
+		// Another wallet is left once the limit is reached, so the run is not complete
+		if (processedThisRun >= limit) {
+			exhausted = false;
+			break;
+		}
+
+		await migrateWallet(storage, wallet, keyProvider, dryRun, state);
+		state.lastPublicKey = wallet.publicKey;
+		state.processed++;
+		processedThisRun++;
+
+		if (++batchCount >= batchSize) {
+			batchCount = 0;
+			await saveProgress();
+		}
+	}
+
+	state.completed = exhausted;
+	await saveProgress();
+
+	console.log(`[Zero Connector] Wallet migration ${dryRun ? '(dry run) ' : ''}processed ${state.processed}: ${state.migrated} migrated, ${state.skipped} skipped, ${state.failed} failed`);
+	return state;
+}
+
+/**
+ * Re-wrap a single wallet, recording the outcome in state
+ */
+async function migrateWallet(storage, wallet, keyProvider, dryRun, state) {
+	if (!needsRewrap(wallet.encryptedPrivateKey, keyProvider)) {
+		state.skipped++;
+		return;
+	}
+
+	try {
+		// Unwrapping proves the old key is still available, even on dry runs
+		const passwordEncryptedKey = await unwrapSecret(wallet.encryptedPrivateKey, keyProvider);
+		if (dryRun) {
+			state.migrated++;
+			return;
+		}
+
+		const encryptedPrivateKey = await wrapSecret(passwordEncryptedKey, keyProvider);
+
+		// Leave the record alone if the user changed their password meanwhile
+		const updated = await storage.updateCredentials(
+			wallet.publicKey,
+			encryptedPrivateKey,
+			wallet.passwordHash,
+			wallet.salt,
+			wallet.passwordHash
+		);
+		if (!updated) {
+			throw new Error('Wallet was modified or deleted during migration');
+		}
+
+		state.migrated++;
+	} catch (error) {
+		state.failed++;
+		state.failures.push({ publicKey: wallet.publicKey, error: error.message });
+	}
+}
@@ -0,0 +1,186 @@
+import { createHmac } from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import {
+	generateMnemonic as bip39GenerateMnemonic,
+	validateMnemonic as bip39ValidateMnemonic,
+	mnemonicToSeedSync
+} from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import bs58 from 'bs58';
+
+/**
+ * Mnemonic Module
+ * BIP39 recovery phrases and SLIP-0010 ed25519 key derivation
+ * compatible with Phantom, Solflare and the Solana CLI
+ */
+
+const HARDENED_OFFSET = 0x80000000;
+const SEED_SECRET_PREFIX = 'seed:';
+
+/**
+ * Get the Solana derivation path for an account index
+ * @param {number} accountIndex - Account index (default 0)
+ * @returns {string} Derivation path, e.g. m/44'/501'/0'/0'
+ */
+export function getDerivationPath(accountIndex = 0) {
+	return `m/44'/501'/${accountIndex}'/0'`;
+}
+
+/**
+ * Normalize an account index passed in by a caller
+ * Integer strings ('1') are accepted, as they arrive from query strings and forms.
+ * @param {number|string} accountIndex - Account index
+ * @returns {number|null} The index, or null if it is not a valid account index
+ */
+export function parseAccountIndex(accountIndex) {
+	if (typeof accountIndex === 'string' ? accountIndex.trim() === '' : typeof accountIndex !== 'number') {
+		return null;
+	}
+	const index = Number(accountIndex);
+	return Number.isInteger(index) && index >= 0 && index < HARDENED_OFFSET ? index : null;
+}
+
+/**
+ * Normalize a mnemonic entered by a user (case, surrounding and repeated whitespace)
+ * @param {string} mnemonic - Mnemonic phrase
+ * @returns {string} Normalized mnemonic
+ */
+export function normalizeMnemonic(mnemonic) {
+	return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Generate a new BIP39 mnemonic
+ * @param {number} strength - Entropy in bits: 128 (12 words) or 256 (24 words)
+ * @returns {string} Mnemonic phrase
+ */
+export function generateMnemonic(strength = 128) {
+	return bip39GenerateMnemonic(wordlist, strength);
+}
+
+/**
+ * Validate a BIP39 mnemonic (word list and checksum)
+ * @param {string} mnemonic - Mnemonic phrase
+ * @returns {boolean} True if valid
+ */
+export function validateMnemonic(mnemonic) {
+	if (typeof mnemonic !== 'string') {
+		return false;
+	}
+	return bip39ValidateMnemonic(normalizeMnemonic(mnemonic), wordlist);
+}
+
+/**
+ * Convert a mnemonic to a 64-byte BIP39 seed
+ * @param {string} mnemonic - Mnemonic phrase
+ * @param {string} passphrase - Optional BIP39 passphrase
+ * @returns {Buffer} Seed
+ */
+export function mnemonicToSeed(mnemonic, passphrase = '') {
+	return Buffer.from(mnemonicToSeedSync(normalizeMnemonic(mnemonic), passphrase));
+}
+
+/**
+ * Derive an ed25519 private key from a seed (SLIP-0010, hardened paths only)
+ * @param {Buffer} seed - BIP39 seed
+ * @param {string} path - Derivation path, e.g. m/44'/501'/0'/0'
+ * @returns {Buffer} 32-byte private key seed
+ */
+export function deriveEd25519Key(seed, path) {
+	const segments = path.split('/');
+	if (segments.shift() !== 'm') {
+		throw new Error('Invalid derivation path');
+	}
+
+	let digest = createHmac('sha512', 'ed25519 seed').update(seed).digest();
+	let key = digest.subarray(0, 32);
+	let chainCode = digest.subarray(32);
+
+	for (const segment of segments) {
+		if (!/^\d+'$/.test(segment)) {
+			throw new Error('ed25519 derivation only supports hardened path segments');
+		}
+
+		const index = Buffer.alloc(4);
+		index.writeUInt32BE(parseInt(segment, 10) + HARDENED_OFFSET);
+
+		digest = createHmac('sha512', chainCode)
+			.update(Buffer.concat([Buffer.alloc(1, 0), key, index]))
+			.digest();
+		key = digest.subarray(0, 32);
+		chainCode = digest.subarray(32);
+	}
+
+	return Buffer.from(key);
+}
+
+/**
+ * Derive a Solana keypair from a seed
+ * @param {Buffer} seed - BIP39 seed
+ * @param {number} accountIndex - Account index (default 0)
+ * @returns {Object} { publicKey: string, privateKey: string, derivationPath: string }
+ */
+export function keypairFromSeed(seed, accountIndex = 0) {
+	const derivationPath = getDerivationPath(accountIndex);
+	const keypair = Keypair.fromSeed(deriveEd25519Key(seed, derivationPath));
+	return {
+		publicKey: keypair.publicKey.toBase58(),
+		privateKey: bs58.encode(keypair.secretKey),
+		derivationPath
+	};
+}
+
+/**
+ * Derive a Solana keypair from a mnemonic
+ * @param {string} mnemonic - Mnemonic phrase
+ * @param {number} accountIndex - Account index (default 0)
+ * @param {string} passphrase - Optional BIP39 passphrase
+ * @returns {Object} { publicKey: string, privateKey: string, derivationPath: string }
+ */
+export function keypairFromMnemonic(mnemonic, accountIndex = 0, passphrase = '') {
+	if (!validateMnemonic(mnemonic)) {
+		throw new Error('Invalid mnemonic');
+	}
+	return keypairFromSeed(mnemonicToSeed(mnemonic, passphrase), accountIndex);
+}
+
+/**
+ * Encode a seed as the secret stored (encrypted) for seed-based wallets
+ * @param {Buffer} seed - BIP39 seed
+ * @returns {string} Seed secret
+ */
+export function encodeSeedSecret(seed) {
+	return `${SEED_SECRET_PREFIX}${seed.toString('hex')}`;
+}
+
+/**
+ * Check whether a decrypted wallet secret is a seed (HD wallet) rather than a single private key
+ * @param {string} secret - Decrypted wallet secret
+ * @returns {boolean}
+ */
+export function isSeedSecret(secret) {
+	return typeof secret === 'string' && secret.startsWith(SEED_SECRET_PREFIX);
+}
+
+/**
+ * Get the keypair for an account from a decrypted wallet secret
+ * @param {string} secret - Seed secret or base58 private key
+ * @param {number} accountIndex - Account index (default 0)
+ * @returns {Object} { publicKey: string, privateKey: string, derivationPath: string|null }
+ */
+export function keypairFromSecret(secret, accountIndex = 0) {
+	if (isSeedSecret(secret)) {
+		return keypairFromSeed(Buffer.from(secret.slice(SEED_SECRET_PREFIX.length), 'hex'), accountIndex);
+	}
+
+	if (accountIndex !== 0) {
+		throw new Error('Wallet is not seed-based and has no derived accounts');
+	}
+
+	const keypair = Keypair.fromSecretKey(bs58.decode(secret));
+	return {
+		publicKey: keypair.publicKey.toBase58(),
+		privateKey: secret,
+		derivationPath: null
+	};
+}
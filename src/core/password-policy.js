@@ -0,0 +1,225 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Password Policy
+ * Validates passwords and returns structured reasons a frontend can display:
+ *
+ *   { valid: false, entropy: 18.8, reasons: [{ code: 'too_short', message: '...', minLength: 12 }] }
+ *
+ * Reason codes: required, too_short, too_long, missing_lowercase,
+ * missing_uppercase, missing_digit, missing_symbol, too_few_character_classes,
+ * too_weak, banned, contains_public_key, plus any codes returned by custom rules.
+ */
+export class PasswordPolicy {
+	/**
+	 * @param {Object} options
+	 * @param {number} options.minLength - Minimum length (default 6)
+	 * @param {number} options.maxLength - Maximum length (default 1024)
+	 * @param {boolean} options.requireLowercase - Require a lowercase letter
+	 * @param {boolean} options.requireUppercase - Require an uppercase letter
+	 * @param {boolean} options.requireDigit - Require a digit
+	 * @param {boolean} options.requireSymbol - Require a symbol
+	 * @param {number} options.minCharacterClasses - Minimum number of different character classes (0-4)
+	 * @param {number} options.minEntropy - Minimum estimated entropy in bits
+	 * @param {Array<string>} options.bannedPasswords - Banned passwords (case-insensitive)
+	 * @param {string} options.bannedPasswordsFile - Path to a file with one banned password per line
+	 * @param {boolean} options.rejectPublicKey - Reject passwords containing the wallet's public key (default true)
+	 * @param {Array<Function>} options.rules - Custom rules: (password, context) => reason object or null
+	 */
+	constructor(options = {}) {
+		this.minLength = options.minLength ?? 6;
+		this.maxLength = options.maxLength ?? 1024;
+		this.requireLowercase = options.requireLowercase || false;
+		this.requireUppercase = options.requireUppercase || false;
+		this.requireDigit = options.requireDigit || false;
+		this.requireSymbol = options.requireSymbol || false;
+		this.minCharacterClasses = options.minCharacterClasses || 0;
+		this.minEntropy = options.minEntropy || 0;
+		this.rejectPublicKey = options.rejectPublicKey !== false;
+		this.rules = options.rules || [];
+
+		this.bannedPasswords = new Set((options.bannedPasswords || []).map(password => password.toLowerCase()));
+		if (options.bannedPasswordsFile) {
+			this.loadBannedPasswords(options.bannedPasswordsFile);
+		}
+	}
+
+	/**
+	 * Load banned passwords from a local file (one per line, # starts a comment)
+	 * @param {string} filePath - Path to the file
+	 * @returns {number} Number of passwords loaded
+	 */
+	loadBannedPasswords(filePath) {
+		const lines = readFileSync(filePath, 'utf-8').split(/\r?\n/);
+		let count = 0;
+
+		for (const line of lines) {
+			const password = line.trim();
+			if (password && !password.startsWith('#')) {
+				this.bannedPasswords.add(password.toLowerCase());
+				count++;
+			}
+		}
+
+		return count;
+	}
+
+	/**
+	 * Validate a password
+	 * @param {string} password - Password to check
+	 * @param {Object} context - { publicKey } of the wallet the password protects (optional)
+	 * @returns {Object} { valid, reasons, entropy }
+	 */
+	validate(password, context = {}) {
+		if (!password || typeof password !== 'string') {
+			return {
+				valid: false,
+				reasons: [{ code: 'required', message: 'Password is required' }],
+				entropy: 0
+			};
+		}
+
+		const reasons = [];
+		const classes = getCharacterClasses(password);
+		const entropy = estimateEntropy(password);
+
+		if (password.length < this.minLength) {
+			reasons.push({
+				code: 'too_short',
+				message: `Password must be at least ${this.minLength} characters long`,
+				minLength: this.minLength
+			});
+		}
+
+		if (password.length > this.maxLength) {
+			reasons.push({
+				code: 'too_long',
+				message: `Password must be at most ${this.maxLength} characters long`,
+				maxLength: this.maxLength
+			});
+		}
+
+		if (this.requireLowercase && !classes.lowercase) {
+			reasons.push({ code: 'missing_lowercase', message: 'Password must contain a lowercase letter' });
+		}
+		if (this.requireUppercase && !classes.uppercase) {
+			reasons.push({ code: 'missing_uppercase', message: 'Password must contain an uppercase letter' });
+		}
+		if (this.requireDigit && !classes.digit) {
+			reasons.push({ code: 'missing_digit', message: 'Password must contain a digit' });
+		}
+		if (this.requireSymbol && !classes.symbol) {
+			reasons.push({ code: 'missing_symbol', message: 'Password must contain a symbol' });
+		}
+
+		const classCount = Object.values(classes).filter(Boolean).length;
+		if (classCount < this.minCharacterClasses) {
+			reasons.push({
+				code: 'too_few_character_classes',
+				message: `Password must mix at least ${this.minCharacterClasses} of: lowercase, uppercase, digits, symbols`,
+				minCharacterClasses: this.minCharacterClasses
+			});
+		}
+
+		if (entropy < this.minEntropy) {
+			reasons.push({
+				code: 'too_weak',
+				message: 'Password is too easy to guess',
+				entropy,
+				minEntropy: this.minEntropy
+			});
+		}
+
+		if (this.bannedPasswords.has(password.toLowerCase())) {
+			reasons.push({ code: 'banned', message: 'Password is too common' });
+		}
+
+		if (this.rejectPublicKey && context.publicKey && containsPublicKey(password, context.publicKey)) {
+			reasons.push({ code: 'contains_public_key', message: 'Password must not contain the wallet address' });
+		}
+
+		for (const rule of this.rules) {
+			const reason = rule(password, context);
+			if (reason) {
+				reasons.push(reason);
+			}
+		}
+
+		return {
+			valid: reasons.length === 0,
+			reasons,
+			entropy
+		};
+	}
+}
+
+function getCharacterClasses(password) {
+	return {
+		lowercase: /[a-z]/.test(password),
+		uppercase: /[A-Z]/.test(password),
+		digit: /[0-9]/.test(password),
+		symbol: /[^a-zA-Z0-9]/.test(password)
+	};
+}
+
+/**
+ * Estimate password entropy in bits
+ * Uses the size of the character pool per character, discounting characters
+ * that repeat or continue a run (aaaa, 1234, abcd).
+ * @param {string} password - Password
+ * @returns {number} Estimated entropy in bits (one decimal)
+ */
+export function estimateEntropy(password) {
+	if (!password) {
+		return 0;
+	}
+
+	const classes = getCharacterClasses(password);
+	const pool = (classes.lowercase ? 26 : 0)
+		+ (classes.uppercase ? 26 : 0)
+		+ (classes.digit ? 10 : 0)
+		+ (classes.symbol ? 33 : 0);
+
+	const bitsPerCharacter = Math.log2(pool);
+	let bits = 0;
+	for (let i = 0; i < password.length; i++) {
+		const previous = i > 0 ? password.charCodeAt(i - 1) : null;
+		const current = password.charCodeAt(i);
+
+		// Repeats and sequential characters add almost nothing
+		if (previous !== null && Math.abs(current - previous) <= 1) {
+			bits += 1;
+		} else {
+			bits += bitsPerCharacter;
+		}
+	}
+
+	return Math.round(bits * 10) / 10;
+}
+
+function containsPublicKey(password, publicKey) {
+	const normalizedPassword = password.toLowerCase();
+	const normalizedKey = publicKey.toLowerCase();
+
+	// The full address, or the shortened form wallets display (first/last 8 characters)
+	return normalizedPassword.includes(normalizedKey)
+		|| normalizedPassword.includes(normalizedKey.slice(0, 8))
+		|| normalizedPassword.includes(normalizedKey.slice(-8));
+}
+
+/**
+ * Build a handler error result from a failed validation
+ * @param {Object} validation - Result of PasswordPolicy.validate()
+ * @returns {Object} { success: false, error, code: 'WEAK_PASSWORD', reasons }
+ */
+export function passwordPolicyError(validation) {
+	return {
+		success: false,
+		error: validation.reasons[0].message,
+		code: 'WEAK_PASSWORD',
+		reasons: validation.reasons
+	};
+}
+
+// Default policy (minimum length only)
+export const defaultPasswordPolicy = new PasswordPolicy();
@@ -0,0 +1,282 @@
+/**
+ * Session Stores
+ * Persistence backends for SessionManager. Sessions are keyed by a session ID
+ * (the SHA-256 hash of the bearer token, never the token itself) and are
+ * plain JSON-serializable objects with at least publicKey and expiresAt (ms).
+ */
+
+/**
+ * Abstract Session Store Interface
+ * All session stores must implement these methods
+ */
+export class SessionStore {
+	/**
+	 * Get a session
+	 * @param {string} sessionId - Session ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async get(sessionId) {
+		throw new Error('get() must be implemented');
+	}
+
+	/**
+	 * Create or replace a session
+	 * @param {string} sessionId - Session ID
+	 * @param {Object} session - Session data
+	 * @returns {Promise<void>}
+	 */
+	async set(sessionId, session) {
+		throw new Error('set() must be implemented');
+	}
+
+	/**
+	 * Delete a session
+	 * @param {string} sessionId - Session ID
+	 * @returns {Promise<boolean>} True if a session was deleted
+	 */
+	async delete(sessionId) {
+		throw new Error('delete() must be implemented');
+	}
+
+	/**
+	 * Delete a session and return it, atomically: of concurrent calls for the
+	 * same session only one gets it. The default relies on delete() reporting
+	 * whether it removed the session; stores override it to save a round trip.
+	 * @param {string} sessionId - Session ID
+	 * @returns {Promise<Object|null>} The deleted session, or null if there was none
+	 */
+	async take(sessionId) {
+		const session = await this.get(sessionId);
+		return session && await this.delete(sessionId) ? session : null;
+	}
+
+	/**
+	 * List the sessions of a wallet
+	 * @param {string} publicKey - Wallet public key
+	 * @returns {Promise<Array>} Array of { sessionId, session }
+	 */
+	async listByPublicKey(publicKey) {
+		throw new Error('listByPublicKey() must be implemented');
+	}
+
+	/**
+	 * Delete sessions that expired before a point in time
+	 * @param {number} now - Timestamp (ms)
+	 * @returns {Promise<number>} Number of sessions deleted
+	 */
+	async deleteExpired(now) {
+		throw new Error('deleteExpired() must be implemented');
+	}
+
+	/**
+	 * Count stored sessions
+	 * @returns {Promise<number>}
+	 */
+	async count() {
+		throw new Error('count() must be implemented');
+	}
+}
+
+/**
+ * In-memory Session Store
+ * Process-local; sessions are lost on restart and not shared between instances
+ */
+export class MemorySessionStore extends SessionStore {
+	constructor() {
+		super();
+		this.sessions = new Map();
+	}
+
+	async get(sessionId) {
+		return this.sessions.get(sessionId) || null;
+	}
+
+	async set(sessionId, session) {
+		this.sessions.set(sessionId, session);
+	}
+
+	async delete(sessionId) {
+		return this.sessions.delete(sessionId);
+	}
+
+	async take(sessionId) {
+		const session = this.sessions.get(sessionId) || null;
+		this.sessions.delete(sessionId);
+		return session;
+	}
+
+	async listByPublicKey(publicKey) {
+		const sessions = [];
+		for (const [sessionId, session] of this.sessions.entries()) {
+			if (session.publicKey === publicKey) {
+				sessions.push({ sessionId, session });
+			}
+		}
+		return sessions;
+	}
+
+	async deleteExpired(now) {
+		let count = 0;
+		for (const [sessionId, session] of this.sessions.entries()) {
+			if (now > session.expiresAt) {
+				this.sessions.delete(sessionId);
+				count++;
+			}
+		}
+		return count;
+	}
+
+	async count() {
+		return this.sessions.size;
+	}
+}
+
+/**
+ * Storage Adapter Session Store
+ * Keeps sessions next to the wallets, in the zero_sessions table (PostgreSQL),
+ * the sessions collection (MongoDB) or the data file (JSON)
+ */
+export class AdapterSessionStore extends SessionStore {
+	/**
+	 * @param {StorageAdapter} storage - Storage adapter implementing the session methods
+	 */
+	constructor(storage) {
+		super();
+		this.storage = storage;
+	}
+
+	async get(sessionId) {
+		return this.storage.getSession(sessionId);
+	}
+
+	async set(sessionId, session) {
+		await this.storage.saveSession(sessionId, session);
+	}
+
+	async delete(sessionId) {
+		return this.storage.deleteSession(sessionId);
+	}
+
+	async listByPublicKey(publicKey) {
+		return this.storage.getSessionsByPublicKey(publicKey);
+	}
+
+	async deleteExpired(now) {
+		return this.storage.deleteExpiredSessions(now);
+	}
+
+	async count() {
+		return this.storage.getSessionCount();
+	}
+}
+
+/**
+ * Redis Session Store
+ * Works with any server speaking the Redis protocol (Redis, Valkey, KeyDB,
+ * Dragonfly) through an ioredis or node-redis client. Sessions expire through
+ * key TTLs; a sorted set per wallet (scored by expiry) indexes its sessions.
+ */
+export class RedisSessionStore extends SessionStore {
+	/**
+	 * @param {Object} client - Connected ioredis or node-redis (v4+) client
+	 * @param {Object} options
+	 * @param {string} options.prefix - Key prefix (default 'zero-connector:')
+	 */
+	constructor(client, options = {}) {
+		super();
+		this.client = client;
+		this.prefix = options.prefix ?? 'zero-connector:';
+	}
+
+	/**
+	 * Send a raw command
+	 * ioredis exposes call(), node-redis sendCommand() with an argument array
+	 */
+	async command(...args) {
+		if (typeof this.client.call === 'function') {
+			return this.client.call(...args);
+		}
+		return this.client.sendCommand(args.map(String));
+	}
+
+	sessionKey(sessionId) {
+		return `${this.prefix}session:${sessionId}`;
+	}
+
+	indexKey(publicKey) {
+		return `${this.prefix}wallet-sessions:${publicKey}`;
+	}
+
+	async get(sessionId) {
+		const value = await this.command('GET', this.sessionKey(sessionId));
+		return value ? JSON.parse(value) : null;
+	}
+
+	async set(sessionId, session) {
+		const ttl = session.expiresAt - Date.now();
+		if (ttl <= 0) {
+			await this.delete(sessionId);
+			return;
+		}
+
+		const indexKey = this.indexKey(session.publicKey);
+		await this.command('SET', this.sessionKey(sessionId), JSON.stringify(session), 'PX', ttl);
+		await this.command('ZADD', indexKey, session.expiresAt, sessionId);
+
+		// Keep the index until its longest-lived session expires
+		const [, latestExpiry] = await this.command('ZRANGE', indexKey, -1, -1, 'WITHSCORES');
+		await this.command('PEXPIREAT', indexKey, latestExpiry);
+	}
+
+	async delete(sessionId) {
+		const session = await this.get(sessionId);
+		const deleted = await this.command('DEL', this.sessionKey(sessionId));
+		if (session) {
+			await this.command('ZREM', this.indexKey(session.publicKey), sessionId);
+		}
+		return Number(deleted) > 0;
+	}
+
+	async take(sessionId) {
+		// GETDEL needs Redis 6.2 or later
+		const value = await this.command('GETDEL', this.sessionKey(sessionId));
+		if (!value) {
+			return null;
+		}
+
+		const session = JSON.parse(value);
+		await this.command('ZREM', this.indexKey(session.publicKey), sessionId);
+		return session;
+	}
+
+	async listByPublicKey(publicKey) {
+		const indexKey = this.indexKey(publicKey);
+		await this.command('ZREMRANGEBYSCORE', indexKey, '-inf', Date.now());
+
+		const sessionIds = await this.command('ZRANGE', indexKey, 0, -1);
+		if (sessionIds.length === 0) {
+			return [];
+		}
+
+		const values = await this.command('MGET', ...sessionIds.map(sessionId => this.sessionKey(sessionId)));
+		return sessionIds
+			.map((sessionId, i) => ({ sessionId, session: values[i] ? JSON.parse(values[i]) : null }))
+			.filter(entry => entry.session !== null);
+	}
+
+	async deleteExpired(now) {
+		// Redis removes expired sessions itself
+		return 0;
+	}
+
+	async count() {
+		let cursor = '0';
+		let count = 0;
+		do {
+			const [nextCursor, keys] = await this.command('SCAN', cursor, 'MATCH', `${this.prefix}session:*`, 'COUNT', 1000);
+			cursor = String(nextCursor);
+			count += keys.length;
+		} while (cursor !== '0');
+		return count;
+	}
+}
@@ -1,15 +1,63 @@
-import { generateToken } from './crypto.js';
+import { randomBytes, hkdfSync, createCipheriv, createDecipheriv } from 'crypto';
+import { generateToken, hashToken } from './crypto.js';
+import { MemorySessionStore } from './session-store.js';
+import { AuthenticationError } from './errors.js';
+
+const SESSION_KEY_INFO = 'zero-connector session key';
 
 /**
  * Session Manager
  * Handles session creation, verification, and cleanup
+ * Sessions live in a SessionStore (in-memory by default) under the hash of their token
+ *
+ * With wrapPrivateKeys (the default), a session's private key is stored
+ * encrypted under a key derived from the session token, which only the client
+ * holds, and a random salt kept in the session record. Neither the store nor
+ * the token alone can recover it; see revealPrivateKey().
+ *
+ * Lifetimes: a session expires sessionDuration after creation, or after its
+ * last use when slidingExpiration is on, but never later than
+ * absoluteLifetime after creation. With idleTimeout set, a session unused for
+ * that long expires early. Sessions holding a private key can be given
+ * shorter signing* values than read-only sessions.
+ *
+ * Locking: with unlockWindow set, a session holds its private key only for
+ * that long after login or unlockSession(), or until signingIdleTimeout of
+ * inactivity. It then falls back to a locked, read-only state instead of
+ * expiring, and keeps the read-only lifetimes throughout.
+ *
+ * Refresh tokens: with refreshTokenDuration set, issueRefreshToken() starts a
+ * token family for a login. Each refreshSession() call spends the refresh
+ * token and issues a new access session and refresh token in the same family.
+ * Presenting a spent refresh token again means it was copied, so the whole
+ * family is revoked. Refresh records live in the same store as sessions.
  */
 export class SessionManager {
 	constructor(options = {}) {
-		this.sessions = new Map();
+		this.store = options.store || new MemorySessionStore();
+		this.wrapPrivateKeys = options.wrapPrivateKeys !== false;
 		this.sessionDuration = options.sessionDuration || (24 * 60 * 60 * 1000); // 24 hours default
 		this.cleanupInterval = options.cleanupInterval || (60 * 60 * 1000); // 1 hour default
 		
+		this.slidingExpiration = options.slidingExpiration || false;
+		this.idleTimeout = options.idleTimeout || null;
+		this.absoluteLifetime = options.absoluteLifetime || null;
+		
+		// Sessions that can sign default to the read-only lifetimes
+		this.signingSessionDuration = options.signingSessionDuration || this.sessionDuration;
+		this.signingIdleTimeout = options.signingIdleTimeout || this.idleTimeout;
+		this.signingAbsoluteLifetime = options.signingAbsoluteLifetime || this.absoluteLifetime;
+		
+		// Locking (see above); startLocked creates every session without its key
+		this.unlockWindow = options.unlockWindow || null;
+		this.startLocked = options.startLocked || false;
+		
+		// Refresh token lifetime; refresh tokens are off unless it is set
+		this.refreshTokenDuration = options.refreshTokenDuration || null;
+		
+		// Minimum time between lastSeenAt writes, so busy sessions don't write to the store on every request
+		this.touchInterval = options.touchInterval ?? Math.min(60 * 1000, (this.idleTimeout || Infinity) / 10);
+		
 		// Start automatic cleanup
 		if (options.autoCleanup !== false) {
 			this.startCleanup();
@@ -19,105 +67,495 @@ export class SessionManager {
 	/**
 	 * Create a new session
 	 * @param {string} publicKey - User's public key
-	 * @param {string} privateKey - Optional decrypted private key for transactions
-	 * @param {Object} metadata - Additional session metadata
-	 * @returns {string} Session token
+	 * @param {string} privateKey - Optional decrypted private key (or HD wallet seed secret) for transactions
+	 * @param {Object} metadata - Additional session metadata ({ userAgent, ip } are shown by listSessions)
+	 * @returns {Promise<string>} Session token
 	 */
-	createSession(publicKey, privateKey = null, metadata = {}) {
+	async createSession(publicKey, privateKey = null, metadata = {}) {
 		const sessionToken = generateToken(32);
+		await this.saveSession(sessionToken, {
+			publicKey,
+			privateKey: this.startLocked ? null : privateKey,
+			metadata,
+			loginAt: Date.now()
+		});
+		return sessionToken;
+	}
+	
+	/**
+	 * Write a new session record
+	 * Lifetimes count from loginAt, which is earlier than now for refreshed sessions.
+	 */
+	async saveSession(sessionToken, { publicKey, privateKey, metadata, loginAt, familyId = null, unlockedUntil = null }) {
+		const now = Date.now();
+		let key = privateKey;
+		let lifetimes = this.getLifetimes(Boolean(key) && !this.unlockWindow);
+		if (key && lifetimes.absoluteLifetime && now >= loginAt + lifetimes.absoluteLifetime) {
+			// Past the signing lifetime: carry on read-only
+			key = null;
+			lifetimes = this.getLifetimes(false);
+		}
+		
+		const absoluteExpiresAt = lifetimes.absoluteLifetime ? loginAt + lifetimes.absoluteLifetime : null;
+		const expiresAt = capExpiry(now + lifetimes.duration, absoluteExpiresAt);
+		const keyFields = this.keyFields(key, sessionToken, now, expiresAt, this.unlockWindow);
+		if (keyFields.unlockedUntil && unlockedUntil) {
+			keyFields.unlockedUntil = Math.min(unlockedUntil, expiresAt);
+		}
 		
-		this.sessions.set(sessionToken, {
+		await this.store.set(hashToken(sessionToken), {
 			publicKey,
-			privateKey,
+			...keyFields,
 			metadata,
-			createdAt: Date.now(),
-			expiresAt: Date.now() + this.sessionDuration
+			familyId,
+			createdAt: loginAt,
+			lastSeenAt: now,
+			expiresAt,
+			absoluteExpiresAt
 		});
+	}
+	
+	/**
+	 * Start a refresh token family for a session
+	 * @param {string} sessionToken - Session token returned by createSession
+	 * @param {string} privateKey - Private key to carry over into refreshed sessions (optional)
+	 * @returns {Promise<string|null>} Refresh token, or null when refresh tokens are disabled
+	 */
+	async issueRefreshToken(sessionToken, privateKey = null) {
+		if (!this.refreshTokenDuration || !sessionToken) {
+			return null;
+		}
 		
-		return sessionToken;
+		const sessionId = hashToken(sessionToken);
+		const session = await this.getStoredSession(sessionId);
+		if (!session) {
+			return null;
+		}
+		
+		const familyId = generateToken(16);
+		await this.store.set(sessionId, { ...session, familyId });
+		
+		// The family lasts at most the read-only absolute lifetime from login
+		const { absoluteLifetime } = this.getLifetimes(false);
+		return this.saveRefreshToken({
+			publicKey: session.publicKey,
+			familyId,
+			sessionId,
+			metadata: session.metadata,
+			loginAt: session.createdAt,
+			absoluteExpiresAt: absoluteLifetime ? session.createdAt + absoluteLifetime : null,
+			unlockedUntil: session.unlockedUntil || null
+		}, canSign(session) ? privateKey : null);
+	}
+	
+	/**
+	 * Write a new refresh token record
+	 * The private key is always sealed under the refresh token, whatever wrapPrivateKeys says.
+	 */
+	async saveRefreshToken(family, privateKey) {
+		const refreshToken = generateToken(32);
+		const now = Date.now();
+		
+		await this.store.set(refreshTokenId(refreshToken), {
+			type: 'refresh',
+			...family,
+			issuedAt: now,
+			usedAt: null,
+			expiresAt: capExpiry(now + this.refreshTokenDuration, family.absoluteExpiresAt),
+			wrappedPrivateKey: privateKey ? sealPrivateKey(privateKey, refreshToken) : null
+		});
+		return refreshToken;
+	}
+	
+	/**
+	 * Exchange a refresh token for a new session and refresh token (rotation)
+	 * Reusing a spent refresh token revokes every session and refresh token of its family.
+	 * @param {string} refreshToken - Refresh token
+	 * @param {Object} metadata - Metadata to merge into the session ({ userAgent, ip })
+	 * @returns {Promise<Object|null>} { sessionToken, refreshToken, publicKey }, or null if the refresh token is invalid
+	 * @throws {AuthenticationError} With code 'REFRESH_TOKEN_REUSED' when a spent token is presented again
+	 */
+	async refreshSession(refreshToken, metadata = {}) {
+		if (!refreshToken) {
+			return null;
+		}
+		
+		// Claim the token: of concurrent refreshes with the same token only one
+		// gets the record, the others find nothing and fail
+		const recordId = refreshTokenId(refreshToken);
+		const record = await this.store.take(recordId);
+		const now = Date.now();
+		if (!record || record.type !== 'refresh' || now > record.expiresAt) {
+			return null;
+		}
+		
+		if (record.usedAt) {
+			console.warn('[Zero Connector] Refresh token reuse detected; revoking its token family');
+			await this.revokeFamily(record.publicKey, record.familyId);
+			
+			throw new AuthenticationError('REFRESH_TOKEN_REUSED');
+		}
+		
+		// Put the token back as spent; the record stays behind to detect reuse until it expires
+		await this.store.set(recordId, { ...record, usedAt: now, wrappedPrivateKey: null });
+		
+		// Refreshed sessions only get the key back while the login's unlock window lasts
+		let privateKey = record.wrappedPrivateKey ? openPrivateKey(record.wrappedPrivateKey, refreshToken) : null;
+		if (record.unlockedUntil && now > record.unlockedUntil) {
+			privateKey = null;
+		}
+		
+		const family = {
+			publicKey: record.publicKey,
+			familyId: record.familyId,
+			metadata: { ...record.metadata, ...metadata },
+			loginAt: record.loginAt,
+			absoluteExpiresAt: record.absoluteExpiresAt,
+			unlockedUntil: privateKey ? record.unlockedUntil : null
+		};
+		
+		// The previous access session is replaced
+		await this.store.delete(record.sessionId);
+		
+		const sessionToken = generateToken(32);
+		await this.saveSession(sessionToken, { ...family, privateKey });
+		const nextRefreshToken = await this.saveRefreshToken({ ...family, sessionId: hashToken(sessionToken) }, privateKey);
+		
+		return { sessionToken, refreshToken: nextRefreshToken, publicKey: record.publicKey };
+	}
+	
+	/**
+	 * Delete every session and refresh token of a token family
+	 * @param {string} publicKey - User's public key
+	 * @param {string} familyId - Token family ID
+	 * @returns {Promise<number>} Number of sessions deleted
+	 */
+	async revokeFamily(publicKey, familyId) {
+		const sessions = await this.store.listByPublicKey(publicKey);
+		
+		let count = 0;
+		for (const { sessionId, session } of sessions) {
+			if (session.familyId === familyId && await this.store.delete(sessionId) && isSessionRecord(session)) {
+				count++;
+			}
+		}
+		return count;
+	}
+	
+	/**
+	 * Build the key-related fields of a session record
+	 */
+	keyFields(privateKey, sessionToken, now, expiresAt, unlockWindow) {
+		if (!privateKey) {
+			return { privateKey: null, wrappedPrivateKey: null, unlockedUntil: null };
+		}
+		
+		const wrap = this.wrapPrivateKeys;
+		return {
+			privateKey: wrap ? null : privateKey,
+			wrappedPrivateKey: wrap ? sealPrivateKey(privateKey, sessionToken) : null,
+			unlockedUntil: unlockWindow ? Math.min(now + unlockWindow, expiresAt) : null
+		};
+	}
+	
+	/**
+	 * Get a stored session by ID
+	 * Refresh tokens and nonces share the store but never count as sessions.
+	 * @param {string} sessionId - Session ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getStoredSession(sessionId) {
+		const session = await this.store.get(sessionId);
+		return session && isSessionRecord(session) ? session : null;
+	}
+	
+	/**
+	 * Get the lifetime settings for a session
+	 * @param {boolean} canSign - Whether the session holds a private key
+	 * @returns {Object} { duration, idleTimeout, absoluteLifetime }
+	 */
+	getLifetimes(canSign) {
+		return canSign
+			? { duration: this.signingSessionDuration, idleTimeout: this.signingIdleTimeout, absoluteLifetime: this.signingAbsoluteLifetime }
+			: { duration: this.sessionDuration, idleTimeout: this.idleTimeout, absoluteLifetime: this.absoluteLifetime };
+	}
+	
+	/**
+	 * Check whether a session has expired, by lifetime or inactivity
+	 * @param {Object} session - Session data
+	 * @param {number} now - Timestamp (ms)
+	 * @returns {boolean}
+	 */
+	isExpired(session, now = Date.now()) {
+		if (now > session.expiresAt) {
+			return true;
+		}
+		
+		const { idleTimeout } = this.lifetimesFor(session);
+		return Boolean(idleTimeout) && now - (session.lastSeenAt || session.createdAt) > idleTimeout;
+	}
+	
+	/**
+	 * Get the lifetimes that apply to a stored session
+	 * (always the read-only ones when locking is enabled)
+	 */
+	lifetimesFor(session) {
+		return this.getLifetimes(canSign(session) && !this.unlockWindow);
+	}
+	
+	/**
+	 * Check whether a session is locked (cannot sign)
+	 * @param {Object} session - Session data
+	 * @param {number} now - Timestamp (ms)
+	 * @returns {boolean}
+	 */
+	isLocked(session, now = Date.now()) {
+		return !canSign(session) || Boolean(session.unlockedUntil && now > session.unlockedUntil);
+	}
+	
+	/**
+	 * Check whether an unlocked session has to fall back to locked
+	 */
+	isLockDue(session, now) {
+		if (!canSign(session)) {
+			return false;
+		}
+		if (this.isLocked(session, now)) {
+			return true;
+		}
+		return Boolean(this.unlockWindow && this.signingIdleTimeout)
+			&& now - (session.lastSeenAt || session.createdAt) > this.signingIdleTimeout;
 	}
 	
 	/**
 	 * Verify and get session data
 	 * @param {string} sessionToken - Session token to verify
-	 * @returns {Object|null} Session data or null if invalid/expired
+	 * @returns {Promise<Object|null>} Session data or null if invalid/expired
 	 */
-	verifySession(sessionToken) {
+	async verifySession(sessionToken) {
 		if (!sessionToken) {
 			return null;
 		}
 		
-		const session = this.sessions.get(sessionToken);
-		if (!session) {
+		const sessionId = hashToken(sessionToken);
+		const stored = await this.getStoredSession(sessionId);
+		if (!stored) {
 			return null;
 		}
 		
+		// Drop the key once the unlock window has passed
+		const now = Date.now();
+		let session = stored;
+		if (this.isLockDue(session, now)) {
+			session = withoutKey(session);
+		}
+		
 		// Check if session is expired
-		if (Date.now() > session.expiresAt) {
-			this.sessions.delete(sessionToken);
+		if (this.isExpired(session, now)) {
+			await this.store.delete(sessionId);
 			return null;
 		}
 		
+		// Record activity and slide the expiration forward
+		if (now - (session.lastSeenAt || session.createdAt) >= this.touchInterval) {
+			session = { ...session, lastSeenAt: now };
+			if (this.slidingExpiration) {
+				const { duration } = this.lifetimesFor(session);
+				session.expiresAt = capExpiry(Math.max(session.expiresAt, now + duration), session.absoluteExpiresAt);
+			}
+		}
+		
+		if (session !== stored) {
+			await this.store.set(sessionId, session);
+		}
 		return session;
 	}
 	
 	/**
-	 * Delete a session
+	 * Put a private key (back) into a session after the password was re-verified (step-up)
+	 * @param {string} sessionToken - Session token
+	 * @param {string} privateKey - Decrypted private key (or seed secret)
+	 * @param {number} duration - How long the session may sign (ms), defaults to unlockWindow
+	 * @returns {Promise<Object|null>} { unlockedUntil } (null = until the session ends), or null if the session is invalid
+	 */
+	async unlockSession(sessionToken, privateKey, duration = null) {
+		const session = await this.verifySession(sessionToken);
+		if (!session) {
+			return null;
+		}
+		
+		const fields = this.keyFields(privateKey, sessionToken, Date.now(), session.expiresAt, duration || this.unlockWindow);
+		await this.store.set(hashToken(sessionToken), { ...session, ...fields });
+		return { unlockedUntil: fields.unlockedUntil };
+	}
+	
+	/**
+	 * Remove the private key from a session, leaving it read-only
+	 * @param {string} sessionToken - Session token
+	 * @returns {Promise<boolean>} True if the session exists
+	 */
+	async lockSession(sessionToken) {
+		const session = await this.verifySession(sessionToken);
+		if (!session) {
+			return false;
+		}
+		
+		if (canSign(session)) {
+			await this.store.set(hashToken(sessionToken), withoutKey(session));
+		}
+		return true;
+	}
+	
+	/**
+	 * Get the non-secret ID of a session
+	 * The ID identifies a session in listings and revocations but cannot be used to authenticate.
+	 * @param {string} sessionToken - Session token
+	 * @returns {string|null} Session ID
+	 */
+	getSessionId(sessionToken) {
+		return sessionToken ? hashToken(sessionToken) : null;
+	}
+	
+	/**
+	 * List the active sessions of a wallet, most recently used first
+	 * Never includes tokens or key material.
+	 * @param {string} publicKey - User's public key
+	 * @returns {Promise<Array>} Array of { sessionId, userAgent, ip, createdAt, lastSeenAt, expiresAt, canSign, unlockedUntil, nonCustodial }
+	 */
+	async listSessions(publicKey) {
+		const now = Date.now();
+		const sessions = await this.store.listByPublicKey(publicKey);
+		
+		return sessions
+			.filter(({ session }) => isSessionRecord(session) && !this.isExpired(session, now))
+			.map(({ sessionId, session }) => ({
+				sessionId,
+				userAgent: session.metadata?.userAgent || null,
+				ip: session.metadata?.ip || null,
+				createdAt: session.createdAt,
+				lastSeenAt: session.lastSeenAt || session.createdAt,
+				expiresAt: session.expiresAt,
+				canSign: canSign(session) && !this.isLockDue(session, now),
+				unlockedUntil: session.unlockedUntil || null,
+				nonCustodial: Boolean(session.metadata?.nonCustodial)
+			}))
+			.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+	}
+	
+	/**
+	 * Revoke a session of a wallet by its ID
+	 * @param {string} publicKey - User's public key
+	 * @param {string} sessionId - Session ID from listSessions
+	 * @returns {Promise<boolean>} True if the session was revoked
+	 */
+	async revokeSession(publicKey, sessionId) {
+		const session = sessionId ? await this.store.get(sessionId) : null;
+		
+		// Only the wallet's own sessions can be revoked
+		if (!session || session.publicKey !== publicKey || !isSessionRecord(session)) {
+			return false;
+		}
+		
+		// Revoking a device also revokes its refresh token
+		if (session.familyId) {
+			return await this.revokeFamily(publicKey, session.familyId) > 0;
+		}
+		return this.store.delete(sessionId);
+	}
+	
+	/**
+	 * Get the decrypted private key of a session
+	 * Callers should use the key for a single operation and not keep it around.
+	 * @param {string} sessionToken - Session token
+	 * @param {Object} session - Session returned by verifySession (looked up when omitted)
+	 * @returns {Promise<string|null>} Private key (or seed secret), null if the session has none
+	 */
+	async revealPrivateKey(sessionToken, session = null) {
+		const current = session || await this.verifySession(sessionToken);
+		if (!current || this.isLocked(current)) {
+			return null;
+		}
+		
+		if (current.wrappedPrivateKey) {
+			return openPrivateKey(current.wrappedPrivateKey, sessionToken);
+		}
+		return current.privateKey || null;
+	}
+	
+	/**
+	 * Delete a session (and its refresh token family)
 	 * @param {string} sessionToken - Session token to delete
-	 * @returns {boolean} True if session was deleted
+	 * @returns {Promise<boolean>} True if session was deleted
 	 */
-	deleteSession(sessionToken) {
-		return this.sessions.delete(sessionToken);
+	async deleteSession(sessionToken) {
+		if (!sessionToken) {
+			return false;
+		}
+		
+		const sessionId = hashToken(sessionToken);
+		const session = await this.getStoredSession(sessionId);
+		if (session?.familyId) {
+			return await this.revokeFamily(session.publicKey, session.familyId) > 0;
+		}
+		return this.store.delete(sessionId);
 	}
 	
 	/**
 	 * Update session metadata
 	 * @param {string} sessionToken - Session token
 	 * @param {Object} metadata - New metadata to merge
-	 * @returns {boolean} True if session was updated
+	 * @returns {Promise<boolean>} True if session was updated
 	 */
-	updateSession(sessionToken, metadata) {
-		const session = this.sessions.get(sessionToken);
+	async updateSession(sessionToken, metadata) {
+		if (!sessionToken) {
+			return false;
+		}
+		
+		const sessionId = hashToken(sessionToken);
+		const session = await this.getStoredSession(sessionId);
 		if (!session) {
 			return false;
 		}
 		
-		session.metadata = { ...session.metadata, ...metadata };
-		this.sessions.set(sessionToken, session);
+		await this.store.set(sessionId, {
+			...session,
+			metadata: { ...session.metadata, ...metadata }
+		});
 		return true;
 	}
 	
 	/**
 	 * Extend session expiration
 	 * @param {string} sessionToken - Session token
-	 * @param {number} duration - Duration to extend (ms), defaults to sessionDuration
-	 * @returns {boolean} True if session was extended
+	 * @param {number} duration - Duration to extend (ms), defaults to the session's duration
+	 * @returns {Promise<boolean>} True if session was extended
 	 */
-	extendSession(sessionToken, duration = null) {
-		const session = this.sessions.get(sessionToken);
+	async extendSession(sessionToken, duration = null) {
+		if (!sessionToken) {
+			return false;
+		}
+		
+		const sessionId = hashToken(sessionToken);
+		const session = await this.getStoredSession(sessionId);
 		if (!session) {
 			return false;
 		}
 		
-		session.expiresAt = Date.now() + (duration || this.sessionDuration);
-		this.sessions.set(sessionToken, session);
+		// Extensions never go past the absolute lifetime
+		const { duration: defaultDuration } = this.lifetimesFor(session);
+		await this.store.set(sessionId, {
+			...session,
+			expiresAt: capExpiry(Date.now() + (duration || defaultDuration), session.absoluteExpiresAt)
+		});
 		return true;
 	}
 	
 	/**
 	 * Clean up expired sessions
-	 * @returns {number} Number of sessions cleaned up
+	 * @returns {Promise<number>} Number of sessions cleaned up
 	 */
-	cleanupExpiredSessions() {
-		const now = Date.now();
-		let count = 0;
-		
-		for (const [token, session] of this.sessions.entries()) {
-			if (now > session.expiresAt) {
-				this.sessions.delete(token);
-				count++;
-			}
-		}
+	async cleanupExpiredSessions() {
+		const count = await this.store.deleteExpired(Date.now());
 		
 		if (count > 0) {
 			console.log(`Cleaned up ${count} expired sessions`);
@@ -131,7 +569,9 @@ export class SessionManager {
 	 */
 	startCleanup() {
 		this.cleanupTimer = setInterval(
-			() => this.cleanupExpiredSessions(),
+			() => this.cleanupExpiredSessions().catch(error => {
+				console.error('[Zero Connector] Error cleaning up sessions:', error);
+			}),
 			this.cleanupInterval
 		);
 	}
@@ -148,39 +588,98 @@ export class SessionManager {
 	
 	/**
 	 * Get session count
-	 * @returns {number} Number of active sessions
+	 * @returns {Promise<number>} Number of stored sessions
 	 */
-	getSessionCount() {
-		return this.sessions.size;
+	async getSessionCount() {
+		return this.store.count();
 	}
 	
 	/**
 	 * Get all sessions for a public key
 	 * @param {string} publicKey - User's public key
-	 * @returns {Array} Array of session tokens
+	 * @returns {Promise<Array>} Array of session IDs (token hashes; tokens themselves are never stored)
 	 */
-	getSessionsByPublicKey(publicKey) {
-		const tokens = [];
-		for (const [token, session] of this.sessions.entries()) {
-			if (session.publicKey === publicKey) {
-				tokens.push(token);
-			}
-		}
-		return tokens;
+	async getSessionsByPublicKey(publicKey) {
+		const sessions = await this.store.listByPublicKey(publicKey);
+		return sessions
+			.filter(({ session }) => isSessionRecord(session))
+			.map(({ sessionId }) => sessionId);
 	}
 	
 	/**
-	 * Delete all sessions for a public key
+	 * Delete all sessions and refresh tokens for a public key
 	 * @param {string} publicKey - User's public key
-	 * @returns {number} Number of sessions deleted
+	 * @param {string} exceptToken - Session token to keep, along with its refresh token (optional)
+	 * @returns {Promise<number>} Number of sessions deleted
 	 */
-	deleteSessionsByPublicKey(publicKey) {
-		const tokens = this.getSessionsByPublicKey(publicKey);
-		tokens.forEach(token => this.sessions.delete(token));
-		return tokens.length;
+	async deleteSessionsByPublicKey(publicKey, exceptToken = null) {
+		const exceptId = exceptToken ? hashToken(exceptToken) : null;
+		const sessions = await this.store.listByPublicKey(publicKey);
+		const exceptFamily = sessions.find(({ sessionId }) => sessionId === exceptId)?.session.familyId || null;
+		
+		let count = 0;
+		for (const { sessionId, session } of sessions) {
+			if (sessionId === exceptId || (exceptFamily && session.familyId === exceptFamily)) {
+				continue;
+			}
+			if (await this.store.delete(sessionId) && isSessionRecord(session)) {
+				count++;
+			}
+		}
+		return count;
 	}
 }
 
+function canSign(session) {
+	return Boolean(session.privateKey || session.wrappedPrivateKey);
+}
+
+// Refresh tokens (and other records sharing a store, like SIWS nonces) carry a type
+function isSessionRecord(session) {
+	return !session.type;
+}
+
+// Domain-separated from session IDs, so a refresh token never works as a session token
+function refreshTokenId(refreshToken) {
+	return hashToken(`refresh:${refreshToken}`);
+}
+
+function withoutKey(session) {
+	return { ...session, privateKey: null, wrappedPrivateKey: null, unlockedUntil: null };
+}
+
+function capExpiry(expiresAt, absoluteExpiresAt) {
+	return absoluteExpiresAt ? Math.min(expiresAt, absoluteExpiresAt) : expiresAt;
+}
+
+function deriveSessionKey(sessionToken, salt) {
+	return Buffer.from(hkdfSync('sha256', sessionToken, salt, SESSION_KEY_INFO, 32));
+}
+
+/**
+ * Encrypt a private key for a session record
+ * @returns {string} base64url(salt | iv | authTag | ciphertext)
+ */
+function sealPrivateKey(privateKey, sessionToken) {
+	const salt = randomBytes(16);
+	const iv = randomBytes(12);
+	const cipher = createCipheriv('aes-256-gcm', deriveSessionKey(sessionToken, salt), iv);
+	const encrypted = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+	
+	return Buffer.concat([salt, iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+/**
+ * Decrypt a private key sealed by sealPrivateKey
+ */
+function openPrivateKey(wrappedPrivateKey, sessionToken) {
+	const buffer = Buffer.from(wrappedPrivateKey, 'base64url');
+	const decipher = createDecipheriv('aes-256-gcm', deriveSessionKey(sessionToken, buffer.subarray(0, 16)), buffer.subarray(16, 28));
+	decipher.setAuthTag(buffer.subarray(28, 44));
+	
+	return Buffer.concat([decipher.update(buffer.subarray(44)), decipher.final()]).toString('utf8');
+}
+
 // Create a default singleton instance
 export const defaultSessionManager = new SessionManager();
 
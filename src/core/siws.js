@@ -0,0 +1,251 @@
+import { createPublicKey, verify } from 'crypto';
+import bs58 from 'bs58';
+import { generateToken, hashToken } from './crypto.js';
+import { validateAddress } from './solana.js';
+import { MemorySessionStore } from './session-store.js';
+
+/**
+ * Sign-In With Solana (SIWS)
+ * Challenge/response login for wallets whose keys we never hold. The server
+ * issues a message in the EIP-4361 layout used by Solana wallets:
+ *
+ *   example.com wants you to sign in with your Solana account:
+ *   <address>
+ *
+ *   <statement>
+ *
+ *   URI: https://example.com
+ *   Version: 1
+ *   Chain ID: mainnet
+ *   Nonce: <nonce>
+ *   Issued At: <ISO 8601>
+ *   Expiration Time: <ISO 8601>
+ *
+ * The wallet signs the message bytes (UTF-8) with Ed25519. Each nonce can be
+ * used once: it is deleted from the nonce store on use, and a store delete
+ * only reports success to one caller.
+ */
+
+const HEADER_SUFFIX = ' wants you to sign in with your Solana account:';
+
+// Message field labels and the names we parse them into
+const FIELD_NAMES = {
+	'URI': 'uri',
+	'Version': 'version',
+	'Chain ID': 'chainId',
+	'Nonce': 'nonce',
+	'Issued At': 'issuedAt',
+	'Expiration Time': 'expirationTime',
+	'Not Before': 'notBefore',
+	'Request ID': 'requestId'
+};
+
+// Allowed clock difference between us and the issuer of Issued At
+const CLOCK_SKEW = 60 * 1000;
+
+/**
+ * Map a Solana cluster name to its SIWS chain ID
+ * @param {string} network - 'mainnet-beta', 'devnet' or 'testnet'
+ * @returns {string}
+ */
+export function chainIdForNetwork(network) {
+	return network === 'mainnet-beta' ? 'mainnet' : network;
+}
+
+/**
+ * Build a SIWS message
+ * @param {Object} fields - { domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime }
+ * @returns {string}
+ */
+export function createSiwsMessage(fields) {
+	const lines = [`${fields.domain}${HEADER_SUFFIX}`, fields.address, ''];
+	if (fields.statement) {
+		lines.push(fields.statement, '');
+	}
+	if (fields.uri) {
+		lines.push(`URI: ${fields.uri}`);
+	}
+	lines.push(`Version: ${fields.version || '1'}`);
+	if (fields.chainId) {
+		lines.push(`Chain ID: ${fields.chainId}`);
+	}
+	lines.push(`Nonce: ${fields.nonce}`, `Issued At: ${fields.issuedAt}`);
+	if (fields.expirationTime) {
+		lines.push(`Expiration Time: ${fields.expirationTime}`);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Parse a SIWS message
+ * @param {string} message - Message text
+ * @returns {Object|null} Fields (see createSiwsMessage), or null if the message is malformed
+ */
+export function parseSiwsMessage(message) {
+	if (typeof message !== 'string') {
+		return null;
+	}
+
+	const lines = message.split('\n');
+	if (!lines[0]?.endsWith(HEADER_SUFFIX) || !lines[1] || lines[2] !== '') {
+		return null;
+	}
+
+	const fields = {
+		domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+		address: lines[1],
+		statement: null
+	};
+
+	let index = 3;
+	const isField = line => Object.keys(FIELD_NAMES).some(label => line.startsWith(`${label}: `));
+	if (lines[index] !== undefined && !isField(lines[index])) {
+		fields.statement = lines[index];
+		if (lines[index + 1] !== '') {
+			return null;
+		}
+		index += 2;
+	}
+
+	for (const line of lines.slice(index)) {
+		const separator = line.indexOf(': ');
+		const name = FIELD_NAMES[line.slice(0, separator)];
+		if (separator === -1 || !name || fields[name] !== undefined) {
+			return null;
+		}
+		fields[name] = line.slice(separator + 2);
+	}
+
+	return fields.nonce && fields.issuedAt ? fields : null;
+}
+
+/**
+ * Verify an Ed25519 signature over a message
+ * @param {string} message - Signed message
+ * @param {string|Uint8Array|Array<number>} signature - 64-byte signature (base58 string or bytes)
+ * @param {string} publicKey - Base58 public key
+ * @returns {boolean}
+ */
+export function verifySiwsSignature(message, signature, publicKey) {
+	try {
+		const signatureBytes = typeof signature === 'string' ? bs58.decode(signature) : Uint8Array.from(signature);
+		const publicKeyBytes = bs58.decode(publicKey);
+		if (signatureBytes.length !== 64 || publicKeyBytes.length !== 32) {
+			return false;
+		}
+
+		const key = createPublicKey({
+			key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKeyBytes).toString('base64url') },
+			format: 'jwk'
+		});
+		return verify(null, Buffer.from(message, 'utf8'), key, signatureBytes);
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * SIWS challenge issuer and verifier
+ */
+export class SiwsChallenges {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.domain - Domain the messages are issued for (required, e.g. 'example.com')
+	 * @param {string} options.uri - URI of the sign-in page (optional, checked when set)
+	 * @param {string} options.statement - Human-readable statement shown by the wallet
+	 * @param {string} options.chainId - 'mainnet', 'devnet' or 'testnet' (optional, checked when set)
+	 * @param {number} options.challengeTtl - How long a challenge can be answered, in ms (default 5 min)
+	 * @param {SessionStore} options.nonceStore - Where outstanding nonces are kept (default: in memory);
+	 *   use a shared store when running several instances
+	 */
+	constructor(options = {}) {
+		if (!options.domain) {
+			throw new Error('SIWS requires a domain');
+		}
+
+		this.domain = options.domain;
+		this.uri = options.uri || null;
+		this.statement = options.statement || 'Sign in with your Solana wallet. This request will not trigger a transaction or cost any fees.';
+		this.chainId = options.chainId || null;
+		this.challengeTtl = options.challengeTtl || (5 * 60 * 1000);
+		this.store = options.nonceStore || new MemorySessionStore();
+	}
+
+	/**
+	 * Issue a challenge message for a wallet
+	 * @param {string} publicKey - Address that will sign
+	 * @returns {Promise<Object>} { message, nonce, expiresAt }
+	 */
+	async issue(publicKey) {
+		if (!validateAddress(publicKey)) {
+			throw new Error('Invalid public key');
+		}
+
+		const nonce = generateToken(16);
+		const now = Date.now();
+		const expiresAt = now + this.challengeTtl;
+
+		await this.store.set(nonceId(nonce), {
+			type: 'siws-nonce',
+			publicKey,
+			issuedAt: now,
+			expiresAt
+		});
+
+		const message = createSiwsMessage({
+			domain: this.domain,
+			address: publicKey,
+			statement: this.statement,
+			uri: this.uri,
+			chainId: this.chainId,
+			nonce,
+			issuedAt: new Date(now).toISOString(),
+			expirationTime: new Date(expiresAt).toISOString()
+		});
+		return { message, nonce, expiresAt };
+	}
+
+	/**
+	 * Verify a signed challenge and spend its nonce
+	 * @param {string} message - Message returned by issue()
+	 * @param {string|Uint8Array|Array<number>} signature - Wallet signature of the message
+	 * @returns {Promise<Object>} { valid: true, publicKey } or { valid: false, error, code }
+	 */
+	async verify(message, signature) {
+		const fields = parseSiwsMessage(message);
+		if (!fields) {
+			return { valid: false, error: 'Malformed sign-in message', code: 'INVALID_SIWS_MESSAGE' };
+		}
+
+		const now = Date.now();
+		if (fields.domain !== this.domain) {
+			return { valid: false, error: 'Sign-in message is for another domain', code: 'INVALID_SIWS_MESSAGE' };
+		}
+		if ((this.uri && fields.uri !== this.uri) || (this.chainId && fields.chainId !== this.chainId)) {
+			return { valid: false, error: 'Sign-in message does not match this site', code: 'INVALID_SIWS_MESSAGE' };
+		}
+		if (!fields.expirationTime || !(Date.parse(fields.expirationTime) > now)) {
+			return { valid: false, error: 'Sign-in message has expired', code: 'CHALLENGE_EXPIRED' };
+		}
+		if (!(Date.parse(fields.issuedAt) <= now + CLOCK_SKEW)) {
+			return { valid: false, error: 'Sign-in message is not valid yet', code: 'INVALID_SIWS_MESSAGE' };
+		}
+
+		if (!verifySiwsSignature(message, signature, fields.address)) {
+			return { valid: false, error: 'Invalid signature', code: 'INVALID_SIGNATURE' };
+		}
+
+		// The nonce must be one we issued, for this address, and unused
+		const id = nonceId(fields.nonce);
+		const record = await this.store.get(id);
+		if (!record || record.publicKey !== fields.address || now > record.expiresAt || !(await this.store.delete(id))) {
+			return { valid: false, error: 'Unknown or already used nonce', code: 'CHALLENGE_EXPIRED' };
+		}
+
+		return { valid: true, publicKey: fields.address };
+	}
+}
+
+function nonceId(nonce) {
+	return hashToken(`siws-nonce:${nonce}`);
+}
@@ -1,5 +1,7 @@
-import { Connection, PublicKey, Keypair, LAMPORTS_PER_SOL, clusterApiUrl } from '@solana/web3.js';
+import { Connection, PublicKey, Keypair, Transaction, SystemProgram, SendTransactionError, LAMPORTS_PER_SOL, clusterApiUrl } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
 import bs58 from 'bs58';
+import { ValidationError, RpcError } from './errors.js';
 
 /**
  * Solana Operations Module
@@ -23,19 +25,99 @@ export function getConnection(network = 'mainnet-beta', customRpcUrl = null) {
  * @param {string} network - Network name
  * @param {string} customRpcUrl - Optional custom RPC URL
  * @returns {Promise<number>} Balance in SOL
+ * @throws {ValidationError} INVALID_PUBLIC_KEY; {RpcError} RPC_UNAVAILABLE when the RPC request fails
  */
 export async function getSolanaBalance(publicKey, network = 'mainnet-beta', customRpcUrl = null) {
+	const pubKey = parsePublicKey(publicKey);
 	try {
 		const connection = getConnection(network, customRpcUrl);
-		const pubKey = new PublicKey(publicKey);
 		const balance = await connection.getBalance(pubKey);
 		return balance / LAMPORTS_PER_SOL;
 	} catch (error) {
 		console.error('Error fetching Solana balance:', error);
-		throw new Error(`Failed to fetch balance: ${error.message}`);
+		throw new RpcError('RPC_UNAVAILABLE', `Failed to fetch balance: ${error.message}`, { cause: error });
 	}
 }
 
+/**
+ * Get the SPL token accounts owned by a public key
+ * Covers both the Token and the Token-2022 program. UI amounts come from the
+ * RPC, so they include Token-2022 extensions such as accrued interest.
+ * @param {string} publicKey - Owner public key (base58)
+ * @param {string} network - Network name
+ * @param {string} customRpcUrl - Optional custom RPC URL
+ * @returns {Promise<Array>} [{ mint, account, amount, decimals, uiAmount, uiAmountString, program }]
+ *   amount is the raw amount as a string; program is 'spl-token' or 'spl-token-2022'
+ * @throws {ValidationError} INVALID_PUBLIC_KEY; {RpcError} RPC_UNAVAILABLE when the RPC request fails
+ */
+export async function getTokenBalances(publicKey, network = 'mainnet-beta', customRpcUrl = null) {
+	const owner = parsePublicKey(publicKey);
+	try {
+		const connection = getConnection(network, customRpcUrl);
+		const responses = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(programId =>
+			connection.getParsedTokenAccountsByOwner(owner, { programId })
+		));
+		return responses.flatMap(({ value }) => value.map(({ pubkey, account }) => {
+			const { info } = account.data.parsed;
+			return {
+				mint: info.mint,
+				account: pubkey.toBase58(),
+				amount: info.tokenAmount.amount,
+				decimals: info.tokenAmount.decimals,
+				uiAmount: Number(info.tokenAmount.uiAmountString),
+				uiAmountString: info.tokenAmount.uiAmountString,
+				program: account.data.program
+			};
+		}));
+	} catch (error) {
+		console.error('Error fetching token balances:', error);
+		throw new RpcError('RPC_UNAVAILABLE', `Failed to fetch token balances: ${error.message}`, { cause: error });
+	}
+}
+
+/**
+ * Check and normalize a token watch-list
+ * @param {Array} watchlist - [{ mint, symbol, name, decimals, logoUri, ... }]; fields other than mint are display metadata
+ * @returns {Array} Entries with mint as a base58 string
+ * @throws {ValidationError} INVALID_PUBLIC_KEY for an invalid mint; INVALID_INPUT for duplicates
+ */
+export function normalizeTokenWatchlist(watchlist = []) {
+	const seen = new Set();
+	return watchlist.map(entry => {
+		const mint = parsePublicKey(entry?.mint).toBase58();
+		if (seen.has(mint)) {
+			throw new ValidationError('INVALID_INPUT', `Mint ${mint} is listed twice in the token watch-list`);
+		}
+		seen.add(mint);
+		return { ...entry, mint };
+	});
+}
+
+/**
+ * Add watch-list metadata to token balances
+ * Watched mints come first, in watch-list order, and are included with a zero
+ * balance when the wallet has no account for them.
+ * @param {Array} tokens - From getTokenBalances
+ * @param {Array} watchlist - From normalizeTokenWatchlist
+ * @param {boolean} watchlistOnly - Drop tokens that are not on the watch-list
+ * @returns {Array}
+ */
+export function applyTokenWatchlist(tokens, watchlist = [], watchlistOnly = false) {
+	const watched = watchlist.flatMap(({ mint, decimals = null, ...metadata }) => {
+		const held = tokens.filter(token => token.mint === mint);
+		if (held.length === 0) {
+			return [{ ...metadata, mint, account: null, amount: '0', decimals, uiAmount: 0, uiAmountString: '0', program: null }];
+		}
+		// On-chain values, decimals included, win over configured ones
+		return held.map(token => ({ ...metadata, ...token }));
+	});
+	if (watchlistOnly) {
+		return watched;
+	}
+	const watchedMints = new Set(watchlist.map(({ mint }) => mint));
+	return [...watched, ...tokens.filter(token => !watchedMints.has(token.mint))];
+}
+
 /**
  * Generate a new Solana keypair
  * @returns {Object} { publicKey: string, privateKey: string }
@@ -80,12 +162,162 @@ export function solToLamports(sol) {
 	return Math.floor(sol * LAMPORTS_PER_SOL);
 }
 
+/**
+ * Parse an amount of SOL into lamports
+ * Works on the decimal digits rather than multiplying floats, so 0.1 SOL is
+ * exactly 100000000 lamports. Accepts numbers and decimal strings.
+ * @param {number|string} amount - Amount in SOL, at most 9 decimal places
+ * @returns {bigint} Amount in lamports
+ * @throws {ValidationError} INVALID_AMOUNT unless the amount is a positive number of lamports
+ */
+export function parseSolAmount(amount) {
+	const text = typeof amount === 'number'
+		? amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+		: String(amount ?? '').trim();
+	const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+	if (!match || (match[2] && match[2].length > 9)) {
+		throw new ValidationError('INVALID_AMOUNT');
+	}
+	const lamports = BigInt(match[1]) * BigInt(LAMPORTS_PER_SOL) + BigInt((match[2] || '').padEnd(9, '0'));
+	if (lamports <= 0n || lamports > MAX_LAMPORTS) {
+		throw new ValidationError('INVALID_AMOUNT');
+	}
+	return lamports;
+}
+
+// Transfer defaults; ZeroConnector's transferOptions override them
+export const TRANSFER_DEFAULTS = Object.freeze({
+	commitment: 'confirmed',
+	sendRetries: 3,       // extra attempts when sending fails for network reasons
+	retryDelay: 500,      // ms before the first retry, doubled on each further one
+	pollInterval: 1000,   // ms between signature status checks
+	resendInterval: 2000, // ms between re-broadcasts while unconfirmed
+	timeout: 90000        // ms to wait for confirmation before giving up
+});
+
+export const COMMITMENT_LEVELS = Object.freeze(['processed', 'confirmed', 'finalized']);
+
+/**
+ * Build and sign a SOL transfer
+ * @param {Keypair} signer - Sender and fee payer
+ * @param {string} to - Recipient public key
+ * @param {bigint} lamports - Amount to transfer
+ * @param {Object} blockhash - { blockhash, lastValidBlockHeight } from getLatestBlockhash
+ * @returns {Transaction} Signed transaction; its signature is known before it is sent
+ * @throws {ValidationError} INVALID_PUBLIC_KEY
+ */
+export function buildTransfer(signer, to, lamports, { blockhash, lastValidBlockHeight }) {
+	const transaction = new Transaction({
+		feePayer: signer.publicKey,
+		blockhash,
+		lastValidBlockHeight
+	}).add(SystemProgram.transfer({
+		fromPubkey: signer.publicKey,
+		toPubkey: parsePublicKey(to),
+		lamports
+	}));
+	transaction.sign(signer);
+	return transaction;
+}
+
+/**
+ * Submit a signed transaction, retrying network failures with backoff
+ * The RPC simulates it first; a failed simulation is final and not retried.
+ * @param {Connection} connection - RPC connection
+ * @param {Buffer} rawTransaction - Serialized signed transaction
+ * @param {Object} options - { commitment, sendRetries, retryDelay }
+ * @returns {Promise<string>} Transaction signature
+ * @throws {ValidationError} TRANSACTION_FAILED when the transaction is rejected;
+ *   {RpcError} RPC_UNAVAILABLE when every attempt fails
+ */
+export async function sendTransaction(connection, rawTransaction, options = {}) {
+	const { commitment, sendRetries, retryDelay } = { ...TRANSFER_DEFAULTS, ...options };
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await connection.sendRawTransaction(rawTransaction, {
+				preflightCommitment: commitment,
+				// Re-broadcasting is done here, while confirming
+				maxRetries: 0
+			});
+		} catch (error) {
+			// The RPC answered with an error; only a lagging node's unknown blockhash is worth retrying
+			if (error instanceof SendTransactionError && !/blockhash not found/i.test(error.transactionMessage || '')) {
+				throw new ValidationError('TRANSACTION_FAILED', `Transaction failed: ${error.transactionMessage}`, {
+					cause: error,
+					details: { logs: error.transactionLogs || [] }
+				});
+			}
+			if (attempt >= sendRetries) {
+				throw new RpcError('RPC_UNAVAILABLE', `Failed to send transaction: ${error.message}`, { cause: error });
+			}
+			console.warn(`[Zero Connector] Sending transaction failed, retrying (${attempt + 1}/${sendRetries}): ${error.message}`);
+			await sleep(retryDelay * 2 ** attempt);
+		}
+	}
+}
+
+/**
+ * Wait until a sent transaction reaches a commitment level
+ * Re-broadcasts the transaction while waiting, since RPC nodes drop
+ * transactions under load. Status checks that fail are retried on the next poll.
+ * @param {Connection} connection - RPC connection
+ * @param {Buffer} rawTransaction - Serialized signed transaction
+ * @param {Object} sent - { signature, lastValidBlockHeight }
+ * @param {Object} options - { commitment, pollInterval, resendInterval, timeout }
+ * @returns {Promise<Object>} { confirmationStatus, slot }
+ * @throws {ValidationError} TRANSACTION_FAILED when it executed with an error;
+ *   {RpcError} TRANSACTION_EXPIRED when its blockhash expired before it landed,
+ *   CONFIRMATION_TIMEOUT when it is still unconfirmed after the timeout
+ */
+export async function confirmTransaction(connection, rawTransaction, { signature, lastValidBlockHeight }, options = {}) {
+	const { commitment, pollInterval, resendInterval, timeout } = { ...TRANSFER_DEFAULTS, ...options };
+	const required = COMMITMENT_LEVELS.indexOf(commitment);
+	const deadline = Date.now() + timeout;
+	let lastSent = Date.now();
+	let expired = false;
+
+	while (true) {
+		try {
+			const { value: [status] } = await connection.getSignatureStatuses([signature]);
+			if (status?.err) {
+				throw new ValidationError('TRANSACTION_FAILED', `Transaction failed: ${JSON.stringify(status.err)}`, {
+					details: { slot: status.slot }
+				});
+			}
+			if (status && COMMITMENT_LEVELS.indexOf(status.confirmationStatus) >= required) {
+				return { confirmationStatus: status.confirmationStatus, slot: status.slot };
+			}
+			// Only checked after a status lookup that came after expiry, so a
+			// transaction that landed in the last valid block is not missed
+			if (expired) {
+				throw new RpcError('TRANSACTION_EXPIRED', `Blockhash expired before transaction ${signature} was confirmed`);
+			}
+			expired = await connection.getBlockHeight(commitment) > lastValidBlockHeight;
+		} catch (error) {
+			if (error instanceof ValidationError || error instanceof RpcError) {
+				throw error;
+			}
+			console.warn(`[Zero Connector] Checking transaction ${signature} failed: ${error.message}`);
+		}
+
+		if (Date.now() >= deadline) {
+			throw new RpcError('CONFIRMATION_TIMEOUT', `Transaction ${signature} was not confirmed within ${timeout}ms`);
+		}
+		if (Date.now() - lastSent >= resendInterval) {
+			lastSent = Date.now();
+			connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+		}
+		await sleep(Math.min(pollInterval, Math.max(0, deadline - Date.now())));
+	}
+}
+
 /**
  * Get transaction details
  * @param {string} signature - Transaction signature
  * @param {string} network - Network name
  * @param {string} customRpcUrl - Optional custom RPC URL
  * @returns {Promise<Object>} Transaction details
+ * @throws {RpcError} RPC_UNAVAILABLE when the RPC request fails
  */
 export async function getTransaction(signature, network = 'mainnet-beta', customRpcUrl = null) {
 	try {
@@ -96,7 +328,7 @@ export async function getTransaction(signature, network = 'mainnet-beta', custom
 		return transaction;
 	} catch (error) {
 		console.error('Error fetching transaction:', error);
-		throw new Error(`Failed to fetch transaction: ${error.message}`);
+		throw new RpcError('RPC_UNAVAILABLE', `Failed to fetch transaction: ${error.message}`, { cause: error });
 	}
 }
 
@@ -106,16 +338,17 @@ export async function getTransaction(signature, network = 'mainnet-beta', custom
  * @param {string} network - Network name
  * @param {string} customRpcUrl - Optional custom RPC URL
  * @returns {Promise<Object>} Account info
+ * @throws {ValidationError} INVALID_PUBLIC_KEY; {RpcError} RPC_UNAVAILABLE when the RPC request fails
  */
 export async function getAccountInfo(publicKey, network = 'mainnet-beta', customRpcUrl = null) {
+	const pubKey = parsePublicKey(publicKey);
 	try {
 		const connection = getConnection(network, customRpcUrl);
-		const pubKey = new PublicKey(publicKey);
 		const accountInfo = await connection.getAccountInfo(pubKey);
 		return accountInfo;
 	} catch (error) {
 		console.error('Error fetching account info:', error);
-		throw new Error(`Failed to fetch account info: ${error.message}`);
+		throw new RpcError('RPC_UNAVAILABLE', `Failed to fetch account info: ${error.message}`, { cause: error });
 	}
 }
 
@@ -135,3 +368,17 @@ export async function accountExists(publicKey, network = 'mainnet-beta', customR
 	}
 }
 
+// Largest amount a u64 lamport field can hold
+const MAX_LAMPORTS = 2n ** 64n - 1n;
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parsePublicKey(publicKey) {
+	try {
+		return new PublicKey(publicKey);
+	} catch (error) {
+		throw new ValidationError('INVALID_PUBLIC_KEY');
+	}
+}
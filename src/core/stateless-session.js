@@ -0,0 +1,438 @@
+import {
+	createHmac,
+	createPrivateKey,
+	createPublicKey,
+	generateKeyPairSync,
+	randomBytes,
+	sign,
+	timingSafeEqual,
+	verify
+} from 'crypto';
+import { generateToken } from './crypto.js';
+
+/**
+ * Stateless Session Manager
+ * Drop-in alternative to SessionManager that issues signed tokens (JWT,
+ * HS256 or EdDSA) instead of storing sessions, so any instance holding the
+ * verification key can check a session without a lookup:
+ *
+ *   header:  { alg, typ: 'JWT', kid }
+ *   payload: { sub: publicKey, scope: 'read ...', iat, exp, jti, non_custodial? }
+ *
+ * non_custodial is set for Sign-In With Solana sessions, whose wallet is held
+ * outside the connector, and comes back as metadata.nonCustodial.
+ *
+ * Tokens never carry a private key; sessions are read-only and signing needs
+ * getSigner() with the password. Keys are identified by kid, so new keys can
+ * be introduced while tokens signed with older ones stay valid.
+ *
+ * Logout and wallet deletion need a revocation list: pass a SessionStore
+ * (dedicated to revocations) as revocationStore. Without one, tokens stay
+ * valid until they expire.
+ */
+export class StatelessSessionManager {
+	/**
+	 * @param {Object} options
+	 * @param {Object} options.keys - { [kid]: HMAC secret (string/Buffer, >= 32 bytes) | { algorithm: 'EdDSA', privateKey, publicKey } }
+	 * @param {string} options.currentKeyId - Key used to sign new tokens (default: last key)
+	 * @param {number} options.sessionDuration - Token lifetime in ms (default 24h)
+	 * @param {Array<string>} options.scopes - Scopes of new tokens (default ['read'])
+	 * @param {string} options.issuer - Optional iss claim, required on verification when set
+	 * @param {SessionStore} options.revocationStore - Store for revoked tokens and wallets (optional)
+	 * @param {number} options.cleanupInterval - Revocation cleanup interval in ms (default 1h)
+	 * @param {boolean} options.autoCleanup - Periodically drop expired revocations (default true)
+	 */
+	constructor(options = {}) {
+		this.keys = new Map();
+		for (const [keyId, key] of Object.entries(options.keys || {})) {
+			this.addKey(keyId, key, false);
+		}
+
+		const keyIds = [...this.keys.keys()];
+		this.currentKeyId = options.currentKeyId || keyIds[keyIds.length - 1] || null;
+		if (!this.currentKeyId || !this.keys.has(this.currentKeyId)) {
+			throw new Error('StatelessSessionManager requires at least one key and a valid currentKeyId');
+		}
+
+		this.sessionDuration = options.sessionDuration || (24 * 60 * 60 * 1000); // 24 hours default
+		this.scopes = options.scopes || ['read'];
+		this.issuer = options.issuer || null;
+		this.revocationStore = options.revocationStore || null;
+		this.cleanupInterval = options.cleanupInterval || (60 * 60 * 1000); // 1 hour default
+
+		if (this.revocationStore && options.autoCleanup !== false) {
+			this.startCleanup();
+		}
+	}
+
+	/**
+	 * Generate a signing key
+	 * @param {string} algorithm - 'HS256' (default) or 'EdDSA'
+	 * @returns {string|Object} HMAC secret (hex) or { algorithm, privateKey, publicKey } (PEM)
+	 */
+	static generateKey(algorithm = 'HS256') {
+		if (algorithm === 'EdDSA') {
+			const { privateKey, publicKey } = generateKeyPairSync('ed25519', {
+				privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+				publicKeyEncoding: { type: 'spki', format: 'pem' }
+			});
+			return { algorithm, privateKey, publicKey };
+		}
+		return randomBytes(32).toString('hex');
+	}
+
+	/**
+	 * Add a key, optionally making it the key used for new tokens
+	 * An EdDSA key without privateKey can only verify (e.g. on edge routes)
+	 * @param {string} keyId - Key ID (kid)
+	 * @param {string|Buffer|Object} key - HMAC secret or { algorithm: 'EdDSA', privateKey, publicKey }
+	 * @param {boolean} makeCurrent - Sign new tokens with this key (default true)
+	 */
+	addKey(keyId, key, makeCurrent = true) {
+		if (!keyId) {
+			throw new Error('Invalid key ID');
+		}
+
+		if (key && typeof key === 'object' && key.algorithm === 'EdDSA') {
+			const privateKey = key.privateKey ? createPrivateKey(key.privateKey) : null;
+			const publicKey = key.publicKey ? createPublicKey(key.publicKey) : (privateKey && createPublicKey(privateKey));
+			if (!publicKey || publicKey.asymmetricKeyType !== 'ed25519') {
+				throw new Error(`Key ${keyId} must be an Ed25519 key`);
+			}
+			this.keys.set(keyId, { algorithm: 'EdDSA', privateKey, publicKey });
+		} else {
+			const secret = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'utf8');
+			if (secret.length < 32) {
+				throw new Error(`Key ${keyId} must be at least 32 bytes`);
+			}
+			this.keys.set(keyId, { algorithm: 'HS256', secret });
+		}
+
+		if (makeCurrent) {
+			this.currentKeyId = keyId;
+		}
+	}
+
+	/**
+	 * Issue a session token
+	 * @param {string} publicKey - User's public key
+	 * @param {string} privateKey - Ignored: stateless tokens never carry private keys
+	 * @param {Object} metadata - { scopes } to override the default scopes, { nonCustodial } for SIWS sessions
+	 * @returns {Promise<string>} Signed token
+	 */
+	async createSession(publicKey, privateKey = null, metadata = {}) {
+		const keyId = this.currentKeyId;
+		const key = this.keys.get(keyId);
+		if (key.algorithm === 'EdDSA' && !key.privateKey) {
+			throw new Error(`Key ${keyId} can only verify tokens`);
+		}
+
+		// Fractional seconds (allowed for NumericDate) keep revocation cutoffs exact
+		const now = Date.now();
+		const header = { alg: key.algorithm, typ: 'JWT', kid: keyId };
+		const payload = {
+			sub: publicKey,
+			scope: (metadata.scopes || this.scopes).join(' '),
+			iat: now / 1000,
+			exp: Math.floor((now + this.sessionDuration) / 1000),
+			jti: generateToken(16)
+		};
+		if (metadata.nonCustodial) {
+			payload.non_custodial = true;
+		}
+		if (this.issuer) {
+			payload.iss = this.issuer;
+		}
+
+		const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+		return `${signingInput}.${signToken(signingInput, key).toString('base64url')}`;
+	}
+
+	/**
+	 * Verify a token's signature, expiry and (if configured) revocation
+	 * @param {string} sessionToken - Signed token
+	 * @returns {Promise<Object|null>} Session data or null if invalid/expired/revoked
+	 */
+	async verifySession(sessionToken) {
+		const payload = this.decodeToken(sessionToken);
+		if (!payload) {
+			return null;
+		}
+
+		if (this.revocationStore && await this.isRevoked(payload)) {
+			return null;
+		}
+
+		return {
+			sessionId: payload.jti,
+			publicKey: payload.sub,
+			privateKey: null,
+			scopes: payload.scope ? payload.scope.split(' ') : [],
+			metadata: payload.non_custodial === true ? { nonCustodial: true } : {},
+			createdAt: Math.floor(payload.iat * 1000),
+			expiresAt: payload.exp * 1000,
+			stateless: true
+		};
+	}
+
+	/**
+	 * Check signature and expiry of a token without consulting the revocation list
+	 * @param {string} sessionToken - Signed token
+	 * @returns {Object|null} Token payload
+	 */
+	decodeToken(sessionToken) {
+		if (typeof sessionToken !== 'string') {
+			return null;
+		}
+
+		const segments = sessionToken.split('.');
+		if (segments.length !== 3) {
+			return null;
+		}
+
+		try {
+			const header = JSON.parse(Buffer.from(segments[0], 'base64url').toString('utf8'));
+			const key = this.keys.get(header.kid);
+
+			// The algorithm is fixed by the key, never chosen by the token
+			if (!key || header.alg !== key.algorithm) {
+				return null;
+			}
+
+			const signature = Buffer.from(segments[2], 'base64url');
+			if (!verifyToken(`${segments[0]}.${segments[1]}`, signature, key)) {
+				return null;
+			}
+
+			const payload = JSON.parse(Buffer.from(segments[1], 'base64url').toString('utf8'));
+			if (!payload.sub || !payload.jti || typeof payload.exp !== 'number' || Date.now() >= payload.exp * 1000) {
+				return null;
+			}
+			if (this.issuer && payload.iss !== this.issuer) {
+				return null;
+			}
+
+			return payload;
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Check a verified payload against the revocation list
+	 */
+	async isRevoked(payload) {
+		if (await this.revocationStore.get(`token:${payload.jti}`)) {
+			return true;
+		}
+
+		// Tokens issued before a wallet-wide revocation, except the one it spared
+		const walletRevocation = await this.revocationStore.get(`wallet:${payload.sub}`);
+		return Boolean(walletRevocation)
+			&& payload.iat * 1000 <= walletRevocation.revokedAt
+			&& payload.jti !== walletRevocation.exceptTokenId;
+	}
+
+	/**
+	 * Get the non-secret ID (jti) of a token
+	 * @param {string} sessionToken - Signed token
+	 * @returns {string|null} Session ID
+	 */
+	getSessionId(sessionToken) {
+		const payload = this.decodeToken(sessionToken);
+		return payload ? payload.jti : null;
+	}
+
+	/**
+	 * Outstanding tokens are not tracked
+	 * @returns {Promise<Array>} Always empty
+	 */
+	async listSessions() {
+		return [];
+	}
+
+	/**
+	 * Revoke a token by its ID (jti)
+	 * @param {string} publicKey - User's public key
+	 * @param {string} sessionId - Token ID
+	 * @returns {Promise<boolean>} True if the token was revoked, false without a revocation store
+	 */
+	async revokeSession(publicKey, sessionId) {
+		if (!sessionId || !this.revocationStore) {
+			return false;
+		}
+
+		// The token's expiry is unknown here, so keep the entry for the longest possible lifetime
+		await this.revocationStore.set(`token:${sessionId}`, {
+			publicKey,
+			revokedAt: Date.now(),
+			expiresAt: Date.now() + this.sessionDuration
+		});
+		return true;
+	}
+
+	/**
+	 * Stateless sessions never hold a private key
+	 * @returns {Promise<null>}
+	 */
+	async revealPrivateKey() {
+		return null;
+	}
+
+	/**
+	 * Stateless sessions cannot be unlocked for signing
+	 * @returns {Promise<null>}
+	 */
+	async unlockSession() {
+		return null;
+	}
+
+	/**
+	 * Stateless sessions are always read-only
+	 * @returns {Promise<boolean>} Always false
+	 */
+	async lockSession() {
+		return false;
+	}
+
+	/**
+	 * Stateless tokens are not refreshed; authenticate again for a new one
+	 * @returns {Promise<null>}
+	 */
+	async issueRefreshToken() {
+		return null;
+	}
+
+	/**
+	 * @returns {Promise<null>} Always null
+	 */
+	async refreshSession() {
+		return null;
+	}
+
+	/**
+	 * Revoke a token (logout)
+	 * @param {string} sessionToken - Token to revoke
+	 * @returns {Promise<boolean>} True if the token was revoked, false without a revocation store
+	 */
+	async deleteSession(sessionToken) {
+		const payload = this.decodeToken(sessionToken);
+		if (!payload || !this.revocationStore) {
+			return false;
+		}
+
+		await this.revocationStore.set(`token:${payload.jti}`, {
+			publicKey: payload.sub,
+			revokedAt: Date.now(),
+			expiresAt: payload.exp * 1000
+		});
+		return true;
+	}
+
+	/**
+	 * Revoke every token issued for a public key so far
+	 * The number of outstanding tokens is unknown, so this returns 0.
+	 * @param {string} publicKey - User's public key
+	 * @param {string} exceptToken - Token to keep (optional)
+	 * @returns {Promise<number>}
+	 */
+	async deleteSessionsByPublicKey(publicKey, exceptToken = null) {
+		if (!this.revocationStore) {
+			console.warn('[Zero Connector] Stateless sessions cannot be revoked without a revocationStore');
+			return 0;
+		}
+
+		const except = exceptToken ? this.decodeToken(exceptToken) : null;
+		const now = Date.now();
+		await this.revocationStore.set(`wallet:${publicKey}`, {
+			publicKey,
+			revokedAt: now,
+			exceptTokenId: except && except.sub === publicKey ? except.jti : null,
+			// Every token covered by the revocation has expired by then
+			expiresAt: now + this.sessionDuration
+		});
+		return 0;
+	}
+
+	/**
+	 * Tokens are immutable
+	 * @returns {Promise<boolean>} Always false
+	 */
+	async updateSession() {
+		return false;
+	}
+
+	/**
+	 * Tokens are immutable; issue a new one instead
+	 * @returns {Promise<boolean>} Always false
+	 */
+	async extendSession() {
+		return false;
+	}
+
+	/**
+	 * Outstanding tokens are not tracked
+	 * @returns {Promise<Array>} Always empty
+	 */
+	async getSessionsByPublicKey() {
+		return [];
+	}
+
+	/**
+	 * Outstanding tokens are not tracked
+	 * @returns {Promise<number>} Always 0
+	 */
+	async getSessionCount() {
+		return 0;
+	}
+
+	/**
+	 * Drop revocations of tokens that have expired anyway
+	 * @returns {Promise<number>} Number of revocations removed
+	 */
+	async cleanupExpiredSessions() {
+		return this.revocationStore ? this.revocationStore.deleteExpired(Date.now()) : 0;
+	}
+
+	/**
+	 * Start automatic revocation cleanup
+	 */
+	startCleanup() {
+		this.cleanupTimer = setInterval(
+			() => this.cleanupExpiredSessions().catch(error => {
+				console.error('[Zero Connector] Error cleaning up revocations:', error);
+			}),
+			this.cleanupInterval
+		);
+	}
+
+	/**
+	 * Stop automatic revocation cleanup
+	 */
+	stopCleanup() {
+		if (this.cleanupTimer) {
+			clearInterval(this.cleanupTimer);
+			this.cleanupTimer = null;
+		}
+	}
+}
+
+function encodeSegment(value) {
+	return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+function signToken(signingInput, key) {
+	if (key.algorithm === 'EdDSA') {
+		return sign(null, Buffer.from(signingInput), key.privateKey);
+	}
+	return createHmac('sha256', key.secret).update(signingInput).digest();
+}
+
+function verifyToken(signingInput, signature, key) {
+	if (key.algorithm === 'EdDSA') {
+		return verify(null, Buffer.from(signingInput), key.publicKey, signature);
+	}
+
+	const expected = createHmac('sha256', key.secret).update(signingInput).digest();
+	return signature.length === expected.length && timingSafeEqual(signature, expected);
+}
@@ -0,0 +1,255 @@
+import { createHmac, randomBytes, hkdfSync, createCipheriv, createDecipheriv, timingSafeEqual } from 'crypto';
+import { hashToken } from './crypto.js';
+
+/**
+ * TOTP Two-Factor Authentication (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps)
+ *
+ * A wallet's TOTP secret is encrypted under a key derived from the wallet's
+ * own decrypted private key (or seed), so it is only readable after the
+ * password was verified, survives password changes and recovery unchanged,
+ * and never needs a separate master key. Backup codes are stored as SHA-256
+ * hashes and can each be used once.
+ *
+ * Stored on the wallet record as `twoFactor`:
+ *   { status: 'pending' | 'enabled', secret, createdAt, enabledAt, lastUsedStep, backupCodes }
+ */
+
+const TOTP_KEY_INFO = 'zero-connector totp secret';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+	return output;
+}
+
+/**
+ * Decode base32 (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer}
+ */
+export function base32Decode(input) {
+	const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+
+	for (const char of cleaned) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) {
+			throw new Error('Invalid base32 character');
+		}
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} 160-bit secret as base32
+ */
+export function generateTotpSecret() {
+	return base32Encode(randomBytes(20));
+}
+
+/**
+ * Compute the code for a time step (RFC 4226 dynamic truncation)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix time / 30)
+ * @returns {string} Zero-padded code
+ */
+export function generateTotp(secret, step = Math.floor(Date.now() / 1000 / TOTP_STEP)) {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+
+	const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+	const offset = hmac[hmac.length - 1] & 15;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+	return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps accepted either side (default 1), after: only accept steps later than this, now }
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, { window = 1, after = null, now = Date.now() } = {}) {
+	const normalized = String(code ?? '').replace(/\s/g, '');
+	if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+		return null;
+	}
+
+	const current = Math.floor(now / 1000 / TOTP_STEP);
+	for (let step = current - window; step <= current + window; step++) {
+		// Each step's code works only once
+		if (after !== null && step <= after) {
+			continue;
+		}
+		if (timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(normalized))) {
+			return step;
+		}
+	}
+	return null;
+}
+
+/**
+ * Build the otpauth:// URI shown as a QR code during enrollment
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { issuer, account }
+ * @returns {string}
+ */
+export function getOtpauthUri(secret, { issuer = 'Zero Connector', account }) {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(TOTP_DIGITS),
+		period: String(TOTP_STEP)
+	});
+	return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Generate one-time backup codes
+ * @param {number} count - Number of codes (default 10)
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx (50 bits each)
+ */
+export function generateBackupCodes(count = 10) {
+	return Array.from({ length: count }, () => {
+		const code = base32Encode(randomBytes(7)).slice(0, 10).toLowerCase();
+		return `${code.slice(0, 5)}-${code.slice(5)}`;
+	});
+}
+
+/**
+ * Hash a backup code for storage (case, spaces and dashes are ignored)
+ * @param {string} code - Backup code
+ * @returns {string} Hex hash
+ */
+export function hashBackupCode(code) {
+	return hashToken(`backup-code:${String(code).toLowerCase().replace(/[\s-]/g, '')}`);
+}
+
+/**
+ * Encrypt a TOTP secret under a key derived from the wallet's decrypted secret
+ * @param {string} totpSecret - Base32 TOTP secret
+ * @param {string} walletSecret - Decrypted private key (or seed secret)
+ * @returns {string} base64url(salt | iv | authTag | ciphertext)
+ */
+export function sealTotpSecret(totpSecret, walletSecret) {
+	const salt = randomBytes(16);
+	const iv = randomBytes(12);
+	const cipher = createCipheriv('aes-256-gcm', deriveTotpKey(walletSecret, salt), iv);
+	const encrypted = Buffer.concat([cipher.update(totpSecret, 'utf8'), cipher.final()]);
+
+	return Buffer.concat([salt, iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+/**
+ * Decrypt a TOTP secret sealed by sealTotpSecret
+ * @param {string} sealed - Sealed secret
+ * @param {string} walletSecret - Decrypted private key (or seed secret)
+ * @returns {string} Base32 TOTP secret
+ */
+export function openTotpSecret(sealed, walletSecret) {
+	const buffer = Buffer.from(sealed, 'base64url');
+	const decipher = createDecipheriv('aes-256-gcm', deriveTotpKey(walletSecret, buffer.subarray(0, 16)), buffer.subarray(16, 28));
+	decipher.setAuthTag(buffer.subarray(28, 44));
+
+	return Buffer.concat([decipher.update(buffer.subarray(44)), decipher.final()]).toString('utf8');
+}
+
+function deriveTotpKey(walletSecret, salt) {
+	return Buffer.from(hkdfSync('sha256', walletSecret, salt, TOTP_KEY_INFO, 32));
+}
+
+/**
+ * Check whether a wallet has two-factor authentication enabled
+ * @param {Object} wallet - Stored wallet record
+ * @returns {boolean}
+ */
+export function isTwoFactorEnabled(wallet) {
+	return wallet?.twoFactor?.status === 'enabled';
+}
+
+/**
+ * Check the second factor of a wallet with 2FA enabled and record its use
+ * Accepts a current TOTP code or an unused backup code. The use is recorded
+ * only if the stored settings are still the ones the code was checked
+ * against, so of two concurrent requests with the same code only one passes.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} wallet - Stored wallet record
+ * @param {string} walletSecret - Decrypted private key (or seed secret)
+ * @param {string} otp - Code entered by the user
+ * @returns {Promise<Object|null>} Handler error result, or null if the code was accepted
+ */
+export async function checkSecondFactor(storage, wallet, walletSecret, otp) {
+	const twoFactor = wallet.twoFactor;
+	if (!otp) {
+		return {
+			success: false,
+			error: 'Two-factor code required',
+			code: 'OTP_REQUIRED'
+		};
+	}
+
+	const step = verifyTotp(openTotpSecret(twoFactor.secret, walletSecret), otp, { after: twoFactor.lastUsedStep ?? null });
+	if (step !== null) {
+		if (await storage.updateTwoFactor(wallet.publicKey, { ...twoFactor, lastUsedStep: step }, twoFactor)) {
+			return null;
+		}
+		return invalidOtpError();
+	}
+
+	const backupHash = hashBackupCode(otp);
+	if (twoFactor.backupCodes.includes(backupHash)) {
+		const spent = await storage.updateTwoFactor(wallet.publicKey, {
+			...twoFactor,
+			backupCodes: twoFactor.backupCodes.filter(hash => hash !== backupHash)
+		}, twoFactor);
+		if (spent) {
+			console.log('[Zero Connector] Backup code used');
+			return null;
+		}
+	}
+
+	return invalidOtpError();
+}
+
+function invalidOtpError() {
+	return {
+		success: false,
+		error: 'Invalid two-factor code',
+		code: 'INVALID_OTP'
+	};
+}
@@ -0,0 +1,166 @@
+import { Worker } from 'worker_threads';
+import { cpus } from 'os';
+
+/**
+ * Worker Pool
+ * Runs key derivation (scrypt) on worker threads so password hashing and
+ * key decryption never block the main event loop. At most `size` derivations
+ * run at once; excess work is queued in FIFO order.
+ */
+export class WorkerPool {
+	constructor(options = {}) {
+		this.size = options.size || Math.max(1, Math.min(4, cpus().length - 1));
+		this.maxQueue = options.maxQueue ?? Infinity;
+		this.workerUrl = options.workerUrl || new URL('./crypto-worker.js', import.meta.url);
+
+		this.workers = [];
+		this.idleWorkers = [];
+		this.queue = [];
+		this.nextTaskId = 1;
+	}
+
+	/**
+	 * Derive a key with scrypt on a worker thread
+	 * @param {string} password - Password
+	 * @param {Buffer} salt - Salt
+	 * @param {number} keyLength - Output length in bytes
+	 * @param {Object} options - Options for scrypt ({ N, r, p, maxmem })
+	 * @returns {Promise<Buffer>} Derived key
+	 */
+	scrypt(password, salt, keyLength, options) {
+		return this.run({ password, salt: Uint8Array.from(salt), keyLength, options })
+			.then(key => Buffer.from(key));
+	}
+
+	/**
+	 * Queue a task for the next free worker
+	 * @param {Object} payload - Task payload
+	 * @returns {Promise<any>} Task result
+	 */
+	run(payload) {
+		if (this.queue.length >= this.maxQueue) {
+			return Promise.reject(new Error('Crypto worker queue is full'));
+		}
+
+		return new Promise((resolve, reject) => {
+			this.queue.push({ id: this.nextTaskId++, payload, resolve, reject });
+			this.dispatch();
+		});
+	}
+
+	/**
+	 * Hand queued tasks to idle workers, spawning workers up to the pool size
+	 */
+	dispatch() {
+		while (this.queue.length > 0) {
+			let worker = this.idleWorkers.pop();
+			if (!worker) {
+				if (this.workers.length >= this.size) {
+					return;
+				}
+				worker = this.spawnWorker();
+			}
+
+			const task = this.queue.shift();
+			worker.currentTask = task;
+			worker.ref();
+			worker.postMessage({ id: task.id, ...task.payload });
+		}
+	}
+
+	/**
+	 * Start a new worker thread
+	 * @returns {Worker}
+	 */
+	spawnWorker() {
+		const worker = new Worker(this.workerUrl);
+		worker.currentTask = null;
+
+		worker.on('message', ({ id, result, error }) => {
+			const task = worker.currentTask;
+			worker.currentTask = null;
+
+			if (task && task.id === id) {
+				if (error) {
+					task.reject(new Error(error));
+				} else {
+					task.resolve(result);
+				}
+			}
+
+			// Idle workers must not keep the process alive
+			worker.unref();
+			this.idleWorkers.push(worker);
+			this.dispatch();
+		});
+
+		worker.on('error', (error) => {
+			console.error('[Zero Connector] Crypto worker error:', error);
+			this.removeWorker(worker, error);
+		});
+
+		worker.on('exit', (code) => {
+			if (this.workers.includes(worker)) {
+				this.removeWorker(worker, new Error(`Crypto worker exited with code ${code}`));
+			}
+		});
+
+		this.workers.push(worker);
+		return worker;
+	}
+
+	/**
+	 * Drop a failed worker, rejecting its in-flight task
+	 * @param {Worker} worker - Worker to remove
+	 * @param {Error} error - Reason passed to the in-flight task
+	 */
+	removeWorker(worker, error) {
+		this.workers = this.workers.filter(w => w !== worker);
+		this.idleWorkers = this.idleWorkers.filter(w => w !== worker);
+
+		if (worker.currentTask) {
+			worker.currentTask.reject(error);
+			worker.currentTask = null;
+		}
+
+		// Replace the worker if work is still waiting
+		this.dispatch();
+	}
+
+	/**
+	 * Get pool statistics
+	 * @returns {Object} { size, workers, busy, queued }
+	 */
+	getStats() {
+		return {
+			size: this.size,
+			workers: this.workers.length,
+			busy: this.workers.length - this.idleWorkers.length,
+			queued: this.queue.length
+		};
+	}
+
+	/**
+	 * Terminate all workers and reject queued tasks.
+	 * The pool can still be used afterwards; workers are spawned again on demand.
+	 */
+	async terminate() {
+		const queued = this.queue.splice(0);
+		queued.forEach(task => task.reject(new Error('Crypto worker pool terminated')));
+
+		const workers = this.workers;
+		this.workers = [];
+		this.idleWorkers = [];
+
+		await Promise.all(workers.map(worker => {
+			if (worker.currentTask) {
+				worker.currentTask.reject(new Error('Crypto worker pool terminated'));
+				worker.currentTask = null;
+			}
+			return worker.terminate();
+		}));
+	}
+}
+
+// Create a default shared pool (workers are only started on first use)
+export const defaultWorkerPool = new WorkerPool();
@@ -0,0 +1,263 @@
+import { decryptAsync } from '../core/crypto.js';
+import { unwrapSecret } from '../core/key-provider.js';
+import { verifyPasswordThrottled } from '../core/login-throttle.js';
+import { isSeedSecret, keypairFromSecret, getDerivationPath, parseAccountIndex } from '../core/mnemonic.js';
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Derive and register the next account of a seed-based wallet
+ * Accounts follow m/44'/501'/n'/0'; account 0 is the wallet's own key.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey, password, label }
+ * @param {Object} options - { workerPool, keyProvider, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, account, message }
+ */
+export async function addAccount(storage, data, options = {}) {
+	try {
+		const { publicKey, password, label = null } = data;
+		
+		// Validate input
+		if (!publicKey || !password) {
+			return {
+				success: false,
+				error: 'Public key and password are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		const labelError = validateLabel(label);
+		if (labelError) {
+			return {
+				success: false,
+				error: labelError,
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		// Check if wallet exists
+		const wallet = await storage.getWallet(publicKey);
+		if (!wallet) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		// Verify password
+		const passwordError = await verifyPasswordThrottled(wallet, password, { publicKey: publicKey }, options);
+		if (passwordError) {
+			return passwordError;
+		}
+		
+		// Only wallets created from a seed can derive further accounts
+		const secret = await decryptAsync(
+			await unwrapSecret(wallet.encryptedPrivateKey, options.keyProvider),
+			password,
+			options.workerPool
+		);
+		if (!isSeedSecret(secret)) {
+			return {
+				success: false,
+				error: 'Wallet is not seed-based',
+				code: 'NOT_SEED_WALLET'
+			};
+		}
+		
+		// Derive the next unused index
+		const accounts = await storage.getAccounts(publicKey);
+		const index = accounts.reduce((max, account) => Math.max(max, account.index), 0) + 1;
+		const derived = keypairFromSecret(secret, index);
+		
+		let account;
+		try {
+			account = await storage.addAccount(publicKey, {
+				index,
+				publicKey: derived.publicKey,
+				label,
+				derivationPath: derived.derivationPath
+			});
+		} catch (error) {
+			if (error.code === 'ACCOUNT_EXISTS') {
+				return {
+					success: false,
+					error: 'Account already exists, please try again',
+					code: 'ACCOUNT_EXISTS'
+				};
+			}
+			throw error;
+		}
+		
+		return {
+			success: true,
+			publicKey,
+			account: formatAccount(account),
+			message: 'Account added successfully'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error adding account:', error);
+		return errorResult(error, 'Failed to add account');
+	}
+}
+
+/**
+ * List the accounts of a wallet with their stored balances
+ * Account 0 (the wallet's own key) is always included.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey }
+ * @returns {Promise<Object>} { success, publicKey, accounts }
+ */
+export async function listAccounts(storage, data) {
+	try {
+		const { publicKey } = data;
+		
+		if (!publicKey) {
+			return {
+				success: false,
+				error: 'Public key is required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		const wallet = await storage.getWallet(publicKey);
+		if (!wallet) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		const accounts = (await storage.getAccounts(publicKey)).map(formatAccount);
+		if (!accounts.some(account => account.index === 0)) {
+			accounts.unshift({
+				index: 0,
+				publicKey,
+				label: null,
+				derivationPath: null,
+				createdAt: wallet.createdAt
+			});
+		}
+		
+		// Attach each account's stored balance
+		for (const account of accounts) {
+			const balance = await storage.getBalance(account.publicKey);
+			account.balance = balance
+				? {
+					solBalance: balance.solBalance,
+					customData: balance.customData,
+					...(balance.tokens && { tokens: balance.tokens }),
+					lastUpdated: balance.lastUpdated
+				}
+				: { solBalance: 0, customData: {} };
+		}
+		
+		return {
+			success: true,
+			publicKey,
+			accounts
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error listing accounts:', error);
+		return errorResult(error, 'Failed to list accounts');
+	}
+}
+
+/**
+ * Set the label of an account
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey, password, accountIndex, label }
+ *   accountIndex may be an integer string, e.g. from a query string
+ * @param {Object} options - { workerPool, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, accountIndex, label, message }
+ */
+export async function labelAccount(storage, data, options = {}) {
+	try {
+		const { publicKey, password, label } = data;
+		const accountIndex = parseAccountIndex(data.accountIndex);
+		
+		if (!publicKey || !password || accountIndex === null) {
+			return {
+				success: false,
+				error: 'Public key, password and a valid account index are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		const labelError = validateLabel(label);
+		if (labelError) {
+			return {
+				success: false,
+				error: labelError,
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		const wallet = await storage.getWallet(publicKey);
+		if (!wallet) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		// Verify password
+		const passwordError = await verifyPasswordThrottled(wallet, password, { publicKey }, options);
+		if (passwordError) {
+			return passwordError;
+		}
+		
+		let updated = await storage.updateAccountLabel(publicKey, accountIndex, label);
+		
+		// Account 0 is only stored once it gets a label
+		if (!updated && accountIndex === 0) {
+			await storage.addAccount(publicKey, {
+				index: 0,
+				publicKey,
+				label,
+				derivationPath: null
+			});
+			updated = true;
+		}
+		
+		if (!updated) {
+			return {
+				success: false,
+				error: 'Account not found',
+				code: 'ACCOUNT_NOT_FOUND'
+			};
+		}
+		
+		return {
+			success: true,
+			publicKey,
+			accountIndex,
+			label,
+			message: 'Account label updated'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error labeling account:', error);
+		return errorResult(error, 'Failed to label account');
+	}
+}
+
+function validateLabel(label) {
+	if (label === null || label === undefined) {
+		return null;
+	}
+	if (typeof label !== 'string' || label.length > 64) {
+		return 'Label must be a string of at most 64 characters';
+	}
+	return null;
+}
+
+function formatAccount(account) {
+	return {
+		index: account.index,
+		publicKey: account.publicKey,
+		label: account.label ?? null,
+		derivationPath: account.derivationPath ?? (account.index > 0 ? getDerivationPath(account.index) : null),
+		createdAt: account.createdAt
+	};
+}
@@ -1,54 +1,126 @@
-import { verifyPassword, decrypt } from '../core/crypto.js';
+import {
+	decryptAsync,
+	hashPasswordAsync,
+	encryptAsync,
+	needsRehash,
+	needsReencrypt,
+	getDecoyHashAsync
+} from '../core/crypto.js';
+import { wrapSecret, unwrapSecret, needsRewrap } from '../core/key-provider.js';
+import { lockedOutError, verifyPasswordThrottled, verifySecondFactorThrottled } from '../core/login-throttle.js';
+import { isTwoFactorEnabled } from '../core/totp.js';
+import { findPublicKey, resolveIdentifier } from '../core/aliases.js';
+import { errorResult } from '../core/errors.js';
 
 /**
- * Authenticate a user with public key and password
+ * Authenticate a user with public key (or username or email) and password
  * @param {StorageAdapter} storage - Storage adapter instance
  * @param {SessionManager} sessionManager - Session manager instance
- * @param {Object} data - { publicKey, password }
- * @returns {Promise<Object>} { success, sessionToken, publicKey, balance, message }
+ * @param {Object} data - { publicKey | identifier, password, otp, userAgent, ip }
+ *   identifier is a public key, username or email address; aliases are
+ *   normalized the same way as when they were registered
+ *   otp (a TOTP or backup code) is required once two-factor authentication is enabled
+ *   userAgent and ip describe the device and are shown in session listings;
+ *   ip is also used to throttle failed attempts
+ * @param {Object} options - { kdfParams, legacyKdfParams, workerPool, keyProvider, loginThrottle, preventEnumeration }
+ *   preventEnumeration: answer unknown wallets exactly like wrong passwords (code
+ *   'INVALID_CREDENTIALS' for both), after a key derivation with legacyKdfParams
+ *   (default kdfParams), the cost of most stored records
+ * @returns {Promise<Object>} { success, sessionToken, refreshToken, sessionId, publicKey, balance, message }
+ *   refreshToken is null unless the session manager issues refresh tokens;
+ *   { success: false, error, code: 'LOCKED_OUT', retryAfter } after too many failures;
+ *   { success: false, error, code: 'OTP_REQUIRED' | 'INVALID_OTP' } for two-factor wallets
  */
-export async function authenticate(storage, sessionManager, data) {
+export async function authenticate(storage, sessionManager, data, options = {}) {
 	try {
-		const { publicKey, password } = data;
+		const { identifier = null, password, otp = null, userAgent = null, ip = null } = data;
 		
 		// Validate input
-		if (!publicKey || !password) {
+		if ((!data.publicKey && !identifier) || !password) {
 			return {
 				success: false,
-				error: 'Public key and password are required'
+				error: 'Public key (or username or email) and password are required',
+				code: 'INVALID_INPUT'
 			};
 		}
 		
+		const publicKey = data.publicKey || await findPublicKey(storage, identifier);
+		const preventEnumeration = Boolean(options.preventEnumeration);
+		
+		// Unknown usernames and emails are throttled under the name that was tried,
+		// so they lock out just like the names of existing wallets
+		const account = publicKey || (preventEnumeration ? identifierKey(identifier) : null);
+		
+		const throttle = options.loginThrottle || null;
+		
 		// Check if wallet exists
-		const wallet = await storage.getWallet(publicKey);
-		if (!wallet) {
+		const wallet = publicKey ? await storage.getWallet(publicKey) : null;
+		if (!wallet && !preventEnumeration) {
+			if (throttle) {
+				const status = await throttle.check({ ip });
+				if (!status.allowed) {
+					return lockedOutError(status);
+				}
+				await throttle.recordFailure({ ip });
+			}
 			return {
 				success: false,
-				error: 'Wallet not found'
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
 			};
 		}
 		
-		// Verify password
-		const isValid = verifyPassword(password, wallet.passwordHash, wallet.salt);
-		if (!isValid) {
-			return {
-				success: false,
-				error: 'Invalid password'
-			};
+		// Verify password (locked out wallets and IPs are refused before the key
+		// derivation); a missing wallet is checked against a decoy hash nobody
+		// knows the password of, so it costs as much as a wrong password and fails the same way
+		const credentials = wallet || await decoyCredentials(options);
+		const passwordError = await verifyPasswordThrottled(credentials, password, { publicKey: account, ip }, options);
+		if (passwordError) {
+			return preventEnumeration && passwordError.code === 'INVALID_PASSWORD'
+				? { success: false, error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' }
+				: passwordError;
 		}
 		
 		// Decrypt private key for use in transactions
 		let decryptedPrivateKey = null;
+		let passwordEncryptedKey = null;
 		try {
-			decryptedPrivateKey = decrypt(wallet.encryptedPrivateKey, password);
+			passwordEncryptedKey = await unwrapSecret(wallet.encryptedPrivateKey, options.keyProvider);
+			decryptedPrivateKey = await decryptAsync(passwordEncryptedKey, password, options.workerPool);
 			console.log('[Zero Connector] Private key decrypted successfully');
 		} catch (error) {
 			console.error('[Zero Connector] Failed to decrypt private key:', error);
 			// Continue without private key - user can still view balance
 		}
 		
+		// The TOTP secret is encrypted under the private key, so 2FA wallets need it decrypted
+		if (isTwoFactorEnabled(wallet)) {
+			if (!decryptedPrivateKey) {
+				return {
+					success: false,
+					error: 'Authentication failed',
+					code: 'DECRYPTION_FAILED'
+				};
+			}
+			
+			const otpError = await verifySecondFactorThrottled(storage, wallet, decryptedPrivateKey, otp, { publicKey, ip }, options);
+			if (otpError) {
+				return otpError;
+			}
+		}
+		
+		if (throttle) {
+			await throttle.recordSuccess({ publicKey });
+		}
+		
+		// Bring credentials written with older KDF parameters or master keys up to date
+		if (decryptedPrivateKey) {
+			await upgradeCredentials(storage, wallet, password, passwordEncryptedKey, decryptedPrivateKey, options);
+		}
+		
 		// Create session token with decrypted private key
-		const sessionToken = sessionManager.createSession(publicKey, decryptedPrivateKey);
+		const sessionToken = await sessionManager.createSession(publicKey, decryptedPrivateKey, { userAgent, ip });
+		const refreshToken = await sessionManager.issueRefreshToken(sessionToken, decryptedPrivateKey);
 		
 		// Get balance
 		const balance = await storage.getBalance(publicKey);
@@ -56,17 +128,83 @@ export async function authenticate(storage, sessionManager, data) {
 		return {
 			success: true,
 			sessionToken,
+			refreshToken,
+			sessionId: sessionManager.getSessionId(sessionToken),
 			publicKey,
 			balance: balance || { solBalance: 0, customData: {} },
 			message: 'Authentication successful'
 		};
 	} catch (error) {
 		console.error('[Zero Connector] Error authenticating:', error);
-		return {
-			success: false,
-			error: 'Authentication failed',
-			details: error.message
-		};
+		return errorResult(error, 'Authentication failed');
 	}
 }
 
+/**
+ * Password credentials nobody can match, as costly to check as the stored records
+ */
+async function decoyCredentials(options) {
+	const { hash, salt } = await getDecoyHashAsync(options.legacyKdfParams || options.kdfParams, options.workerPool);
+	return { passwordHash: hash, salt };
+}
+
+/**
+ * Throttle key for a username or email address that matched no wallet
+ */
+function identifierKey(identifier) {
+	const resolved = resolveIdentifier(identifier);
+	return resolved ? `${resolved.field}:${resolved.value}` : null;
+}
+
+/**
+ * Re-hash the password, re-encrypt the private key and re-wrap it under the
+ * current master key when the stored record uses an outdated format,
+ * KDF parameters or key ID.
+ * Failures are logged and never fail the login itself.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} wallet - Stored wallet record
+ * @param {string} password - Verified password
+ * @param {string} passwordEncryptedKey - Private key encrypted under the password (unwrapped)
+ * @param {string} privateKey - Decrypted private key (base58)
+ * @param {Object} options - { kdfParams, workerPool, keyProvider }
+ * @returns {Promise<boolean>} True if the record was upgraded
+ */
+async function upgradeCredentials(storage, wallet, password, passwordEncryptedKey, privateKey, options) {
+	const { kdfParams, workerPool, keyProvider } = options;
+	const rehash = needsRehash(wallet.passwordHash, kdfParams);
+	const reencrypt = needsReencrypt(passwordEncryptedKey, kdfParams);
+	
+	if (!rehash && !reencrypt && !needsRewrap(wallet.encryptedPrivateKey, keyProvider)) {
+		return false;
+	}
+	
+	try {
+		let { passwordHash, salt } = wallet;
+		if (rehash) {
+			({ hash: passwordHash, salt } = await hashPasswordAsync(password, kdfParams, workerPool));
+		}
+		
+		const encryptedPrivateKey = await wrapSecret(
+			reencrypt ? await encryptAsync(privateKey, password, kdfParams, workerPool) : passwordEncryptedKey,
+			keyProvider
+		);
+		
+		// Compare against the hash we verified so a concurrent password change is never overwritten
+		const updated = await storage.updateCredentials(
+			wallet.publicKey,
+			encryptedPrivateKey,
+			passwordHash,
+			salt,
+			wallet.passwordHash
+		);
+		if (!updated) {
+			return false;
+		}
+		
+		console.log('[Zero Connector] Upgraded stored credentials');
+		return true;
+	} catch (error) {
+		console.error('[Zero Connector] Failed to upgrade credentials:', error);
+		return false;
+	}
+}
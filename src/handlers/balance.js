@@ -1,40 +1,48 @@
-import { getSolanaBalance } from '../core/solana.js';
+import { getSolanaBalance, getTokenBalances, applyTokenWatchlist } from '../core/solana.js';
+import { errorResult } from '../core/errors.js';
 
 /**
  * Get wallet balance from blockchain and update storage
+ * With includeTokens the wallet's SPL token accounts (Token and Token-2022)
+ * are fetched as well, annotated from the watch-list and stored with the balance.
  * @param {StorageAdapter} storage - Storage adapter instance
- * @param {Object} data - { publicKey, network, customRpcUrl }
- * @returns {Promise<Object>} { success, publicKey, balance, message }
+ * @param {Object} data - { publicKey, network, customRpcUrl, includeTokens }
+ * @param {Object} options - { tokenOptions: { includeTokens, watchlist, watchlistOnly } }
+ * @returns {Promise<Object>} { success, publicKey, balance, message }; balance.tokens is set with includeTokens
+ *   or { success: false, error, code } with code 'RPC_UNAVAILABLE' when the RPC cannot be reached
  */
-export async function getBalance(storage, data) {
+export async function getBalance(storage, data, options = {}) {
 	try {
 		const { publicKey, network = 'mainnet-beta', customRpcUrl = null } = data;
+		const { includeTokens: includeByDefault = false, watchlist = [], watchlistOnly = false } = options.tokenOptions || {};
+		const includeTokens = Boolean(data.includeTokens ?? includeByDefault);
 		
 		if (!publicKey) {
 			return {
 				success: false,
-				error: 'Public key is required'
+				error: 'Public key is required',
+				code: 'INVALID_INPUT'
 			};
 		}
 		
-		// Get SOL balance from blockchain
-		let solBalance = 0;
-		try {
-			solBalance = await getSolanaBalance(publicKey, network, customRpcUrl);
-			console.log(`[Zero Connector] Fetched balance for ${publicKey}: ${solBalance} SOL`);
-		} catch (error) {
-			console.error('[Zero Connector] Error fetching SOL balance:', error);
-			// Continue with 0 balance if fetch fails
-		}
+		// Get SOL balance from blockchain; an unreachable RPC fails with RPC_UNAVAILABLE
+		// instead of overwriting the stored balance with 0
+		const [solBalance, tokenBalances] = await Promise.all([
+			getSolanaBalance(publicKey, network, customRpcUrl),
+			includeTokens ? getTokenBalances(publicKey, network, customRpcUrl) : undefined
+		]);
+		const tokens = tokenBalances && applyTokenWatchlist(tokenBalances, watchlist, watchlistOnly);
+		console.log(`[Zero Connector] Fetched balance for ${publicKey}: ${solBalance} SOL${tokens ? `, ${tokenBalances.length} token accounts` : ''}`);
 		
 		// Get current balance data from storage
 		const currentBalance = await storage.getBalance(publicKey);
 		
-		// Update SOL balance in storage
+		// Update SOL balance (and token balances when fetched) in storage
 		const updatedBalance = await storage.updateBalance(
 			publicKey,
 			solBalance,
-			currentBalance?.customData || {}
+			currentBalance?.customData || {},
+			tokens
 		);
 		
 		return {
@@ -43,29 +51,27 @@ export async function getBalance(storage, data) {
 			balance: {
 				solBalance: updatedBalance.solBalance,
 				customData: updatedBalance.customData,
+				...(tokens && { tokens }),
 				lastUpdated: updatedBalance.lastUpdated
 			},
 			message: 'Balance fetched successfully'
 		};
 	} catch (error) {
 		console.error('[Zero Connector] Error fetching balance:', error);
-		return {
-			success: false,
-			error: 'Failed to fetch balance',
-			details: error.message
-		};
+		return errorResult(error, 'Failed to fetch balance');
 	}
 }
 
 /**
  * Refresh balance from blockchain
  * @param {StorageAdapter} storage - Storage adapter instance
- * @param {Object} data - { publicKey, network, customRpcUrl }
+ * @param {Object} data - { publicKey, network, customRpcUrl, includeTokens }
+ * @param {Object} options - As for getBalance
  * @returns {Promise<Object>} { success, publicKey, balance, message }
  */
-export async function refreshBalance(storage, data) {
+export async function refreshBalance(storage, data, options = {}) {
 	// Same as getBalance, but with a different message
-	const result = await getBalance(storage, data);
+	const result = await getBalance(storage, data, options);
 	if (result.success) {
 		result.message = 'Balance refreshed successfully';
 	}
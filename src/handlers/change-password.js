@@ -0,0 +1,113 @@
+import {
+	decryptAsync,
+	hashPasswordAsync,
+	encryptAsync
+} from '../core/crypto.js';
+import { wrapSecret, unwrapSecret } from '../core/key-provider.js';
+import { verifyPasswordThrottled, verifySecondFactorThrottled } from '../core/login-throttle.js';
+import { defaultPasswordPolicy, passwordPolicyError } from '../core/password-policy.js';
+import { isTwoFactorEnabled } from '../core/totp.js';
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Change a wallet's password
+ * Re-encrypts the private key under the new password and revokes every
+ * other session for the wallet. Requires a two-factor code when 2FA is enabled;
+ * the TOTP secret is tied to the private key and stays valid.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @param {Object} data - { publicKey, oldPassword, newPassword, otp, sessionToken }
+ *   sessionToken is optional; when given, that session is kept alive
+ * @param {Object} options - { kdfParams, workerPool, keyProvider, passwordPolicy, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, revokedSessions, message } or { success: false, error, reasons }
+ */
+export async function changePassword(storage, sessionManager, data, options = {}) {
+	try {
+		const { publicKey, oldPassword, newPassword, otp = null, sessionToken = null } = data;
+		
+		// Validate input
+		if (!publicKey || !oldPassword || !newPassword) {
+			return {
+				success: false,
+				error: 'Public key, old password and new password are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		const validation = (options.passwordPolicy || defaultPasswordPolicy).validate(newPassword, { publicKey });
+		if (!validation.valid) {
+			return passwordPolicyError(validation);
+		}
+		
+		if (newPassword === oldPassword) {
+			return {
+				success: false,
+				error: 'New password must be different from the old password',
+				code: 'SAME_PASSWORD'
+			};
+		}
+		
+		// Check if wallet exists
+		const wallet = await storage.getWallet(publicKey);
+		if (!wallet) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		// Verify old password
+		const passwordError = await verifyPasswordThrottled(wallet, oldPassword, { publicKey: publicKey }, options);
+		if (passwordError) {
+			return passwordError;
+		}
+		
+		// Decrypt private key with the old password
+		const passwordEncryptedKey = await unwrapSecret(wallet.encryptedPrivateKey, options.keyProvider);
+		const privateKey = await decryptAsync(passwordEncryptedKey, oldPassword, options.workerPool);
+		
+		if (isTwoFactorEnabled(wallet)) {
+			const otpError = await verifySecondFactorThrottled(storage, wallet, privateKey, otp, { publicKey }, options);
+			if (otpError) {
+				return otpError;
+			}
+		}
+		
+		// Hash the new password and re-encrypt the private key under it
+		const { hash: passwordHash, salt } = await hashPasswordAsync(newPassword, options.kdfParams, options.workerPool);
+		const encryptedPrivateKey = await wrapSecret(
+			await encryptAsync(privateKey, newPassword, options.kdfParams, options.workerPool),
+			options.keyProvider
+		);
+		
+		// Only succeeds if nobody changed the password since we verified it
+		const updated = await storage.updateCredentials(
+			publicKey,
+			encryptedPrivateKey,
+			passwordHash,
+			salt,
+			wallet.passwordHash
+		);
+		if (!updated) {
+			return {
+				success: false,
+				error: 'Password was changed by another request, please try again',
+				code: 'CONCURRENT_UPDATE'
+			};
+		}
+		
+		// Log out everywhere else
+		const revokedSessions = await sessionManager.deleteSessionsByPublicKey(publicKey, sessionToken);
+		
+		return {
+			success: true,
+			publicKey,
+			revokedSessions,
+			message: 'Password changed successfully'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error changing password:', error);
+		return errorResult(error, 'Failed to change password');
+	}
+}
@@ -1,65 +1,88 @@
-import { hashPassword, encrypt } from '../core/crypto.js';
+import { hashPasswordAsync, encryptAsync } from '../core/crypto.js';
 import { generateKeypair } from '../core/solana.js';
+import { wrapSecret } from '../core/key-provider.js';
+import { defaultPasswordPolicy, passwordPolicyError } from '../core/password-policy.js';
+import { generateMnemonic, keypairFromSeed, mnemonicToSeed, encodeSeedSecret } from '../core/mnemonic.js';
+import { prepareAliases } from '../core/aliases.js';
+import { ConflictError, errorResult } from '../core/errors.js';
 
 /**
  * Create a new wallet with password protection
  * @param {StorageAdapter} storage - Storage adapter instance
- * @param {Object} data - { password }
- * @returns {Promise<Object>} { success, publicKey, message }
+ * @param {Object} data - { password, withMnemonic, username, email }
+ *   withMnemonic: create a seed-based (HD) wallet from a new BIP39 recovery phrase,
+ *   returned once as `mnemonic`; further accounts can then be derived with addAccount
+ *   username, email: optional unique aliases that can be used to log in (see core/aliases.js)
+ * @param {Object} options - { kdfParams, workerPool, keyProvider, passwordPolicy }
+ * @returns {Promise<Object>} { success, publicKey, username, email, mnemonic, message }
+ *   or { success: false, error, code, reasons | field }
  */
-export async function createWallet(storage, data) {
+export async function createWallet(storage, data, options = {}) {
 	try {
-		const { password } = data;
+		const { password, withMnemonic = false } = data;
 		
 		// Validate password
-		if (!password || typeof password !== 'string') {
-			return {
-				success: false,
-				error: 'Password is required'
-			};
+		const validation = (options.passwordPolicy || defaultPasswordPolicy).validate(password);
+		if (!validation.valid) {
+			return passwordPolicyError(validation);
 		}
 		
-		if (password.length < 6) {
-			return {
-				success: false,
-				error: 'Password must be at least 6 characters long'
-			};
+		// Validate aliases before spending a key derivation
+		const { aliases, error: aliasError } = prepareAliases(data);
+		if (aliasError) {
+			return aliasError;
 		}
 		
-		// Generate new Solana keypair
-		const { publicKey, privateKey } = generateKeypair();
+		// Generate new Solana keypair, optionally from a recovery phrase.
+		// Seed-based wallets store the seed so more accounts can be derived later.
+		let publicKey;
+		let secret;
+		const mnemonic = withMnemonic ? generateMnemonic() : null;
+		if (mnemonic) {
+			const seed = mnemonicToSeed(mnemonic);
+			publicKey = keypairFromSeed(seed).publicKey;
+			secret = encodeSeedSecret(seed);
+		} else {
+			({ publicKey, privateKey: secret } = generateKeypair());
+		}
 		
 		// Hash password
-		const { hash: passwordHash, salt } = hashPassword(password);
+		const { hash: passwordHash, salt } = await hashPasswordAsync(password, options.kdfParams, options.workerPool);
 		
-		// Encrypt private key
-		const encryptedPrivateKey = encrypt(privateKey, password);
+		// Encrypt private key (or seed) with the password, then wrap it under the master key (if configured)
+		const encryptedPrivateKey = await wrapSecret(
+			await encryptAsync(secret, password, options.kdfParams, options.workerPool),
+			options.keyProvider
+		);
 		
 		// Store wallet in database
 		try {
-			await storage.createWallet(publicKey, encryptedPrivateKey, passwordHash, salt);
+			await storage.createWallet(publicKey, encryptedPrivateKey, passwordHash, salt, aliases);
 		} catch (error) {
-			if (error.message === 'Wallet already exists') {
-				return {
-					success: false,
-					error: 'Wallet already exists'
-				};
+			// WALLET_EXISTS or ALIAS_TAKEN
+			if (error instanceof ConflictError) {
+				return error.toResult();
 			}
 			throw error;
 		}
 		
-		return {
+		const result = {
 			success: true,
 			publicKey,
+			username: aliases.username,
+			email: aliases.email,
 			message: 'Wallet created successfully'
 		};
+		
+		// The phrase is never stored; this is the only time the user sees it
+		if (mnemonic) {
+			result.mnemonic = mnemonic;
+		}
+		
+		return result;
 	} catch (error) {
 		console.error('[Zero Connector] Error creating wallet:', error);
-		return {
-			success: false,
-			error: 'Failed to create wallet',
-			details: error.message
-		};
+		return errorResult(error, 'Failed to create wallet');
 	}
 }
 
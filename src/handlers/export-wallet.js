@@ -0,0 +1,122 @@
+import bs58 from 'bs58';
+import { decryptAsync } from '../core/crypto.js';
+import { unwrapSecret } from '../core/key-provider.js';
+import { verifyPasswordThrottled, verifySecondFactorThrottled } from '../core/login-throttle.js';
+import { keypairFromSecret, isSeedSecret, parseAccountIndex } from '../core/mnemonic.js';
+import { createKeystore } from '../core/keystore.js';
+import { defaultPasswordPolicy, passwordPolicyError } from '../core/password-policy.js';
+import { isTwoFactorEnabled } from '../core/totp.js';
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Export a wallet's key. Always requires the wallet password, even for
+ * callers holding a valid session, and a two-factor code when 2FA is enabled.
+ *   format 'keystore' (default): password-encrypted keystore JSON that importWallet
+ *     can read back; includes the seed of seed-based wallets. Encrypted under
+ *     exportPassword if given, otherwise under the wallet password.
+ *   format 'raw': the plain secret key of one account as base58 and as a
+ *     Solana CLI id.json byte array
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey, password, otp, format, exportPassword, accountIndex }
+ *   accountIndex may be an integer string, e.g. from a query string
+ * @param {Object} options - { kdfParams, workerPool, keyProvider, passwordPolicy, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, format, keystore | privateKey + secretKey, message }
+ */
+export async function exportWallet(storage, data, options = {}) {
+	try {
+		const { publicKey, password, otp = null, format = 'keystore', exportPassword = null } = data;
+		const accountIndex = parseAccountIndex(data.accountIndex ?? 0);
+		
+		// Validate input
+		if (!publicKey || !password) {
+			return {
+				success: false,
+				error: 'Public key and password are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		if (accountIndex === null) {
+			return {
+				success: false,
+				error: 'Account index must be a non-negative integer',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		if (format !== 'keystore' && format !== 'raw') {
+			return {
+				success: false,
+				error: "Format must be 'keystore' or 'raw'",
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		if (exportPassword !== null) {
+			const validation = (options.passwordPolicy || defaultPasswordPolicy).validate(exportPassword, { publicKey });
+			if (!validation.valid) {
+				return passwordPolicyError(validation);
+			}
+		}
+		
+		// Check if wallet exists
+		const wallet = await storage.getWallet(publicKey);
+		if (!wallet) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		// Re-authenticate
+		const passwordError = await verifyPasswordThrottled(wallet, password, { publicKey: publicKey }, options);
+		if (passwordError) {
+			return passwordError;
+		}
+		
+		const secret = await decryptAsync(
+			await unwrapSecret(wallet.encryptedPrivateKey, options.keyProvider),
+			password,
+			options.workerPool
+		);
+		
+		if (isTwoFactorEnabled(wallet)) {
+			const otpError = await verifySecondFactorThrottled(storage, wallet, secret, otp, { publicKey }, options);
+			if (otpError) {
+				return otpError;
+			}
+		}
+		
+		if (format === 'raw') {
+			if (accountIndex > 0 && !isSeedSecret(secret)) {
+				return {
+					success: false,
+					error: 'Wallet is not seed-based',
+					code: 'NOT_SEED_WALLET'
+				};
+			}
+			
+			const { privateKey } = keypairFromSecret(secret, accountIndex);
+			return {
+				success: true,
+				publicKey,
+				format,
+				privateKey,
+				secretKey: Array.from(bs58.decode(privateKey)),
+				message: 'Wallet exported successfully'
+			};
+		}
+		
+		return {
+			success: true,
+			publicKey,
+			format,
+			keystore: await createKeystore(secret, exportPassword || password, options),
+			message: 'Wallet exported successfully'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error exporting wallet:', error);
+		return errorResult(error, 'Failed to export wallet');
+	}
+}
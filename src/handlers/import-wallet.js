@@ -0,0 +1,111 @@
+import { hashPasswordAsync, encryptAsync } from '../core/crypto.js';
+import { wrapSecret } from '../core/key-provider.js';
+import { validateMnemonic, mnemonicToSeed, keypairFromSeed, encodeSeedSecret } from '../core/mnemonic.js';
+import { parseSecretKey, readKeystore } from '../core/keystore.js';
+import { defaultPasswordPolicy, passwordPolicyError } from '../core/password-policy.js';
+import { prepareAliases } from '../core/aliases.js';
+import { ConflictError, errorResult } from '../core/errors.js';
+
+/**
+ * Import an existing key as a new password-protected wallet
+ * Exactly one source must be given:
+ *   secretKey - base58 secret key or Solana CLI id.json byte array (or its JSON string)
+ *   mnemonic  - BIP39 recovery phrase (creates a seed-based wallet)
+ *   keystore  - keystore JSON produced by exportWallet, opened with keystorePassword
+ *               (defaults to password)
+ * username and email are optional login aliases, as for createWallet.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { password, secretKey, mnemonic, keystore, keystorePassword, username, email }
+ * @param {Object} options - { kdfParams, workerPool, keyProvider, passwordPolicy }
+ * @returns {Promise<Object>} { success, publicKey, username, email, message }
+ *   or { success: false, error, code, reasons | field }
+ */
+export async function importWallet(storage, data, options = {}) {
+	try {
+		const { password, secretKey, mnemonic, keystore, keystorePassword } = data;
+		
+		const policy = options.passwordPolicy || defaultPasswordPolicy;
+		
+		// Validate password
+		const validation = policy.validate(password);
+		if (!validation.valid) {
+			return passwordPolicyError(validation);
+		}
+		
+		const { aliases, error: aliasError } = prepareAliases(data);
+		if (aliasError) {
+			return aliasError;
+		}
+		
+		const sources = [secretKey, mnemonic, keystore].filter(source => source !== undefined && source !== null);
+		if (sources.length !== 1) {
+			return {
+				success: false,
+				error: 'Provide exactly one of secretKey, mnemonic or keystore',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		// Resolve the public key and the secret to store
+		let publicKey;
+		let secret;
+		try {
+			if (mnemonic) {
+				if (!validateMnemonic(mnemonic)) {
+					throw new Error('Invalid recovery phrase');
+				}
+				const seed = mnemonicToSeed(mnemonic);
+				publicKey = keypairFromSeed(seed).publicKey;
+				secret = encodeSeedSecret(seed);
+			} else if (keystore) {
+				({ publicKey, secret } = await readKeystore(keystore, keystorePassword || password, options));
+			} else {
+				({ publicKey, privateKey: secret } = parseSecretKey(secretKey));
+			}
+		} catch (error) {
+			// Parser messages only describe the input, so they are safe to return
+			return {
+				success: false,
+				error: `Invalid key: ${error.message}`,
+				code: 'INVALID_KEY'
+			};
+		}
+		
+		// Now that the address is known, make sure the password does not contain it
+		const keyValidation = policy.validate(password, { publicKey });
+		if (!keyValidation.valid) {
+			return passwordPolicyError(keyValidation);
+		}
+		
+		// Hash password
+		const { hash: passwordHash, salt } = await hashPasswordAsync(password, options.kdfParams, options.workerPool);
+		
+		// Encrypt private key (or seed) with the password, then wrap it under the master key (if configured)
+		const encryptedPrivateKey = await wrapSecret(
+			await encryptAsync(secret, password, options.kdfParams, options.workerPool),
+			options.keyProvider
+		);
+		
+		// Store wallet in database
+		try {
+			await storage.createWallet(publicKey, encryptedPrivateKey, passwordHash, salt, aliases);
+		} catch (error) {
+			// WALLET_EXISTS or ALIAS_TAKEN
+			if (error instanceof ConflictError) {
+				return error.toResult();
+			}
+			throw error;
+		}
+		
+		return {
+			success: true,
+			publicKey,
+			username: aliases.username,
+			email: aliases.email,
+			message: 'Wallet imported successfully'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error importing wallet:', error);
+		return errorResult(error, 'Failed to import wallet');
+	}
+}
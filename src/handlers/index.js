@@ -1,4 +1,14 @@
 export { createWallet } from './create-wallet.js';
 export { authenticate } from './authenticate.js';
+export { changePassword } from './change-password.js';
+export { recoverWallet } from './recover-wallet.js';
+export { unlockSession } from './unlock-session.js';
+export { refreshSession } from './refresh-session.js';
+export { createSiwsChallenge, authenticateSiws } from './siws.js';
+export { importWallet } from './import-wallet.js';
+export { exportWallet } from './export-wallet.js';
 export { getBalance, refreshBalance } from './balance.js';
+export { addAccount, listAccounts, labelAccount } from './accounts.js';
+export { enrollTotp, confirmTotp, disableTotp, regenerateBackupCodes } from './two-factor.js';
 
+export { sendSol } from './transfer.js';
@@ -0,0 +1,95 @@
+import { hashPasswordAsync, encryptAsync } from '../core/crypto.js';
+import { wrapSecret } from '../core/key-provider.js';
+import { defaultPasswordPolicy, passwordPolicyError } from '../core/password-policy.js';
+import { validateMnemonic, mnemonicToSeed, keypairFromSeed, encodeSeedSecret } from '../core/mnemonic.js';
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Recover a wallet from its recovery phrase and set a new password
+ * The keypair is re-derived from the mnemonic and must match a stored wallet.
+ * The wallet's seed is stored again, so derived accounts stay available.
+ * All existing sessions of the wallet are revoked.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @param {Object} data - { mnemonic, newPassword, publicKey }
+ *   publicKey is optional; when given, the phrase must derive exactly this key
+ * @param {Object} options - { kdfParams, workerPool, keyProvider, passwordPolicy }
+ * @returns {Promise<Object>} { success, publicKey, revokedSessions, message } or { success: false, error, reasons }
+ */
+export async function recoverWallet(storage, sessionManager, data, options = {}) {
+	try {
+		const { mnemonic, newPassword, publicKey: expectedPublicKey = null } = data;
+		
+		// Validate input
+		if (!mnemonic || !newPassword) {
+			return {
+				success: false,
+				error: 'Mnemonic and new password are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		if (!validateMnemonic(mnemonic)) {
+			return {
+				success: false,
+				error: 'Invalid recovery phrase',
+				code: 'INVALID_MNEMONIC'
+			};
+		}
+		
+		// Re-derive the keypair and make sure it belongs to a stored wallet
+		const seed = mnemonicToSeed(mnemonic);
+		const { publicKey } = keypairFromSeed(seed);
+		
+		if (expectedPublicKey && expectedPublicKey !== publicKey) {
+			return {
+				success: false,
+				error: 'Recovery phrase does not match this wallet',
+				code: 'MNEMONIC_MISMATCH'
+			};
+		}
+		
+		const wallet = await storage.getWallet(publicKey);
+		if (!wallet) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		const validation = (options.passwordPolicy || defaultPasswordPolicy).validate(newPassword, { publicKey });
+		if (!validation.valid) {
+			return passwordPolicyError(validation);
+		}
+		
+		// Re-encrypt the seed under the new password
+		const { hash: passwordHash, salt } = await hashPasswordAsync(newPassword, options.kdfParams, options.workerPool);
+		const encryptedPrivateKey = await wrapSecret(
+			await encryptAsync(encodeSeedSecret(seed), newPassword, options.kdfParams, options.workerPool),
+			options.keyProvider
+		);
+		
+		const updated = await storage.updateCredentials(publicKey, encryptedPrivateKey, passwordHash, salt);
+		if (!updated) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		// Whoever held the old password must not stay logged in
+		const revokedSessions = await sessionManager.deleteSessionsByPublicKey(publicKey);
+		
+		return {
+			success: true,
+			publicKey,
+			revokedSessions,
+			message: 'Wallet recovered successfully'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error recovering wallet:', error);
+		return errorResult(error, 'Failed to recover wallet');
+	}
+}
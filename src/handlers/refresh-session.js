@@ -0,0 +1,57 @@
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Exchange a refresh token for a new session token and refresh token
+ * The refresh token is spent; presenting it again revokes the whole login.
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @param {Object} data - { refreshToken, userAgent, ip }
+ * @returns {Promise<Object>} { success, sessionToken, refreshToken, sessionId, publicKey, message }
+ *   or { success: false, error, code } with code 'REFRESH_TOKEN_REUSED' after reuse
+ */
+export async function refreshSession(sessionManager, data) {
+	try {
+		const { refreshToken, userAgent = null, ip = null } = data;
+		
+		// Validate input
+		if (!refreshToken) {
+			return {
+				success: false,
+				error: 'Refresh token is required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		// Only overwrite the recorded device details with ones we were given
+		const metadata = {};
+		if (userAgent) {
+			metadata.userAgent = userAgent;
+		}
+		if (ip) {
+			metadata.ip = ip;
+		}
+		
+		const refreshed = await sessionManager.refreshSession(refreshToken, metadata);
+		if (!refreshed) {
+			return {
+				success: false,
+				error: 'Invalid or expired refresh token',
+				code: 'INVALID_REFRESH_TOKEN'
+			};
+		}
+		
+		return {
+			success: true,
+			sessionToken: refreshed.sessionToken,
+			refreshToken: refreshed.refreshToken,
+			sessionId: sessionManager.getSessionId(refreshed.sessionToken),
+			publicKey: refreshed.publicKey,
+			message: 'Session refreshed'
+		};
+	} catch (error) {
+		// Reuse is already logged by the session manager
+		if (error.code !== 'REFRESH_TOKEN_REUSED') {
+			console.error('[Zero Connector] Error refreshing session:', error);
+		}
+		return errorResult(error, 'Failed to refresh session');
+	}
+}
@@ -0,0 +1,106 @@
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Issue a Sign-In With Solana challenge for an externally held wallet
+ * @param {Object} data - { publicKey }
+ * @param {Object} options - { siws: SiwsChallenges }
+ * @returns {Promise<Object>} { success, publicKey, message, nonce, expiresAt }
+ */
+export async function createSiwsChallenge(data, options = {}) {
+	try {
+		const { publicKey } = data;
+
+		if (!options.siws) {
+			return {
+				success: false,
+				error: 'Sign-In With Solana is not configured',
+				code: 'NOT_CONFIGURED'
+			};
+		}
+
+		// Validate input
+		if (!publicKey) {
+			return {
+				success: false,
+				error: 'Public key is required',
+				code: 'INVALID_INPUT'
+			};
+		}
+
+		const challenge = await options.siws.issue(publicKey);
+
+		return {
+			success: true,
+			publicKey,
+			...challenge
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error creating SIWS challenge:', error);
+		return errorResult(error, 'Failed to create sign-in challenge');
+	}
+}
+
+/**
+ * Authenticate an externally held wallet with a signed SIWS challenge
+ * The session never holds a private key and is flagged as non-custodial.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @param {Object} data - { message, signature, userAgent, ip }
+ *   signature is the wallet's signature of the message (base58 or byte array)
+ * @param {Object} options - { siws: SiwsChallenges }
+ * @returns {Promise<Object>} { success, sessionToken, refreshToken, sessionId, publicKey, balance, message }
+ */
+export async function authenticateSiws(storage, sessionManager, data, options = {}) {
+	try {
+		const { message, signature, userAgent = null, ip = null } = data;
+
+		if (!options.siws) {
+			return {
+				success: false,
+				error: 'Sign-In With Solana is not configured',
+				code: 'NOT_CONFIGURED'
+			};
+		}
+
+		// Validate input
+		if (!message || !signature) {
+			return {
+				success: false,
+				error: 'Message and signature are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+
+		const result = await options.siws.verify(message, signature);
+		if (!result.valid) {
+			return {
+				success: false,
+				error: result.error,
+				code: result.code
+			};
+		}
+
+		const { publicKey } = result;
+		const sessionToken = await sessionManager.createSession(publicKey, null, {
+			userAgent,
+			ip,
+			nonCustodial: true
+		});
+		const refreshToken = await sessionManager.issueRefreshToken(sessionToken);
+
+		const balance = await storage.getBalance(publicKey);
+
+		return {
+			success: true,
+			sessionToken,
+			refreshToken,
+			sessionId: sessionManager.getSessionId(sessionToken),
+			publicKey,
+			balance: balance || { solBalance: 0, customData: {} },
+			message: 'Authentication successful'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error authenticating with SIWS:', error);
+		return errorResult(error, 'Authentication failed');
+	}
+}
@@ -0,0 +1,162 @@
+import bs58 from 'bs58';
+import {
+	getConnection,
+	validateAddress,
+	parseSolAmount,
+	lamportsToSol,
+	buildTransfer,
+	sendTransaction,
+	confirmTransaction,
+	COMMITMENT_LEVELS,
+	TRANSFER_DEFAULTS
+} from '../core/solana.js';
+import { RpcError, errorResult } from '../core/errors.js';
+
+/**
+ * Send SOL from the wallet of a session and record the transfer
+ * The transaction is signed before it is sent, so it is recorded under its
+ * signature from the start and moves from 'pending' to 'submitted' to
+ * 'confirmed', or ends as 'failed' or 'expired'. After a CONFIRMATION_TIMEOUT
+ * it stays 'submitted' because it may still land; check the signature before
+ * sending again.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Function} withSigner - async (callback) => result; calls callback(signer: Keypair) with the sender's key
+ * @param {Object} data - { to, amount, commitment, network, customRpcUrl }
+ * @param {Object} options - { transferOptions, connection }
+ *   connection: Connection to use instead of one for network and customRpcUrl
+ * @returns {Promise<Object>} { success, publicKey, signature, transaction, message }
+ *   or { success: false, error, code }, with signature and transaction once the transfer was recorded
+ */
+export async function sendSol(storage, withSigner, data, options = {}) {
+	try {
+		const { to, amount, network = 'mainnet-beta', customRpcUrl = null } = data;
+		const transferOptions = {
+			...TRANSFER_DEFAULTS,
+			...options.transferOptions,
+			...(data.commitment && { commitment: data.commitment })
+		};
+		const { commitment } = transferOptions;
+
+		// Validate input
+		if (!to || amount === undefined || amount === null) {
+			return {
+				success: false,
+				error: 'Destination and amount are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+
+		if (!validateAddress(to)) {
+			return {
+				success: false,
+				error: 'Invalid destination address',
+				code: 'INVALID_PUBLIC_KEY'
+			};
+		}
+
+		if (!COMMITMENT_LEVELS.includes(commitment)) {
+			return {
+				success: false,
+				error: `Commitment must be one of: ${COMMITMENT_LEVELS.join(', ')}`,
+				code: 'INVALID_INPUT'
+			};
+		}
+
+		const lamports = parseSolAmount(amount);
+
+		const connection = options.connection || getConnection(network, customRpcUrl);
+		const blockhash = await rpc('fetch blockhash', () => connection.getLatestBlockhash(commitment));
+
+		// The key is only needed to sign and is wiped before anything is sent
+		const transaction = await withSigner(signer => buildTransfer(signer, to, lamports, blockhash));
+		const from = transaction.feePayer.toBase58();
+		const signature = bs58.encode(transaction.signature);
+		const rawTransaction = transaction.serialize();
+
+		// Check funds up front for a clearer error than a failed simulation
+		const [balance, { value: fee }] = await rpc('check balance', () => Promise.all([
+			connection.getBalance(transaction.feePayer, commitment),
+			connection.getFeeForMessage(transaction.compileMessage(), commitment)
+		]));
+		const feeLamports = BigInt(fee ?? 0);
+		if (BigInt(balance) < lamports + feeLamports) {
+			return {
+				success: false,
+				error: 'Insufficient funds for the amount and the network fee',
+				code: 'INSUFFICIENT_FUNDS',
+				publicKey: from,
+				balance: lamportsToSol(balance)
+			};
+		}
+
+		let record = await storage.addTransaction(from, {
+			signature,
+			type: 'transfer',
+			direction: 'out',
+			from,
+			to,
+			amount: lamportsToSol(Number(lamports)),
+			lamports: lamports.toString(),
+			fee: lamportsToSol(Number(feeLamports)),
+			network,
+			commitment,
+			status: 'pending'
+		});
+
+		try {
+			await sendTransaction(connection, rawTransaction, transferOptions);
+			record = await updateRecord(storage, record, { status: 'submitted' });
+
+			const { confirmationStatus, slot } = await confirmTransaction(connection, rawTransaction, {
+				signature,
+				lastValidBlockHeight: blockhash.lastValidBlockHeight
+			}, transferOptions);
+			record = await updateRecord(storage, record, { status: 'confirmed', confirmationStatus, slot });
+		} catch (error) {
+			console.error(`[Zero Connector] Transfer ${signature} failed:`, error);
+			const failure = errorResult(error, 'Failed to send transaction');
+			// A transfer that timed out may still land, so it stays submitted
+			if (failure.code !== 'CONFIRMATION_TIMEOUT') {
+				record = await updateRecord(storage, record, {
+					status: failure.code === 'TRANSACTION_EXPIRED' ? 'expired' : 'failed',
+					error: failure.error,
+					code: failure.code
+				});
+			}
+			return { ...failure, publicKey: from, signature, transaction: record };
+		}
+
+		console.log(`[Zero Connector] Sent ${record.amount} SOL from ${from} to ${to}: ${signature}`);
+
+		return {
+			success: true,
+			publicKey: from,
+			signature,
+			transaction: record,
+			message: 'Transfer confirmed'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error sending SOL:', error);
+		return errorResult(error, 'Failed to send SOL');
+	}
+}
+
+async function rpc(action, request) {
+	try {
+		return await request();
+	} catch (error) {
+		throw new RpcError('RPC_UNAVAILABLE', `Failed to ${action}: ${error.message}`, { cause: error });
+	}
+}
+
+// The transfer went through or failed whatever storage says, so a failed
+// status write is logged rather than reported as the transfer's outcome
+async function updateRecord(storage, record, updates) {
+	try {
+		const updated = await storage.updateTransaction(record.from, record.signature, updates);
+		return updated || { ...record, ...updates };
+	} catch (error) {
+		console.error(`[Zero Connector] Failed to update transaction ${record.signature}:`, error);
+		return { ...record, ...updates };
+	}
+}
@@ -0,0 +1,247 @@
+import { decryptAsync } from '../core/crypto.js';
+import { unwrapSecret } from '../core/key-provider.js';
+import { verifyPasswordThrottled, verifySecondFactorThrottled } from '../core/login-throttle.js';
+import {
+	generateTotpSecret,
+	verifyTotp,
+	getOtpauthUri,
+	generateBackupCodes,
+	hashBackupCode,
+	sealTotpSecret,
+	openTotpSecret,
+	isTwoFactorEnabled
+} from '../core/totp.js';
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Start TOTP enrollment
+ * Stores a new secret as pending; it only takes effect after confirmTotp.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey, password }
+ * @param {Object} options - { workerPool, keyProvider, loginThrottle, totpIssuer }
+ * @returns {Promise<Object>} { success, publicKey, secret, otpauthUri, message }
+ */
+export async function enrollTotp(storage, data, options = {}) {
+	try {
+		const unlocked = await unlockWallet(storage, data, options);
+		if (unlocked.error) {
+			return unlocked.error;
+		}
+		const { wallet, secret: walletSecret } = unlocked;
+
+		if (isTwoFactorEnabled(wallet)) {
+			return {
+				success: false,
+				error: 'Two-factor authentication is already enabled',
+				code: 'TWO_FACTOR_ENABLED'
+			};
+		}
+
+		const secret = generateTotpSecret();
+		await storage.updateTwoFactor(wallet.publicKey, {
+			status: 'pending',
+			secret: sealTotpSecret(secret, walletSecret),
+			createdAt: Date.now()
+		});
+
+		return {
+			success: true,
+			publicKey: wallet.publicKey,
+			secret,
+			otpauthUri: getOtpauthUri(secret, { issuer: options.totpIssuer, account: wallet.publicKey }),
+			message: 'Add the secret to an authenticator app and confirm with a code'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error enrolling TOTP:', error);
+		return errorResult(error, 'Failed to start two-factor enrollment');
+	}
+}
+
+/**
+ * Finish TOTP enrollment with a code from the authenticator app
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey, password, otp }
+ * @param {Object} options - { workerPool, keyProvider, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, backupCodes, message }
+ *   backupCodes are only ever returned here (and by regenerateBackupCodes)
+ */
+export async function confirmTotp(storage, data, options = {}) {
+	try {
+		const unlocked = await unlockWallet(storage, data, options);
+		if (unlocked.error) {
+			return unlocked.error;
+		}
+		const { wallet, secret: walletSecret } = unlocked;
+
+		if (wallet.twoFactor?.status !== 'pending') {
+			return {
+				success: false,
+				error: 'No two-factor enrollment in progress',
+				code: 'NO_ENROLLMENT_PENDING'
+			};
+		}
+
+		const step = verifyTotp(openTotpSecret(wallet.twoFactor.secret, walletSecret), data.otp);
+		if (step === null) {
+			return {
+				success: false,
+				error: 'Invalid two-factor code',
+				code: 'INVALID_OTP'
+			};
+		}
+
+		const backupCodes = generateBackupCodes();
+		await storage.updateTwoFactor(wallet.publicKey, {
+			...wallet.twoFactor,
+			status: 'enabled',
+			enabledAt: Date.now(),
+			lastUsedStep: step,
+			backupCodes: backupCodes.map(hashBackupCode)
+		});
+
+		return {
+			success: true,
+			publicKey: wallet.publicKey,
+			backupCodes,
+			message: 'Two-factor authentication enabled'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error confirming TOTP:', error);
+		return errorResult(error, 'Failed to enable two-factor authentication');
+	}
+}
+
+/**
+ * Turn off two-factor authentication (or cancel a pending enrollment)
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey, password, otp }
+ * @param {Object} options - { workerPool, keyProvider, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, message }
+ */
+export async function disableTotp(storage, data, options = {}) {
+	try {
+		const unlocked = await unlockWallet(storage, data, options);
+		if (unlocked.error) {
+			return unlocked.error;
+		}
+		const { wallet, secret: walletSecret } = unlocked;
+
+		if (!wallet.twoFactor) {
+			return {
+				success: false,
+				error: 'Two-factor authentication is not enabled',
+				code: 'TWO_FACTOR_NOT_ENABLED'
+			};
+		}
+
+		if (isTwoFactorEnabled(wallet)) {
+			const otpError = await verifySecondFactorThrottled(storage, wallet, walletSecret, data.otp, { publicKey: wallet.publicKey }, options);
+			if (otpError) {
+				return otpError;
+			}
+		}
+
+		await storage.updateTwoFactor(wallet.publicKey, null);
+
+		return {
+			success: true,
+			publicKey: wallet.publicKey,
+			message: 'Two-factor authentication disabled'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error disabling TOTP:', error);
+		return errorResult(error, 'Failed to disable two-factor authentication');
+	}
+}
+
+/**
+ * Replace all backup codes with new ones
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {Object} data - { publicKey, password, otp }
+ * @param {Object} options - { workerPool, keyProvider, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, backupCodes, message }
+ */
+export async function regenerateBackupCodes(storage, data, options = {}) {
+	try {
+		const unlocked = await unlockWallet(storage, data, options);
+		if (unlocked.error) {
+			return unlocked.error;
+		}
+		const { wallet, secret: walletSecret } = unlocked;
+
+		if (!isTwoFactorEnabled(wallet)) {
+			return {
+				success: false,
+				error: 'Two-factor authentication is not enabled',
+				code: 'TWO_FACTOR_NOT_ENABLED'
+			};
+		}
+
+		const otpError = await verifySecondFactorThrottled(storage, wallet, walletSecret, data.otp, { publicKey: wallet.publicKey }, options);
+		if (otpError) {
+			return otpError;
+		}
+
+		// Re-read so the step recorded by the second factor check is kept
+		const current = await storage.getWallet(wallet.publicKey);
+		const backupCodes = generateBackupCodes();
+		await storage.updateTwoFactor(wallet.publicKey, {
+			...current.twoFactor,
+			backupCodes: backupCodes.map(hashBackupCode)
+		});
+
+		return {
+			success: true,
+			publicKey: wallet.publicKey,
+			backupCodes,
+			message: 'Backup codes regenerated'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error regenerating backup codes:', error);
+		return errorResult(error, 'Failed to regenerate backup codes');
+	}
+}
+
+/**
+ * Verify the wallet password and decrypt the wallet's secret
+ * @returns {Promise<Object>} { wallet, secret } or { error } with a handler error result
+ */
+async function unlockWallet(storage, data, options) {
+	const { publicKey, password } = data;
+
+	// Validate input
+	if (!publicKey || !password) {
+		return {
+			error: {
+				success: false,
+				error: 'Public key and password are required',
+				code: 'INVALID_INPUT'
+			}
+		};
+	}
+
+	// Check if wallet exists
+	const wallet = await storage.getWallet(publicKey);
+	if (!wallet) {
+		return {
+			error: {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			}
+		};
+	}
+
+	// Re-authenticate
+	const passwordError = await verifyPasswordThrottled(wallet, password, { publicKey: publicKey }, options);
+	if (passwordError) {
+		return { error: passwordError };
+	}
+
+	const secret = await decryptAsync(
+		await unwrapSecret(wallet.encryptedPrivateKey, options.keyProvider),
+		password,
+		options.workerPool
+	);
+	return { wallet, secret };
+}
@@ -0,0 +1,94 @@
+import { decryptAsync } from '../core/crypto.js';
+import { unwrapSecret } from '../core/key-provider.js';
+import { isTwoFactorEnabled } from '../core/totp.js';
+import { verifyPasswordThrottled, verifySecondFactorThrottled } from '../core/login-throttle.js';
+import { errorResult } from '../core/errors.js';
+
+/**
+ * Unlock a session for signing (step-up re-authentication)
+ * Re-verifies the password (and the second factor when 2FA is enabled) and puts
+ * the decrypted private key back into the session for the session manager's unlock window.
+ * @param {StorageAdapter} storage - Storage adapter instance
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @param {Object} data - { sessionToken, password, otp }
+ *   otp (a TOTP or backup code) is required once two-factor authentication is enabled
+ * @param {Object} options - { workerPool, keyProvider, loginThrottle }
+ * @returns {Promise<Object>} { success, publicKey, unlockedUntil, message }
+ *   unlockedUntil is null when the session stays unlocked until it ends
+ */
+export async function unlockSession(storage, sessionManager, data, options = {}) {
+	try {
+		const { sessionToken, password, otp = null } = data;
+		
+		// Validate input
+		if (!sessionToken || !password) {
+			return {
+				success: false,
+				error: 'Session token and password are required',
+				code: 'INVALID_INPUT'
+			};
+		}
+		
+		const session = await sessionManager.verifySession(sessionToken);
+		if (!session) {
+			return {
+				success: false,
+				error: 'Invalid or expired session',
+				code: 'SESSION_EXPIRED'
+			};
+		}
+		
+		// Externally held wallets sign on the client
+		if (session.metadata?.nonCustodial) {
+			return {
+				success: false,
+				error: 'Session belongs to an externally held wallet',
+				code: 'NON_CUSTODIAL'
+			};
+		}
+		
+		const wallet = await storage.getWallet(session.publicKey);
+		if (!wallet) {
+			return {
+				success: false,
+				error: 'Wallet not found',
+				code: 'WALLET_NOT_FOUND'
+			};
+		}
+		
+		// Verify password
+		const passwordError = await verifyPasswordThrottled(wallet, password, { publicKey: session.publicKey }, options);
+		if (passwordError) {
+			return passwordError;
+		}
+		
+		const passwordEncryptedKey = await unwrapSecret(wallet.encryptedPrivateKey, options.keyProvider);
+		const privateKey = await decryptAsync(passwordEncryptedKey, password, options.workerPool);
+		
+		if (isTwoFactorEnabled(wallet)) {
+			const otpError = await verifySecondFactorThrottled(storage, wallet, privateKey, otp, { publicKey: session.publicKey }, options);
+			if (otpError) {
+				return otpError;
+			}
+		}
+		
+		const unlocked = await sessionManager.unlockSession(sessionToken, privateKey);
+		if (!unlocked) {
+			return {
+				success: false,
+				error: 'This session cannot be unlocked',
+				code: 'SESSION_NOT_UNLOCKABLE'
+			};
+		}
+		
+		return {
+			success: true,
+			publicKey: session.publicKey,
+			unlockedUntil: unlocked.unlockedUntil,
+			message: 'Session unlocked'
+		};
+	} catch (error) {
+		console.error('[Zero Connector] Error unlocking session:', error);
+		return errorResult(error, 'Failed to unlock session');
+	}
+}
@@ -1,8 +1,37 @@
-import { JSONAdapter, PostgresAdapter, MongoAdapter } from './storage/index.js';
+import { JSONAdapter, PostgresAdapter, MongoAdapter, implementsMethods } from './storage/index.js';
 import { SessionManager, defaultSessionManager } from './core/session.js';
+import { SessionStore, MemorySessionStore, AdapterSessionStore, RedisSessionStore } from './core/session-store.js';
+import { StatelessSessionManager } from './core/stateless-session.js';
+import { WorkerPool, defaultWorkerPool } from './core/worker-pool.js';
+import { KeyProvider, LocalKeyProvider, unwrapSecret } from './core/key-provider.js';
+import { PasswordPolicy, defaultPasswordPolicy } from './core/password-policy.js';
+import { LoginThrottle, verifyPasswordThrottled, verifySecondFactorThrottled } from './core/login-throttle.js';
+import { AuditLog } from './core/audit-log.js';
+import { SiwsChallenges, chainIdForNetwork } from './core/siws.js';
+import {
+	ZeroConnectorError,
+	ValidationError,
+	AuthenticationError,
+	PermissionError,
+	NotFoundError,
+	ConflictError,
+	RateLimitError,
+	InternalError,
+	RpcError,
+	ERROR_CODES,
+	createError,
+	errorFromResult,
+	errorResult,
+	getErrorStatus
+} from './core/errors.js';
+import { migrateWallets, FileCheckpoint } from './core/migration.js';
 import * as handlers from './handlers/index.js';
 import * as crypto from './core/crypto.js';
 import * as solana from './core/solana.js';
+import * as mnemonic from './core/mnemonic.js';
+import * as totp from './core/totp.js';
+import * as siws from './core/siws.js';
+import * as aliases from './core/aliases.js';
 import { Keypair } from '@solana/web3.js';
 import bs58 from 'bs58';
 
@@ -15,58 +44,425 @@ export class ZeroConnector {
 		// Initialize storage adapter
 		this.storage = options.storage || new JSONAdapter(options.storagePath);
 		
-		// Initialize session manager
-		this.sessionManager = options.sessionManager || (options.useDefaultSessionManager !== false 
-			? defaultSessionManager 
-			: new SessionManager(options.sessionOptions));
+		// Initialize session manager (a custom session store or session options always get their own manager)
+		if (options.sessionManager) {
+			this.sessionManager = options.sessionManager;
+		} else if (options.statelessSessions) {
+			// Signed tokens verified without a lookup (read-only sessions)
+			this.sessionManager = new StatelessSessionManager(options.statelessSessions);
+		} else if (options.sessionStore || options.sessionOptions) {
+			this.sessionManager = new SessionManager({ ...options.sessionOptions, store: options.sessionStore });
+		} else {
+			this.sessionManager = options.useDefaultSessionManager !== false 
+				? defaultSessionManager 
+				: new SessionManager(options.sessionOptions);
+		}
 		
 		// Solana network configuration
 		this.network = options.network || 'mainnet-beta';
 		this.customRpcUrl = options.customRpcUrl || null;
+		
+		// Key derivation cost for newly written credentials; older records are
+		// upgraded transparently on their next successful authentication
+		this.kdfParams = crypto.normalizeKdfParams(options.kdfParams);
+		
+		// Cost of the records not upgraded yet, after kdfParams were raised;
+		// logins for unknown wallets are made to cost as much (see preventEnumeration)
+		this.legacyKdfParams = options.legacyKdfParams
+			? crypto.normalizeKdfParams(options.legacyKdfParams)
+			: this.kdfParams;
+		
+		// Worker pool for key derivation (null runs scrypt on Node's libuv threadpool)
+		this.workerPool = options.workerPool !== undefined ? options.workerPool : (options.workerPoolOptions
+			? new WorkerPool(options.workerPoolOptions)
+			: defaultWorkerPool);
+		
+		// Optional server-side master key that wraps password-encrypted private keys
+		this.keyProvider = options.keyProvider || null;
+		
+		// Password rules for create, change-password, recovery and import
+		// (a PasswordPolicy instance, any object with validate(), or PasswordPolicy options)
+		this.passwordPolicy = typeof options.passwordPolicy?.validate === 'function'
+			? options.passwordPolicy
+			: (options.passwordPolicy ? new PasswordPolicy(options.passwordPolicy) : defaultPasswordPolicy);
+		
+		// Sign-In With Solana for externally held wallets (a SiwsChallenges instance or its options)
+		this.siws = options.siws instanceof SiwsChallenges
+			? options.siws
+			: (options.siws ? new SiwsChallenges({ chainId: chainIdForNetwork(this.network), ...options.siws }) : null);
+		
+		// Answer logins for unknown wallets like wrong passwords, after the same
+		// key derivation, so responses do not reveal which wallets exist
+		this.preventEnumeration = Boolean(options.preventEnumeration);
+		if (this.preventEnumeration) {
+			// Derive the decoy hash now rather than during the first failed login
+			crypto.getDecoyHashAsync(this.legacyKdfParams, this.workerPool).catch(error => {
+				console.error('[Zero Connector] Failed to derive decoy password hash:', error);
+			});
+		}
+		
+		// SPL token balances for getBalance/refreshBalance; watch-list entries are
+		// { mint, symbol, name, decimals, logoUri, ... } and always listed first
+		this.tokenOptions = {
+			includeTokens: Boolean(options.tokenOptions?.includeTokens),
+			watchlist: solana.normalizeTokenWatchlist(options.tokenOptions?.watchlist),
+			watchlistOnly: Boolean(options.tokenOptions?.watchlistOnly)
+		};
+		
+		// Commitment, retries and timeouts for sendSol (see TRANSFER_DEFAULTS in core/solana.js)
+		this.transferOptions = { ...solana.TRANSFER_DEFAULTS, ...options.transferOptions };
+		
+		// Issuer name shown by authenticator apps
+		this.totpIssuer = options.totpIssuer || 'Zero Connector';
+		
+		// Failed password tracking, kept in the storage adapter
+		// (a LoginThrottle instance, LoginThrottle options, or false to disable);
+		// skipped with a warning for adapters without the login attempt methods
+		this.loginThrottle = null;
+		if (options.loginThrottle instanceof LoginThrottle) {
+			this.loginThrottle = options.loginThrottle;
+		} else if (options.loginThrottle !== false) {
+			if (implementsMethods(this.storage, ['getLoginAttempts', 'saveLoginAttempts', 'deleteLoginAttempts'])) {
+				this.loginThrottle = new LoginThrottle(this.storage, options.loginThrottle);
+			} else {
+				console.warn('[Zero Connector] Storage adapter does not implement getLoginAttempts/saveLoginAttempts/deleteLoginAttempts; failed logins are not throttled');
+			}
+		}
+		
+		// Hash-chained log of wallet and session events, kept in the storage adapter
+		// (an AuditLog instance, AuditLog options, or false to disable);
+		// skipped with a warning for adapters without the audit event methods
+		this.auditLog = null;
+		if (options.auditLog instanceof AuditLog) {
+			this.auditLog = options.auditLog;
+		} else if (options.auditLog !== false) {
+			if (implementsMethods(this.storage, ['appendAuditEvent', 'getLatestAuditEvent', 'queryAuditEvents'])) {
+				this.auditLog = new AuditLog(this.storage, options.auditLog);
+			} else {
+				console.warn('[Zero Connector] Storage adapter does not implement appendAuditEvent/getLatestAuditEvent/queryAuditEvents; audit logging is off');
+			}
+		}
+	}
+	
+	/**
+	 * Options passed through to the handlers
+	 * @returns {Object}
+	 */
+	getHandlerOptions() {
+		return {
+			kdfParams: this.kdfParams,
+			legacyKdfParams: this.legacyKdfParams,
+			workerPool: this.workerPool,
+			keyProvider: this.keyProvider,
+			passwordPolicy: this.passwordPolicy,
+			loginThrottle: this.loginThrottle,
+			preventEnumeration: this.preventEnumeration,
+			totpIssuer: this.totpIssuer,
+			siws: this.siws,
+			tokenOptions: this.tokenOptions,
+			transferOptions: this.transferOptions
+		};
+	}
+	
+	/**
+	 * Append an event to the audit log
+	 * Failures are logged and never fail the operation being audited.
+	 * @param {Object} event - { type, publicKey, sessionId, ip, userAgent, outcome, details }
+	 * @returns {Promise<void>}
+	 */
+	async recordAuditEvent(event) {
+		if (!this.auditLog) {
+			return;
+		}
+		try {
+			await this.auditLog.record(event);
+		} catch (error) {
+			console.error('[Zero Connector] Failed to write audit event:', error);
+		}
+	}
+	
+	/**
+	 * Record the outcome of a handler call in the audit log
+	 * @param {string} type - Event type
+	 * @param {Promise<Object>} pending - Handler result
+	 * @param {Object} data - Handler input; only publicKey, sessionToken, ip and userAgent are recorded
+	 * @param {Object} details - Extra event details (optional)
+	 * @returns {Promise<Object>} The handler result
+	 */
+	async auditResult(type, pending, data = {}, details = null) {
+		const result = await pending;
+		await this.recordAuditEvent({
+			type,
+			publicKey: result.publicKey || data.publicKey || null,
+			sessionId: result.sessionId || this.sessionManager.getSessionId(data.sessionToken || null),
+			ip: data.ip || null,
+			userAgent: data.userAgent || null,
+			outcome: result.success ? 'success' : 'failure',
+			details: result.success ? details : { ...details, error: result.error, code: result.code }
+		});
+		return result;
+	}
+	
+	/**
+	 * Run an operation that throws on failure and record its outcome in the audit log
+	 * @param {Object} event - Audit event without outcome; may be completed by the operation
+	 * @param {Function} operation - async () => result
+	 * @returns {Promise<*>} Result of the operation
+	 */
+	async audited(event, operation) {
+		try {
+			const result = await operation();
+			await this.recordAuditEvent({ ...event, outcome: 'success' });
+			return result;
+		} catch (error) {
+			await this.recordAuditEvent({
+				...event,
+				outcome: 'failure',
+				details: { ...event.details, error: error.message, code: error.code }
+			});
+			throw error;
+		}
+	}
+	
+	/**
+	 * Query the audit log, newest first
+	 * @param {Object} filters - { type, publicKey, sessionId, ip, outcome, since, until, limit, offset }
+	 * @returns {Promise<Array>} Entries { sequence, type, publicKey, sessionId, ip, userAgent, outcome, details, timestamp, prevHash, hash }
+	 */
+	async queryAuditLog(filters = {}) {
+		return this.auditLog ? this.auditLog.query(filters) : [];
+	}
+	
+	/**
+	 * Check the audit log's hash chain
+	 * @param {Object} options - { expectedHead: { sequence, hash } saved from getAuditHead(), batchSize }
+	 * @returns {Promise<Object>} { valid, checked, head } or { valid: false, checked, brokenAt, error }
+	 */
+	async verifyAuditLog(options = {}) {
+		if (!this.auditLog) {
+			return { valid: true, checked: 0, head: null };
+		}
+		return this.auditLog.verify(options);
+	}
+	
+	/**
+	 * Get the newest audit entry's sequence and hash, to keep outside the database
+	 * @returns {Promise<Object|null>} { sequence, hash }
+	 */
+	async getAuditHead() {
+		return this.auditLog ? this.auditLog.getHead() : null;
+	}
+	
+	/**
+	 * Check a password against the configured policy (e.g. for live feedback in a signup form)
+	 * @param {string} password - Password to check
+	 * @param {string} publicKey - Wallet public key, if known
+	 * @returns {Object} { valid, reasons, entropy }
+	 */
+	validatePassword(password, publicKey = null) {
+		return this.passwordPolicy.validate(password, { publicKey });
 	}
 	
 	/**
 	 * Create a new wallet with password protection
-	 * @param {Object} data - { password }
-	 * @returns {Promise<Object>} { success, publicKey, message }
+	 * @param {Object} data - { password, withMnemonic, username, email }
+	 * @returns {Promise<Object>} { success, publicKey, username, email, mnemonic, message }
 	 */
 	async createWallet(data) {
-		return handlers.createWallet(this.storage, data);
+		return this.auditResult('wallet.created', handlers.createWallet(this.storage, data, this.getHandlerOptions()), data);
 	}
 	
 	/**
-	 * Authenticate a user with public key and password
-	 * @param {Object} data - { publicKey, password }
-	 * @returns {Promise<Object>} { success, sessionToken, publicKey, balance, message }
+	 * Import an existing key (base58, Solana CLI id.json, mnemonic or keystore) as a new wallet
+	 * @param {Object} data - { password, secretKey, mnemonic, keystore, keystorePassword, username, email }
+	 * @returns {Promise<Object>} { success, publicKey, username, email, message }
+	 */
+	async importWallet(data) {
+		return this.auditResult('wallet.imported', handlers.importWallet(this.storage, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Export a wallet as a portable keystore or raw secret key (requires the password, and a code with 2FA)
+	 * @param {Object} data - { publicKey, password, otp, format, exportPassword, accountIndex }
+	 * @returns {Promise<Object>} { success, publicKey, format, keystore | privateKey + secretKey, message }
+	 */
+	async exportWallet(data) {
+		return this.auditResult('wallet.exported', handlers.exportWallet(this.storage, data, this.getHandlerOptions()), data, {
+			format: data.format || 'keystore',
+			accountIndex: data.accountIndex || 0
+		});
+	}
+	
+	/**
+	 * Authenticate a user with public key (or username or email) and password
+	 * @param {Object} data - { publicKey | identifier, password, otp, userAgent, ip }
+	 * @returns {Promise<Object>} { success, sessionToken, refreshToken, publicKey, balance, message }
 	 */
 	async authenticate(data) {
-		return handlers.authenticate(this.storage, this.sessionManager, data);
+		// Failed logins by username or email carry no public key; looking it up here
+		// would make them slower than successful ones, so only the identifier is recorded
+		const pending = handlers.authenticate(this.storage, this.sessionManager, data, this.getHandlerOptions());
+		return this.auditResult('auth.login', pending, data, data.identifier ? { identifier: data.identifier } : null);
+	}
+	
+	/**
+	 * Issue a Sign-In With Solana challenge for an externally held wallet
+	 * @param {Object} data - { publicKey }
+	 * @returns {Promise<Object>} { success, publicKey, message, nonce, expiresAt }
+	 */
+	async createSiwsChallenge(data) {
+		return handlers.createSiwsChallenge(data, this.getHandlerOptions());
+	}
+	
+	/**
+	 * Authenticate an externally held wallet with a signed challenge (non-custodial session)
+	 * @param {Object} data - { message, signature, userAgent, ip }
+	 * @returns {Promise<Object>} { success, sessionToken, refreshToken, sessionId, publicKey, balance, message }
+	 */
+	async authenticateSiws(data) {
+		return this.auditResult('auth.siws', handlers.authenticateSiws(this.storage, this.sessionManager, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Start TOTP two-factor enrollment
+	 * @param {Object} data - { publicKey, password }
+	 * @returns {Promise<Object>} { success, publicKey, secret, otpauthUri, message }
+	 */
+	async enrollTotp(data) {
+		return this.auditResult('2fa.enrollment_started', handlers.enrollTotp(this.storage, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Confirm TOTP enrollment with a code, enabling two-factor authentication
+	 * @param {Object} data - { publicKey, password, otp }
+	 * @returns {Promise<Object>} { success, publicKey, backupCodes, message }
+	 */
+	async confirmTotp(data) {
+		return this.auditResult('2fa.enabled', handlers.confirmTotp(this.storage, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Disable two-factor authentication
+	 * @param {Object} data - { publicKey, password, otp }
+	 * @returns {Promise<Object>} { success, publicKey, message }
+	 */
+	async disableTotp(data) {
+		return this.auditResult('2fa.disabled', handlers.disableTotp(this.storage, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Replace a wallet's backup codes
+	 * @param {Object} data - { publicKey, password, otp }
+	 * @returns {Promise<Object>} { success, publicKey, backupCodes, message }
+	 */
+	async regenerateBackupCodes(data) {
+		return this.auditResult('2fa.backup_codes_regenerated', handlers.regenerateBackupCodes(this.storage, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Clear the failed login count and lockout of a wallet and/or IP (admin)
+	 * @param {Object} target - { publicKey, ip }
+	 * @returns {Promise<boolean>} True if anything was cleared
+	 */
+	async clearLockout(target) {
+		if (!this.loginThrottle) {
+			return false;
+		}
+		const cleared = await this.loginThrottle.clear(target);
+		await this.recordAuditEvent({
+			type: 'auth.lockout_cleared',
+			publicKey: target.publicKey || null,
+			outcome: 'success',
+			details: { ip: target.ip || null, cleared }
+		});
+		return cleared;
+	}
+	
+	/**
+	 * Get the lockout status of a wallet and/or IP
+	 * @param {Object} target - { publicKey, ip }
+	 * @returns {Promise<Object>} { allowed, lockedUntil, retryAfter }
+	 */
+	async getLockoutStatus(target) {
+		if (!this.loginThrottle) {
+			return { allowed: true, lockedUntil: null, retryAfter: 0 };
+		}
+		return this.loginThrottle.check(target);
+	}
+	
+	/**
+	 * Change a wallet's password and revoke all other sessions
+	 * @param {Object} data - { publicKey, oldPassword, newPassword, otp, sessionToken }
+	 * @returns {Promise<Object>} { success, publicKey, revokedSessions, message }
+	 */
+	async changePassword(data) {
+		return this.auditResult('password.changed', handlers.changePassword(this.storage, this.sessionManager, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Reset a wallet's password using its recovery phrase
+	 * @param {Object} data - { mnemonic, newPassword, publicKey }
+	 * @returns {Promise<Object>} { success, publicKey, revokedSessions, message }
+	 */
+	async recoverWallet(data) {
+		return this.auditResult('wallet.recovered', handlers.recoverWallet(this.storage, this.sessionManager, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Derive and register the next account of a seed-based wallet
+	 * @param {Object} data - { publicKey, password, label }
+	 * @returns {Promise<Object>} { success, publicKey, account, message }
+	 */
+	async addAccount(data) {
+		return handlers.addAccount(this.storage, data, this.getHandlerOptions());
+	}
+	
+	/**
+	 * List a wallet's accounts with their stored balances
+	 * @param {string} publicKey - Wallet public key
+	 * @returns {Promise<Object>} { success, publicKey, accounts }
+	 */
+	async listAccounts(publicKey) {
+		return handlers.listAccounts(this.storage, { publicKey });
+	}
+	
+	/**
+	 * Set the label of an account (requires the password)
+	 * @param {Object} data - { publicKey, password, accountIndex, label }
+	 * @returns {Promise<Object>} { success, publicKey, accountIndex, label, message }
+	 */
+	async labelAccount(data) {
+		return handlers.labelAccount(this.storage, data, this.getHandlerOptions());
 	}
 	
 	/**
 	 * Get wallet balance from blockchain
-	 * @param {string} publicKey - User's public key
+	 * @param {string} publicKey - Wallet or account public key
+	 * @param {Object} options - { includeTokens } (defaults to tokenOptions.includeTokens)
 	 * @returns {Promise<Object>} { success, publicKey, balance, message }
 	 */
-	async getBalance(publicKey) {
+	async getBalance(publicKey, options = {}) {
 		return handlers.getBalance(this.storage, {
 			publicKey,
 			network: this.network,
-			customRpcUrl: this.customRpcUrl
-		});
+			customRpcUrl: this.customRpcUrl,
+			includeTokens: options.includeTokens
+		}, this.getHandlerOptions());
 	}
 	
 	/**
 	 * Refresh wallet balance from blockchain
-	 * @param {string} publicKey - User's public key
+	 * @param {string} publicKey - Wallet or account public key
+	 * @param {Object} options - { includeTokens } (defaults to tokenOptions.includeTokens)
 	 * @returns {Promise<Object>} { success, publicKey, balance, message }
 	 */
-	async refreshBalance(publicKey) {
+	async refreshBalance(publicKey, options = {}) {
 		return handlers.refreshBalance(this.storage, {
 			publicKey,
 			network: this.network,
-			customRpcUrl: this.customRpcUrl
-		});
+			customRpcUrl: this.customRpcUrl,
+			includeTokens: options.includeTokens
+		}, this.getHandlerOptions());
 	}
 	
 	/**
@@ -91,7 +487,7 @@ export class ZeroConnector {
 	
 	/**
 	 * Add a transaction record
-	 * @param {string} publicKey - User's public key
+	 * @param {string} publicKey - Wallet or account public key
 	 * @param {Object} transaction - Transaction data
 	 * @returns {Promise<Object>}
 	 */
@@ -101,7 +497,7 @@ export class ZeroConnector {
 	
 	/**
 	 * Get transaction history
-	 * @param {string} publicKey - User's public key
+	 * @param {string} publicKey - Wallet or account public key
 	 * @param {number} limit - Maximum number of transactions
 	 * @param {number} offset - Offset for pagination
 	 * @returns {Promise<Array>}
@@ -110,6 +506,25 @@ export class ZeroConnector {
 		return this.storage.getTransactions(publicKey, limit, offset);
 	}
 	
+	/**
+	 * Send SOL from the wallet (or an account) of a session
+	 * Signs with the session's key, sends with retries, waits for the commitment
+	 * and records the transfer with its status in the transaction history.
+	 * @param {Object} data - { sessionToken, to, amount, accountIndex, commitment, ip, userAgent }
+	 *   amount is in SOL, as a number or decimal string
+	 * @returns {Promise<Object>} { success, publicKey, signature, transaction, message }
+	 */
+	async sendSol(data) {
+		const { sessionToken, accountIndex = 0 } = data;
+		const withSigner = callback => this.withSessionSigner(sessionToken, callback, accountIndex);
+		const pending = handlers.sendSol(this.storage, withSigner, {
+			...data,
+			network: this.network,
+			customRpcUrl: this.customRpcUrl
+		}, this.getHandlerOptions());
+		return this.auditResult('transfer.sent', pending, data, { to: data.to, amount: String(data.amount), accountIndex });
+	}
+	
 	/**
 	 * Delete a wallet
 	 * @param {string} publicKey - User's public key
@@ -117,78 +532,278 @@ export class ZeroConnector {
 	 */
 	async deleteWallet(publicKey) {
 		// Also delete all sessions for this wallet
-		this.sessionManager.deleteSessionsByPublicKey(publicKey);
-		return this.storage.deleteWallet(publicKey);
+		await this.sessionManager.deleteSessionsByPublicKey(publicKey);
+		const deleted = await this.storage.deleteWallet(publicKey);
+		await this.recordAuditEvent({ type: 'wallet.deleted', publicKey, outcome: deleted ? 'success' : 'failure' });
+		return deleted;
 	}
 	
 	/**
 	 * Verify a session token
 	 * @param {string} sessionToken - Session token to verify
-	 * @returns {Object|null} Session data or null
+	 * @returns {Promise<Object|null>} Session data or null
 	 */
-	verifySession(sessionToken) {
+	async verifySession(sessionToken) {
 		return this.sessionManager.verifySession(sessionToken);
 	}
 
+	/**
+	 * List the active sessions (devices) of a wallet
+	 * @param {string} publicKey - User's public key
+	 * @param {string} currentSessionToken - Token of the requesting session, flagged as current (optional)
+	 * @returns {Promise<Array>} Array of { sessionId, userAgent, ip, createdAt, lastSeenAt, expiresAt, canSign, current }
+	 */
+	async listSessions(publicKey, currentSessionToken = null) {
+		const currentSessionId = this.sessionManager.getSessionId(currentSessionToken);
+		const sessions = await this.sessionManager.listSessions(publicKey);
+		return sessions.map(session => ({ ...session, current: session.sessionId === currentSessionId }));
+	}
+	
+	/**
+	 * Revoke one session of a wallet (e.g. "log out this device")
+	 * @param {string} publicKey - User's public key
+	 * @param {string} sessionId - Session ID from listSessions
+	 * @returns {Promise<boolean>} True if the session was revoked
+	 */
+	async revokeSession(publicKey, sessionId) {
+		const revoked = await this.sessionManager.revokeSession(publicKey, sessionId);
+		await this.recordAuditEvent({ type: 'session.revoked', publicKey, sessionId, outcome: revoked ? 'success' : 'failure' });
+		return revoked;
+	}
+	
+	/**
+	 * Revoke all sessions of the wallet except the given one ("log out everywhere else")
+	 * @param {string} sessionToken - Session token to keep
+	 * @returns {Promise<number>} Number of sessions revoked
+	 * @throws {AuthenticationError} SESSION_EXPIRED
+	 */
+	async revokeOtherSessions(sessionToken) {
+		const session = await this.verifySession(sessionToken);
+		if (!session) {
+			throw new AuthenticationError('SESSION_EXPIRED');
+		}
+		const revokedSessions = await this.sessionManager.deleteSessionsByPublicKey(session.publicKey, sessionToken);
+		await this.recordAuditEvent({
+			type: 'session.others_revoked',
+			publicKey: session.publicKey,
+			sessionId: this.sessionManager.getSessionId(sessionToken),
+			outcome: 'success',
+			details: { revokedSessions }
+		});
+		return revokedSessions;
+	}
+	
+	/**
+	 * Exchange a refresh token for a new session token and refresh token
+	 * Reusing a spent refresh token revokes every session of that login.
+	 * @param {Object} data - { refreshToken, userAgent, ip }
+	 * @returns {Promise<Object>} { success, sessionToken, refreshToken, sessionId, publicKey, message }
+	 */
+	async refreshSession(data) {
+		return this.auditResult('session.refreshed', handlers.refreshSession(this.sessionManager, data), data);
+	}
+	
+	/**
+	 * Unlock a session for signing by re-entering the password (step-up)
+	 * @param {Object} data - { sessionToken, password }
+	 * @returns {Promise<Object>} { success, publicKey, unlockedUntil, message }
+	 */
+	async unlockSession(data) {
+		return this.auditResult('session.unlocked', handlers.unlockSession(this.storage, this.sessionManager, data, this.getHandlerOptions()), data);
+	}
+	
+	/**
+	 * Lock a session, removing its private key until the next unlock
+	 * @param {string} sessionToken - Session token
+	 * @returns {Promise<boolean>} True if the session exists
+	 */
+	async lockSession(sessionToken) {
+		const session = await this.verifySession(sessionToken);
+		const locked = session ? await this.sessionManager.lockSession(sessionToken) : false;
+		await this.recordAuditEvent({
+			type: 'session.locked',
+			publicKey: session?.publicKey || null,
+			sessionId: this.sessionManager.getSessionId(sessionToken),
+			outcome: locked ? 'success' : 'failure'
+		});
+		return locked;
+	}
+
 	/**
 	 * Get a signer (Keypair) for a wallet
 	 * @param {string} publicKey - User's public key
 	 * @param {string} password - User's password
+	 * @param {number|string} accountIndex - Account of a seed-based wallet (default 0)
+	 * @param {string} otp - TOTP or backup code, required once two-factor authentication is enabled
 	 * @returns {Promise<Keypair>} Solana Keypair object
+	 * @throws {ValidationError} INVALID_INPUT or NOT_SEED_WALLET (accountIndex > 0 on a single-key wallet);
+	 *   {NotFoundError} WALLET_NOT_FOUND; {AuthenticationError} INVALID_PASSWORD, OTP_REQUIRED or INVALID_OTP; {RateLimitError} LOCKED_OUT (details.retryAfter);
+	 *   {InternalError} DECRYPTION_FAILED
 	 */
-	async getSigner(publicKey, password) {
-		// 1. Get wallet
-		const wallet = await this.storage.getWallet(publicKey);
-		if (!wallet) {
-			throw new Error('Wallet not found');
-		}
-		
-		// 2. Verify password
-		const isValid = crypto.verifyPassword(password, wallet.passwordHash, wallet.salt);
-		if (!isValid) {
-			throw new Error('Invalid password');
-		}
-		
-		// 3. Decrypt private key
-		try {
-			const decryptedPrivateKey = crypto.decrypt(wallet.encryptedPrivateKey, password);
-			const secretKey = bs58.decode(decryptedPrivateKey);
-			return Keypair.fromSecretKey(secretKey);
-		} catch (error) {
-			throw new Error('Failed to decrypt private key: ' + error.message);
-		}
+	async getSigner(publicKey, password, accountIndex = 0, otp = null) {
+		const event = { type: 'signer.accessed', publicKey, details: { source: 'password', accountIndex } };
+		return this.audited(event, async () => {
+			const index = mnemonic.parseAccountIndex(accountIndex);
+			if (index === null) {
+				throw new ValidationError('INVALID_INPUT', 'Account index must be a non-negative integer');
+			}
+			
+			// 1. Get wallet
+			const wallet = await this.storage.getWallet(publicKey);
+			if (!wallet) {
+				throw new NotFoundError('WALLET_NOT_FOUND');
+			}
+			
+			// 2. Verify password
+			const passwordError = await verifyPasswordThrottled(wallet, password, { publicKey }, this.getHandlerOptions());
+			if (passwordError) {
+				throw errorFromResult(passwordError);
+			}
+			
+			// 3. Decrypt private key
+			let decryptedPrivateKey;
+			try {
+				const passwordEncryptedKey = await unwrapSecret(wallet.encryptedPrivateKey, this.keyProvider);
+				decryptedPrivateKey = await crypto.decryptAsync(passwordEncryptedKey, password, this.workerPool);
+			} catch (error) {
+				throw new InternalError('DECRYPTION_FAILED', 'Failed to decrypt private key: ' + error.message, { cause: error });
+			}
+			
+			// 4. Check the second factor (the TOTP secret is encrypted under the private key)
+			if (totp.isTwoFactorEnabled(wallet)) {
+				const otpError = await verifySecondFactorThrottled(this.storage, wallet, decryptedPrivateKey, otp, { publicKey }, this.getHandlerOptions());
+				if (otpError) {
+					throw errorFromResult(otpError);
+				}
+			}
+			
+			// 5. Derive the account's keypair
+			if (index > 0 && !mnemonic.isSeedSecret(decryptedPrivateKey)) {
+				throw new ValidationError('NOT_SEED_WALLET');
+			}
+			try {
+				const { privateKey } = mnemonic.keypairFromSecret(decryptedPrivateKey, index);
+				return Keypair.fromSecretKey(bs58.decode(privateKey));
+			} catch (error) {
+				throw new InternalError('DECRYPTION_FAILED', 'Failed to decrypt private key: ' + error.message, { cause: error });
+			}
+		});
 	}
 
 	/**
 	 * Get a signer (Keypair) from an active session
+	 * Prefer withSessionSigner, which wipes the key once signing is done.
+	 * Throws a PermissionError with code 'SESSION_LOCKED' while the session is locked,
+	 * and with code 'NON_CUSTODIAL' for Sign-In With Solana sessions.
+	 * An invalid or expired session fails with an AuthenticationError, code 'SESSION_EXPIRED'.
 	 * @param {string} sessionToken - Session token
-	 * @returns {Keypair} Solana Keypair object
+	 * @param {number} accountIndex - Account of a seed-based wallet (default 0)
+	 * @returns {Promise<Keypair>} Solana Keypair object
 	 */
-	getSignerFromSession(sessionToken) {
-		const session = this.verifySession(sessionToken);
-		if (!session) {
-			throw new Error('Invalid or expired session');
-		}
-
-		if (!session.privateKey) {
-			throw new Error('Session does not contain private key (wallet might be locked)');
-		}
+	async getSignerFromSession(sessionToken, accountIndex = 0) {
+		return Keypair.fromSecretKey(await this.getSessionSecretKey(sessionToken, accountIndex));
+	}
 
+	/**
+	 * Run a callback with a signer from an active session
+	 * The decrypted key only exists for the duration of the callback and is
+	 * zeroed afterwards, so the signer must not be used once it returns.
+	 * @param {string} sessionToken - Session token
+	 * @param {Function} callback - async (signer: Keypair) => result
+	 * @param {number} accountIndex - Account of a seed-based wallet (default 0)
+	 * @returns {Promise<*>} Result of the callback
+	 */
+	async withSessionSigner(sessionToken, callback, accountIndex = 0) {
+		const secretKey = await this.getSessionSecretKey(sessionToken, accountIndex);
 		try {
-			const secretKey = bs58.decode(session.privateKey);
-			return Keypair.fromSecretKey(secretKey);
-		} catch (error) {
-			throw new Error('Failed to decode private key from session: ' + error.message);
+			return await callback(Keypair.fromSecretKey(secretKey));
+		} finally {
+			// Keypair keeps a reference to these bytes, which disables the signer too
+			secretKey.fill(0);
 		}
 	}
+
+	/**
+	 * Decrypt the 64-byte secret key of a session's account
+	 * @param {string} sessionToken - Session token
+	 * @param {number|string} accountIndex - Account of a seed-based wallet
+	 * @returns {Promise<Uint8Array>}
+	 */
+	async getSessionSecretKey(sessionToken, accountIndex) {
+		const event = {
+			type: 'signer.accessed',
+			publicKey: null,
+			sessionId: this.sessionManager.getSessionId(sessionToken),
+			details: { source: 'session', accountIndex }
+		};
+		return this.audited(event, async () => {
+			const index = mnemonic.parseAccountIndex(accountIndex);
+			if (index === null) {
+				throw new ValidationError('INVALID_INPUT', 'Account index must be a non-negative integer');
+			}
+			
+			const session = await this.verifySession(sessionToken);
+			if (!session) {
+				throw new AuthenticationError('SESSION_EXPIRED');
+			}
+			event.publicKey = session.publicKey;
+			
+			if (session.metadata?.nonCustodial) {
+				throw new PermissionError('NON_CUSTODIAL');
+			}
+
+			let secret;
+			try {
+				secret = await this.sessionManager.revealPrivateKey(sessionToken, session);
+			} catch (error) {
+				throw new InternalError('DECRYPTION_FAILED', 'Failed to decrypt private key from session: ' + error.message, { cause: error });
+			}
+
+			if (!secret) {
+				throw new PermissionError('SESSION_LOCKED');
+			}
+
+			if (index > 0 && !mnemonic.isSeedSecret(secret)) {
+				throw new ValidationError('NOT_SEED_WALLET');
+			}
+
+			try {
+				const { privateKey } = mnemonic.keypairFromSecret(secret, index);
+				return bs58.decode(privateKey);
+			} catch (error) {
+				throw new InternalError('DECRYPTION_FAILED', 'Failed to decode private key from session: ' + error.message, { cause: error });
+			}
+		});
+	}
 	
 	/**
 	 * Delete a session
 	 * @param {string} sessionToken - Session token to delete
-	 * @returns {boolean}
+	 * @returns {Promise<boolean>}
 	 */
-	deleteSession(sessionToken) {
-		return this.sessionManager.deleteSession(sessionToken);
+	async deleteSession(sessionToken) {
+		const session = await this.verifySession(sessionToken);
+		const deleted = await this.sessionManager.deleteSession(sessionToken);
+		await this.recordAuditEvent({
+			type: 'session.logout',
+			publicKey: session?.publicKey || null,
+			sessionId: this.sessionManager.getSessionId(sessionToken),
+			outcome: deleted ? 'success' : 'failure'
+		});
+		return deleted;
+	}
+	
+	/**
+	 * Re-wrap all stored private keys under the current master key
+	 * Resumable with a checkpoint; see migrateWallets in core/migration.js
+	 * @param {Object} options - { dryRun, batchSize, limit, checkpoint, checkpointFile, onProgress }
+	 * @returns {Promise<Object>} Migration report
+	 */
+	async migrateWallets(options = {}) {
+		return migrateWallets(this.storage, {
+			keyProvider: this.keyProvider,
+			...options
+		});
 	}
 	
 	/**
@@ -208,17 +823,61 @@ export class ZeroConnector {
 			await this.storage.close();
 		}
 		this.sessionManager.stopCleanup();
+		if (this.workerPool) {
+			await this.workerPool.terminate();
+		}
 	}
 }
 
 // Export storage adapters
 export { JSONAdapter, PostgresAdapter, MongoAdapter };
 
-// Export session manager
+// Export session manager and stores
 export { SessionManager, defaultSessionManager };
+export { SessionStore, MemorySessionStore, AdapterSessionStore, RedisSessionStore };
+export { StatelessSessionManager };
+
+// Export crypto worker pool
+export { WorkerPool, defaultWorkerPool };
+
+// Export key providers
+export { KeyProvider, LocalKeyProvider };
+
+// Export password policy
+export { PasswordPolicy, defaultPasswordPolicy };
+
+// Export login throttling
+export { LoginThrottle };
+
+// Export audit logging
+export { AuditLog };
+
+// Export Sign-In With Solana
+export { SiwsChallenges };
+
+// Export credential migration
+export { migrateWallets, FileCheckpoint };
+
+// Export errors
+export {
+	ZeroConnectorError,
+	ValidationError,
+	AuthenticationError,
+	PermissionError,
+	NotFoundError,
+	ConflictError,
+	RateLimitError,
+	InternalError,
+	RpcError,
+	ERROR_CODES,
+	createError,
+	errorFromResult,
+	errorResult,
+	getErrorStatus
+};
 
 // Export core modules for advanced usage
-export { crypto, solana, handlers };
+export { crypto, solana, mnemonic, totp, siws, aliases, handlers };
 
 // Export individual functions
 export const {
@@ -226,6 +885,12 @@ export const {
 	verifyPassword,
 	encrypt,
 	decrypt,
+	needsRehash,
+	needsReencrypt,
+	hashPasswordAsync,
+	verifyPasswordAsync,
+	encryptAsync,
+	decryptAsync,
 	generateToken
 } = crypto;
 
@@ -235,14 +900,38 @@ export const {
 	generateKeypair,
 	validateAddress,
 	lamportsToSol,
-	solToLamports
+	solToLamports,
+	parseSolAmount,
+	getTokenBalances
 } = solana;
 
+export const {
+	generateMnemonic,
+	validateMnemonic,
+	keypairFromMnemonic,
+	getDerivationPath
+} = mnemonic;
+
 export const {
 	createWallet,
 	authenticate,
+	changePassword,
+	recoverWallet,
+	unlockSession,
+	refreshSession,
+	importWallet,
+	exportWallet,
 	getBalance,
-	refreshBalance
+	refreshBalance,
+	addAccount,
+	listAccounts,
+	labelAccount,
+	enrollTotp,
+	confirmTotp,
+	disableTotp,
+	regenerateBackupCodes,
+	createSiwsChallenge,
+	authenticateSiws
 } = handlers;
 
 // Default export
@@ -9,9 +9,11 @@ export class StorageAdapter {
 	 * @param {string} encryptedPrivateKey - Encrypted private key
 	 * @param {string} passwordHash - Hashed password
 	 * @param {string} salt - Salt used for hashing
+	 * @param {Object} aliases - { username, email }, normalized (see core/aliases.js), each optional
 	 * @returns {Promise<boolean>}
+	 * @throws {ConflictError} Code 'WALLET_EXISTS', or 'ALIAS_TAKEN' with details.field 'username' or 'email'
 	 */
-	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt) {
+	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt, aliases = {}) {
 		throw new Error('createWallet() must be implemented');
 	}
 	
@@ -24,6 +26,29 @@ export class StorageAdapter {
 		throw new Error('getWallet() must be implemented');
 	}
 	
+	/**
+	 * Get wallet by one of its aliases (uses a unique index)
+	 * @param {string} field - 'username' or 'email'
+	 * @param {string} value - Normalized alias
+	 * @returns {Promise<Object|null>}
+	 */
+	async getWalletByAlias(field, value) {
+		throw new Error('getWalletByAlias() must be implemented');
+	}
+	
+	/**
+	 * Atomically replace a wallet's encrypted private key and password credentials
+	 * @param {string} publicKey - Wallet public key
+	 * @param {string} encryptedPrivateKey - New encrypted private key
+	 * @param {string} passwordHash - New password hash
+	 * @param {string} salt - New salt
+	 * @param {string} expectedPasswordHash - Only update if the stored hash still equals this value (optional)
+	 * @returns {Promise<boolean>} True if the wallet was updated
+	 */
+	async updateCredentials(publicKey, encryptedPrivateKey, passwordHash, salt, expectedPasswordHash = null) {
+		throw new Error('updateCredentials() must be implemented');
+	}
+	
 	/**
 	 * Get password hash and salt for verification
 	 * @param {string} publicKey - Wallet public key
@@ -38,9 +63,10 @@ export class StorageAdapter {
 	 * @param {string} publicKey - Wallet public key
 	 * @param {number} solBalance - SOL balance
 	 * @param {Object} customData - Additional custom data
-	 * @returns {Promise<Object>}
+	 * @param {Array} tokens - Token balances to store in place of the previous ones (undefined keeps them)
+	 * @returns {Promise<Object>} { solBalance, customData, tokens, lastUpdated }; tokens only once stored
 	 */
-	async updateBalance(publicKey, solBalance, customData = {}) {
+	async updateBalance(publicKey, solBalance, customData = {}, tokens = undefined) {
 		throw new Error('updateBalance() must be implemented');
 	}
 	
@@ -63,6 +89,17 @@ export class StorageAdapter {
 		throw new Error('addTransaction() must be implemented');
 	}
 	
+	/**
+	 * Merge fields into a transaction record, e.g. a status change
+	 * @param {string} publicKey - Wallet public key
+	 * @param {string} signature - Signature of the recorded transaction
+	 * @param {Object} updates - Fields to set
+	 * @returns {Promise<Object|null>} Updated record with updatedAt, or null if there is none with that signature
+	 */
+	async updateTransaction(publicKey, signature, updates) {
+		throw new Error('updateTransaction() must be implemented');
+	}
+	
 	/**
 	 * Get transaction history
 	 * @param {string} publicKey - Wallet public key
@@ -75,7 +112,38 @@ export class StorageAdapter {
 	}
 	
 	/**
-	 * Delete a wallet
+	 * Register a derived account of a seed-based wallet and initialize its balance
+	 * @param {string} walletPublicKey - Public key of the wallet (account 0)
+	 * @param {Object} account - { index, publicKey, label, derivationPath }
+	 * @returns {Promise<Object>} Stored account with createdAt
+	 * @throws {ConflictError} Code 'ACCOUNT_EXISTS' if the wallet already has an account with that index
+	 */
+	async addAccount(walletPublicKey, account) {
+		throw new Error('addAccount() must be implemented');
+	}
+	
+	/**
+	 * Get the registered accounts of a wallet, ordered by index
+	 * @param {string} walletPublicKey - Public key of the wallet (account 0)
+	 * @returns {Promise<Array>}
+	 */
+	async getAccounts(walletPublicKey) {
+		throw new Error('getAccounts() must be implemented');
+	}
+	
+	/**
+	 * Set the label of a registered account
+	 * @param {string} walletPublicKey - Public key of the wallet (account 0)
+	 * @param {number} index - Account index
+	 * @param {string} label - New label
+	 * @returns {Promise<boolean>} True if the account was updated
+	 */
+	async updateAccountLabel(walletPublicKey, index, label) {
+		throw new Error('updateAccountLabel() must be implemented');
+	}
+	
+	/**
+	 * Delete a wallet together with its accounts, balances and transactions
 	 * @param {string} publicKey - Wallet public key
 	 * @returns {Promise<boolean>}
 	 */
@@ -83,6 +151,159 @@ export class StorageAdapter {
 		throw new Error('deleteWallet() must be implemented');
 	}
 	
+	/**
+	 * Set or clear a wallet's two-factor settings (stored on the wallet record as twoFactor)
+	 * @param {string} publicKey - Wallet public key
+	 * @param {Object|null} twoFactor - Two-factor settings (see core/totp.js), null to remove
+	 * @param {Object|null} expectedTwoFactor - Only update if the stored settings still equal these (optional);
+	 *   must be checked atomically with the write, so two requests cannot both spend the same code
+	 * @returns {Promise<boolean>} True if the wallet was updated
+	 */
+	async updateTwoFactor(publicKey, twoFactor, expectedTwoFactor = undefined) {
+		throw new Error('updateTwoFactor() must be implemented');
+	}
+	
+	/**
+	 * List wallets ordered by public key, for batch jobs
+	 * @param {Object} options - { after, limit }
+	 *   after: only return wallets whose public key sorts after this one (cursor)
+	 * @returns {Promise<Array>} Wallet records
+	 */
+	async listWallets({ after = null, limit = 100 } = {}) {
+		throw new Error('listWallets() must be implemented');
+	}
+	
+	/**
+	 * Iterate over all wallets in batches without loading them all at once
+	 * @param {Object} options - { after, batchSize }
+	 * @returns {AsyncGenerator<Object>} Wallet records ordered by public key
+	 */
+	async *iterateWallets({ after = null, batchSize = 100 } = {}) {
+		let cursor = after;
+		while (true) {
+			const wallets = await this.listWallets({ after: cursor, limit: batchSize });
+			for (const wallet of wallets) {
+				yield wallet;
+			}
+			
+			if (wallets.length < batchSize) {
+				return;
+			}
+			cursor = wallets[wallets.length - 1].publicKey;
+		}
+	}
+	
+	/**
+	 * Create or replace a session (used by AdapterSessionStore)
+	 * @param {string} sessionId - Session ID (hash of the session token)
+	 * @param {Object} session - Session data with publicKey and expiresAt (ms)
+	 * @returns {Promise<void>}
+	 */
+	async saveSession(sessionId, session) {
+		throw new Error('saveSession() must be implemented');
+	}
+	
+	/**
+	 * Get a session
+	 * @param {string} sessionId - Session ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getSession(sessionId) {
+		throw new Error('getSession() must be implemented');
+	}
+	
+	/**
+	 * Delete a session
+	 * @param {string} sessionId - Session ID
+	 * @returns {Promise<boolean>} True if a session was deleted
+	 */
+	async deleteSession(sessionId) {
+		throw new Error('deleteSession() must be implemented');
+	}
+	
+	/**
+	 * Get all sessions of a wallet
+	 * @param {string} publicKey - Wallet public key
+	 * @returns {Promise<Array>} Array of { sessionId, session }
+	 */
+	async getSessionsByPublicKey(publicKey) {
+		throw new Error('getSessionsByPublicKey() must be implemented');
+	}
+	
+	/**
+	 * Delete sessions that expired before a point in time
+	 * @param {number} now - Timestamp (ms)
+	 * @returns {Promise<number>} Number of sessions deleted
+	 */
+	async deleteExpiredSessions(now) {
+		throw new Error('deleteExpiredSessions() must be implemented');
+	}
+	
+	/**
+	 * Count stored sessions
+	 * @returns {Promise<number>}
+	 */
+	async getSessionCount() {
+		throw new Error('getSessionCount() must be implemented');
+	}
+	
+	/**
+	 * Get the failed login attempts recorded under a key (used by LoginThrottle)
+	 * @param {string} key - Attempt key ('publicKey:<key>' or 'ip:<address>')
+	 * @returns {Promise<Object|null>} Attempt record, or null if none or expired
+	 */
+	async getLoginAttempts(key) {
+		throw new Error('getLoginAttempts() must be implemented');
+	}
+	
+	/**
+	 * Create or replace the failed login attempts recorded under a key
+	 * @param {string} key - Attempt key
+	 * @param {Object} record - Attempt record with expiresAt (ms); may be dropped after that
+	 * @returns {Promise<void>}
+	 */
+	async saveLoginAttempts(key, record) {
+		throw new Error('saveLoginAttempts() must be implemented');
+	}
+	
+	/**
+	 * Delete the failed login attempts recorded under a key
+	 * @param {string} key - Attempt key
+	 * @returns {Promise<boolean>} True if a record was deleted
+	 */
+	async deleteLoginAttempts(key) {
+		throw new Error('deleteLoginAttempts() must be implemented');
+	}
+	
+	/**
+	 * Append an audit log entry (used by AuditLog)
+	 * @param {Object} entry - Entry with a sequence number one above the latest entry's
+	 * @returns {Promise<void>}
+	 * @throws {ConflictError} Code 'AUDIT_SEQUENCE_CONFLICT' if an entry with that sequence exists
+	 */
+	async appendAuditEvent(entry) {
+		throw new Error('appendAuditEvent() must be implemented');
+	}
+	
+	/**
+	 * Get the audit log entry with the highest sequence
+	 * @returns {Promise<Object|null>}
+	 */
+	async getLatestAuditEvent() {
+		throw new Error('getLatestAuditEvent() must be implemented');
+	}
+	
+	/**
+	 * Query audit log entries
+	 * @param {Object} filters - { type, publicKey, sessionId, ip, outcome, since, until, afterSequence, order, limit, offset }
+	 *   since/until: timestamp range (ms, inclusive); afterSequence: only entries after this sequence;
+	 *   order: 'desc' (newest first, default) or 'asc' by sequence
+	 * @returns {Promise<Array>} Entries
+	 */
+	async queryAuditEvents(filters = {}) {
+		throw new Error('queryAuditEvents() must be implemented');
+	}
+	
 	/**
 	 * Check if wallet exists
 	 * @param {string} publicKey - Wallet public key
@@ -94,3 +315,16 @@ export class StorageAdapter {
 	}
 }
 
+/**
+ * Check whether an adapter implements methods itself instead of inheriting
+ * the StorageAdapter stubs that throw
+ * @param {Object} adapter - Storage adapter instance
+ * @param {Array<string>} methods - Method names
+ * @returns {boolean}
+ */
+export function implementsMethods(adapter, methods) {
+	return methods.every(method =>
+		typeof adapter[method] === 'function' && adapter[method] !== StorageAdapter.prototype[method]
+	);
+}
+
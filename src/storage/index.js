@@ -1,4 +1,4 @@
-export { StorageAdapter } from './adapter.js';
+export { StorageAdapter, implementsMethods } from './adapter.js';
 export { JSONAdapter } from './json-adapter.js';
 export { PostgresAdapter } from './postgres-adapter.js';
 export { MongoAdapter } from './mongo-adapter.js';
@@ -1,6 +1,7 @@
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { writeFileSync, readFileSync, existsSync, mkdirSync, renameSync } from 'fs';
 import { join, dirname } from 'path';
 import { StorageAdapter } from './adapter.js';
+import { ConflictError } from '../core/errors.js';
 import { verifyPassword as cryptoVerifyPassword } from '../core/crypto.js';
 
 /**
@@ -14,7 +15,12 @@ export class JSONAdapter extends StorageAdapter {
 		this.data = {
 			wallets: {},
 			balances: {},
-			transactions: {}
+			transactions: {},
+			accounts: {},
+			sessions: {},
+			loginAttempts: {},
+			aliases: {},
+			auditLog: []
 		};
 		this.loadFromFile();
 	}
@@ -26,14 +32,14 @@ export class JSONAdapter extends StorageAdapter {
 		try {
 			if (existsSync(this.filePath)) {
 				const fileData = JSON.parse(readFileSync(this.filePath, 'utf-8'));
-				this.data = fileData;
+				this.data = { accounts: {}, sessions: {}, loginAttempts: {}, aliases: {}, auditLog: [], ...fileData };
 				console.log(`[Zero Connector] Loaded ${Object.keys(this.data.wallets).length} wallets from ${this.filePath}`);
 			} else {
 				console.log(`[Zero Connector] No existing data file found at ${this.filePath}, starting fresh`);
 			}
 		} catch (error) {
 			console.error('[Zero Connector] Error loading data file:', error);
-			this.data = { wallets: {}, balances: {}, transactions: {} };
+			this.data = { wallets: {}, balances: {}, transactions: {}, accounts: {}, sessions: {}, loginAttempts: {}, aliases: {}, auditLog: [] };
 		}
 	}
 	
@@ -53,16 +59,27 @@ export class JSONAdapter extends StorageAdapter {
 				lastUpdated: new Date().toISOString()
 			};
 			
-			writeFileSync(this.filePath, JSON.stringify(dataToSave, null, 2), 'utf-8');
+			// Write to a temporary file and rename so a crash never leaves a truncated file
+			const tempPath = `${this.filePath}.tmp`;
+			writeFileSync(tempPath, JSON.stringify(dataToSave, null, 2), 'utf-8');
+			renameSync(tempPath, this.filePath);
 		} catch (error) {
 			console.error('[Zero Connector] Error saving data file:', error);
 			throw error;
 		}
 	}
 	
-	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt) {
+	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt, aliases = {}) {
 		if (this.data.wallets[publicKey]) {
-			throw new Error('Wallet already exists');
+			throw new ConflictError('WALLET_EXISTS');
+		}
+		
+		const { username = null, email = null } = aliases;
+		if (username && this.data.aliases[`username:${username}`]) {
+			throw new ConflictError('ALIAS_TAKEN', 'Username already taken', { details: { field: 'username' } });
+		}
+		if (email && this.data.aliases[`email:${email}`]) {
+			throw new ConflictError('ALIAS_TAKEN', 'Email already taken', { details: { field: 'email' } });
 		}
 		
 		this.data.wallets[publicKey] = {
@@ -70,9 +87,19 @@ export class JSONAdapter extends StorageAdapter {
 			encryptedPrivateKey,
 			passwordHash,
 			salt,
+			username,
+			email,
 			createdAt: new Date().toISOString()
 		};
 		
+		// Alias index, e.g. 'username:alice' -> public key
+		if (username) {
+			this.data.aliases[`username:${username}`] = publicKey;
+		}
+		if (email) {
+			this.data.aliases[`email:${email}`] = publicKey;
+		}
+		
 		// Initialize balance
 		this.data.balances[publicKey] = {
 			solBalance: 0,
@@ -91,6 +118,59 @@ export class JSONAdapter extends StorageAdapter {
 		return this.data.wallets[publicKey] || null;
 	}
 	
+	async getWalletByAlias(field, value) {
+		const publicKey = this.data.aliases[`${field}:${value}`];
+		return publicKey ? this.data.wallets[publicKey] || null : null;
+	}
+	
+	async updateCredentials(publicKey, encryptedPrivateKey, passwordHash, salt, expectedPasswordHash = null) {
+		const wallet = this.data.wallets[publicKey];
+		if (!wallet) {
+			return false;
+		}
+		
+		if (expectedPasswordHash !== null && wallet.passwordHash !== expectedPasswordHash) {
+			return false;
+		}
+		
+		this.data.wallets[publicKey] = {
+			...wallet,
+			encryptedPrivateKey,
+			passwordHash,
+			salt,
+			updatedAt: new Date().toISOString()
+		};
+		
+		try {
+			this.saveToFile();
+		} catch (error) {
+			// Keep memory consistent with the file
+			this.data.wallets[publicKey] = wallet;
+			throw error;
+		}
+		return true;
+	}
+	
+	async updateTwoFactor(publicKey, twoFactor, expectedTwoFactor = undefined) {
+		const wallet = this.data.wallets[publicKey];
+		if (!wallet) {
+			return false;
+		}
+		
+		if (expectedTwoFactor !== undefined && JSON.stringify(wallet.twoFactor ?? null) !== JSON.stringify(expectedTwoFactor)) {
+			return false;
+		}
+		
+		this.data.wallets[publicKey] = { ...wallet, twoFactor };
+		try {
+			this.saveToFile();
+		} catch (error) {
+			this.data.wallets[publicKey] = wallet;
+			throw error;
+		}
+		return true;
+	}
+	
 	async getPasswordData(publicKey) {
 		const wallet = this.data.wallets[publicKey];
 		if (!wallet) {
@@ -102,12 +182,14 @@ export class JSONAdapter extends StorageAdapter {
 		};
 	}
 	
-	async updateBalance(publicKey, solBalance, customData = {}) {
+	async updateBalance(publicKey, solBalance, customData = {}, tokens = undefined) {
 		const currentBalance = this.data.balances[publicKey] || { solBalance: 0, customData: {} };
+		const tokenBalances = tokens !== undefined ? tokens : currentBalance.tokens;
 		
 		this.data.balances[publicKey] = {
 			solBalance: solBalance !== undefined ? solBalance : currentBalance.solBalance,
 			customData: { ...currentBalance.customData, ...customData },
+			...(tokenBalances !== undefined && { tokens: tokenBalances }),
 			lastUpdated: new Date().toISOString()
 		};
 		
@@ -134,19 +216,197 @@ export class JSONAdapter extends StorageAdapter {
 		return txWithTimestamp;
 	}
 	
+	async updateTransaction(publicKey, signature, updates) {
+		const transaction = (this.data.transactions[publicKey] || []).findLast(tx => tx.signature === signature);
+		if (!transaction) {
+			return null;
+		}
+		
+		Object.assign(transaction, updates, { updatedAt: new Date().toISOString() });
+		this.saveToFile();
+		return transaction;
+	}
+	
 	async getTransactions(publicKey, limit = 100, offset = 0) {
 		const transactions = this.data.transactions[publicKey] || [];
 		return transactions.slice(offset, offset + limit);
 	}
 	
+	async addAccount(walletPublicKey, account) {
+		const accounts = this.data.accounts[walletPublicKey] || [];
+		if (accounts.some(existing => existing.index === account.index)) {
+			throw new ConflictError('ACCOUNT_EXISTS');
+		}
+		
+		const storedAccount = {
+			index: account.index,
+			publicKey: account.publicKey,
+			label: account.label || null,
+			derivationPath: account.derivationPath || null,
+			createdAt: new Date().toISOString()
+		};
+		
+		this.data.accounts[walletPublicKey] = [...accounts, storedAccount].sort((a, b) => a.index - b.index);
+		
+		// Each account keeps its own balance and transaction history
+		if (!this.data.balances[account.publicKey]) {
+			this.data.balances[account.publicKey] = {
+				solBalance: 0,
+				customData: {},
+				lastUpdated: new Date().toISOString()
+			};
+		}
+		if (!this.data.transactions[account.publicKey]) {
+			this.data.transactions[account.publicKey] = [];
+		}
+		
+		this.saveToFile();
+		return storedAccount;
+	}
+	
+	async getAccounts(walletPublicKey) {
+		return this.data.accounts[walletPublicKey] || [];
+	}
+	
+	async updateAccountLabel(walletPublicKey, index, label) {
+		const account = (this.data.accounts[walletPublicKey] || []).find(existing => existing.index === index);
+		if (!account) {
+			return false;
+		}
+		
+		account.label = label;
+		this.saveToFile();
+		return true;
+	}
+	
 	async deleteWallet(publicKey) {
+		const accounts = this.data.accounts[publicKey] || [];
+		for (const account of accounts) {
+			delete this.data.balances[account.publicKey];
+			delete this.data.transactions[account.publicKey];
+		}
+		
+		const wallet = this.data.wallets[publicKey];
+		if (wallet?.username) {
+			delete this.data.aliases[`username:${wallet.username}`];
+		}
+		if (wallet?.email) {
+			delete this.data.aliases[`email:${wallet.email}`];
+		}
+		
 		delete this.data.wallets[publicKey];
 		delete this.data.balances[publicKey];
 		delete this.data.transactions[publicKey];
+		delete this.data.accounts[publicKey];
+		this.saveToFile();
+		return true;
+	}
+	
+	async listWallets({ after = null, limit = 100 } = {}) {
+		return Object.keys(this.data.wallets)
+			.sort()
+			.filter(publicKey => after === null || publicKey > after)
+			.slice(0, limit)
+			.map(publicKey => this.data.wallets[publicKey]);
+	}
+	
+	async saveSession(sessionId, session) {
+		this.data.sessions[sessionId] = session;
+		this.saveToFile();
+	}
+	
+	async getSession(sessionId) {
+		return this.data.sessions[sessionId] || null;
+	}
+	
+	async deleteSession(sessionId) {
+		if (!this.data.sessions[sessionId]) {
+			return false;
+		}
+		
+		delete this.data.sessions[sessionId];
+		this.saveToFile();
+		return true;
+	}
+	
+	async getSessionsByPublicKey(publicKey) {
+		return Object.entries(this.data.sessions)
+			.filter(([, session]) => session.publicKey === publicKey)
+			.map(([sessionId, session]) => ({ sessionId, session }));
+	}
+	
+	async deleteExpiredSessions(now) {
+		const expired = Object.keys(this.data.sessions)
+			.filter(sessionId => now > this.data.sessions[sessionId].expiresAt);
+		
+		if (expired.length > 0) {
+			expired.forEach(sessionId => delete this.data.sessions[sessionId]);
+			this.saveToFile();
+		}
+		return expired.length;
+	}
+	
+	async getSessionCount() {
+		return Object.keys(this.data.sessions).length;
+	}
+	
+	async getLoginAttempts(key) {
+		const record = this.data.loginAttempts[key];
+		return record && Date.now() <= record.expiresAt ? record : null;
+	}
+	
+	async saveLoginAttempts(key, record) {
+		// Drop expired records while we are writing anyway
+		const now = Date.now();
+		for (const [existingKey, existing] of Object.entries(this.data.loginAttempts)) {
+			if (now > existing.expiresAt) {
+				delete this.data.loginAttempts[existingKey];
+			}
+		}
+		
+		this.data.loginAttempts[key] = record;
+		this.saveToFile();
+	}
+	
+	async deleteLoginAttempts(key) {
+		if (!this.data.loginAttempts[key]) {
+			return false;
+		}
+		
+		delete this.data.loginAttempts[key];
 		this.saveToFile();
 		return true;
 	}
 	
+	async appendAuditEvent(entry) {
+		const latest = this.data.auditLog[this.data.auditLog.length - 1];
+		if (latest && latest.sequence >= entry.sequence) {
+			throw new ConflictError('AUDIT_SEQUENCE_CONFLICT');
+		}
+		
+		this.data.auditLog.push(entry);
+		this.saveToFile();
+	}
+	
+	async getLatestAuditEvent() {
+		return this.data.auditLog[this.data.auditLog.length - 1] || null;
+	}
+	
+	async queryAuditEvents(filters = {}) {
+		const { since = null, until = null, afterSequence = null, order = 'desc', limit = 100, offset = 0 } = filters;
+		const matches = this.data.auditLog.filter(entry =>
+			['type', 'publicKey', 'sessionId', 'ip', 'outcome'].every(field => !filters[field] || entry[field] === filters[field]) &&
+			(since === null || entry.timestamp >= since) &&
+			(until === null || entry.timestamp <= until) &&
+			(afterSequence === null || entry.sequence > afterSequence)
+		);
+		
+		if (order !== 'asc') {
+			matches.reverse();
+		}
+		return matches.slice(offset, offset + limit);
+	}
+	
 	/**
 	 * Get all wallets (for admin purposes)
 	 */
@@ -1,4 +1,5 @@
 import { StorageAdapter } from './adapter.js';
+import { ConflictError } from '../core/errors.js';
 
 /**
  * MongoDB Storage Adapter
@@ -44,21 +45,59 @@ export class MongoAdapter extends StorageAdapter {
 				{ unique: true }
 			);
 			
+			// Alias lookups; wallets without an alias do not conflict
+			await this.db.collection('wallets').createIndex(
+				{ username: 1 },
+				{ unique: true, partialFilterExpression: { username: { $type: 'string' } } }
+			);
+			await this.db.collection('wallets').createIndex(
+				{ email: 1 },
+				{ unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+			);
+			
 			// Balances collection indexes
 			await this.db.collection('balances').createIndex(
 				{ publicKey: 1 },
 				{ unique: true }
 			);
 			
+			// Accounts collection indexes
+			await this.db.collection('accounts').createIndex(
+				{ walletPublicKey: 1, index: 1 },
+				{ unique: true }
+			);
+			await this.db.collection('accounts').createIndex(
+				{ publicKey: 1 },
+				{ unique: true }
+			);
+			
 			// Transactions collection indexes
 			await this.db.collection('transactions').createIndex({ publicKey: 1 });
 			await this.db.collection('transactions').createIndex({ timestamp: -1 });
+			await this.db.collection('transactions').createIndex({ publicKey: 1, signature: 1 });
+			
+			// Sessions collection indexes (expired sessions are removed by the TTL index)
+			await this.db.collection('sessions').createIndex({ publicKey: 1 });
+			await this.db.collection('sessions').createIndex(
+				{ expiresAt: 1 },
+				{ expireAfterSeconds: 0 }
+			);
+			
+			// Login attempts collection indexes (removed by the TTL index once they expire)
+			await this.db.collection('login_attempts').createIndex(
+				{ expiresAt: 1 },
+				{ expireAfterSeconds: 0 }
+			);
+			
+			// Audit log collection indexes (entries are keyed by sequence)
+			await this.db.collection('audit_log').createIndex({ publicKey: 1, _id: -1 });
+			await this.db.collection('audit_log').createIndex({ timestamp: 1 });
 		} catch (error) {
 			console.error('[Zero Connector] Error creating indexes:', error);
 		}
 	}
 	
-	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt) {
+	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt, aliases = {}) {
 		try {
 			// Insert wallet
 			await this.db.collection('wallets').insertOne({
@@ -66,6 +105,8 @@ export class MongoAdapter extends StorageAdapter {
 				encryptedPrivateKey,
 				passwordHash,
 				salt,
+				username: aliases.username || null,
+				email: aliases.email || null,
 				createdAt: new Date()
 			});
 			
@@ -80,7 +121,13 @@ export class MongoAdapter extends StorageAdapter {
 			return true;
 		} catch (error) {
 			if (error.code === 11000) { // Duplicate key error
-				throw new Error('Wallet already exists');
+				if (error.keyPattern?.username) {
+					throw new ConflictError('ALIAS_TAKEN', 'Username already taken', { details: { field: 'username' } });
+				}
+				if (error.keyPattern?.email) {
+					throw new ConflictError('ALIAS_TAKEN', 'Email already taken', { details: { field: 'email' } });
+				}
+				throw new ConflictError('WALLET_EXISTS');
 			}
 			throw error;
 		}
@@ -91,6 +138,58 @@ export class MongoAdapter extends StorageAdapter {
 		return wallet || null;
 	}
 	
+	async getWalletByAlias(field, value) {
+		// Never let a caller choose an arbitrary field (or pass a query object)
+		if ((field !== 'username' && field !== 'email') || typeof value !== 'string') {
+			throw new Error(`Unknown alias field: ${field}`);
+		}
+		
+		const wallet = await this.db.collection('wallets').findOne({ [field]: value });
+		return wallet || null;
+	}
+	
+	async updateCredentials(publicKey, encryptedPrivateKey, passwordHash, salt, expectedPasswordHash = null) {
+		const filter = { publicKey };
+		if (expectedPasswordHash !== null) {
+			filter.passwordHash = expectedPasswordHash;
+		}
+		
+		const result = await this.db.collection('wallets').updateOne(
+			filter,
+			{
+				$set: {
+					encryptedPrivateKey,
+					passwordHash,
+					salt,
+					updatedAt: new Date()
+				}
+			}
+		);
+		return result.matchedCount > 0;
+	}
+	
+	async updateTwoFactor(publicKey, twoFactor, expectedTwoFactor = undefined) {
+		const filter = { publicKey };
+		if (expectedTwoFactor !== undefined) {
+			// Matches the embedded document as read by getWallet (null also matches a missing field)
+			filter.twoFactor = expectedTwoFactor;
+		}
+		
+		const result = await this.db.collection('wallets').updateOne(
+			filter,
+			{ $set: { twoFactor, updatedAt: new Date() } }
+		);
+		return result.matchedCount > 0;
+	}
+	
+	async listWallets({ after = null, limit = 100 } = {}) {
+		return this.db.collection('wallets')
+			.find(after === null ? {} : { publicKey: { $gt: after } })
+			.sort({ publicKey: 1 })
+			.limit(limit)
+			.toArray();
+	}
+	
 	async getPasswordData(publicKey) {
 		const wallet = await this.db.collection('wallets').findOne(
 			{ publicKey },
@@ -107,33 +206,33 @@ export class MongoAdapter extends StorageAdapter {
 		};
 	}
 	
-	async updateBalance(publicKey, solBalance, customData = {}) {
+	async updateBalance(publicKey, solBalance, customData = {}, tokens = undefined) {
+		// One $set for all fields; a second $set key would replace the first
+		const fields = Object.keys(customData).reduce((acc, key) => {
+			acc[`customData.${key}`] = customData[key];
+			return acc;
+		}, { solBalance, lastUpdated: new Date() });
+		if (tokens !== undefined) {
+			fields.tokens = tokens;
+		}
+		
 		const result = await this.db.collection('balances').findOneAndUpdate(
 			{ publicKey },
 			{
-				$set: {
-					solBalance,
-					lastUpdated: new Date()
-				},
-				$setOnInsert: { publicKey },
-				...Object.keys(customData).length > 0 && {
-					$set: {
-						...Object.keys(customData).reduce((acc, key) => {
-							acc[`customData.${key}`] = customData[key];
-							return acc;
-						}, {})
-					}
-				}
+				$set: fields,
+				$setOnInsert: { publicKey }
 			},
 			{
 				upsert: true,
-				returnDocument: 'after'
+				returnDocument: 'after',
+				includeResultMetadata: true
 			}
 		);
 		
 		return {
 			solBalance: result.value.solBalance,
 			customData: result.value.customData,
+			...(result.value.tokens && { tokens: result.value.tokens }),
 			lastUpdated: result.value.lastUpdated
 		};
 	}
@@ -154,6 +253,16 @@ export class MongoAdapter extends StorageAdapter {
 		return txWithTimestamp;
 	}
 	
+	async updateTransaction(publicKey, signature, updates) {
+		const result = await this.db.collection('transactions').findOneAndUpdate(
+			{ publicKey, signature },
+			{ $set: { ...updates, updatedAt: new Date() } },
+			{ returnDocument: 'after', includeResultMetadata: true }
+		);
+		
+		return result.value || null;
+	}
+	
 	async getTransactions(publicKey, limit = 100, offset = 0) {
 		const transactions = await this.db.collection('transactions')
 			.find({ publicKey })
@@ -165,13 +274,70 @@ export class MongoAdapter extends StorageAdapter {
 		return transactions;
 	}
 	
+	async addAccount(walletPublicKey, account) {
+		const storedAccount = {
+			walletPublicKey,
+			index: account.index,
+			publicKey: account.publicKey,
+			label: account.label || null,
+			derivationPath: account.derivationPath || null,
+			createdAt: new Date()
+		};
+		
+		try {
+			await this.db.collection('accounts').insertOne(storedAccount);
+		} catch (error) {
+			if (error.code === 11000) { // Duplicate key error
+				throw new ConflictError('ACCOUNT_EXISTS');
+			}
+			throw error;
+		}
+		
+		// Initialize balance (account 0 already has one from createWallet)
+		await this.db.collection('balances').updateOne(
+			{ publicKey: account.publicKey },
+			{
+				$setOnInsert: {
+					publicKey: account.publicKey,
+					solBalance: 0,
+					customData: {},
+					lastUpdated: new Date()
+				}
+			},
+			{ upsert: true }
+		);
+		
+		return storedAccount;
+	}
+	
+	async getAccounts(walletPublicKey) {
+		return this.db.collection('accounts')
+			.find({ walletPublicKey })
+			.sort({ index: 1 })
+			.toArray();
+	}
+	
+	async updateAccountLabel(walletPublicKey, index, label) {
+		const result = await this.db.collection('accounts').updateOne(
+			{ walletPublicKey, index },
+			{ $set: { label } }
+		);
+		return result.matchedCount > 0;
+	}
+	
 	async deleteWallet(publicKey) {
 		const session = this.client.startSession();
 		try {
 			await session.withTransaction(async () => {
+				const accounts = await this.db.collection('accounts')
+					.find({ walletPublicKey: publicKey }, { session })
+					.toArray();
+				const publicKeys = [publicKey, ...accounts.map(account => account.publicKey)];
+				
 				await this.db.collection('wallets').deleteOne({ publicKey }, { session });
-				await this.db.collection('balances').deleteOne({ publicKey }, { session });
-				await this.db.collection('transactions').deleteMany({ publicKey }, { session });
+				await this.db.collection('accounts').deleteMany({ walletPublicKey: publicKey }, { session });
+				await this.db.collection('balances').deleteMany({ publicKey: { $in: publicKeys } }, { session });
+				await this.db.collection('transactions').deleteMany({ publicKey: { $in: publicKeys } }, { session });
 			});
 			return true;
 		} finally {
@@ -179,6 +345,115 @@ export class MongoAdapter extends StorageAdapter {
 		}
 	}
 	
+	async saveSession(sessionId, session) {
+		await this.db.collection('sessions').replaceOne(
+			{ _id: sessionId },
+			{
+				publicKey: session.publicKey,
+				data: session,
+				expiresAt: new Date(session.expiresAt)
+			},
+			{ upsert: true }
+		);
+	}
+	
+	async getSession(sessionId) {
+		const document = await this.db.collection('sessions').findOne({ _id: sessionId });
+		return document ? document.data : null;
+	}
+	
+	async deleteSession(sessionId) {
+		const result = await this.db.collection('sessions').deleteOne({ _id: sessionId });
+		return result.deletedCount > 0;
+	}
+	
+	async getSessionsByPublicKey(publicKey) {
+		const documents = await this.db.collection('sessions').find({ publicKey }).toArray();
+		return documents.map(document => ({ sessionId: document._id, session: document.data }));
+	}
+	
+	async deleteExpiredSessions(now) {
+		const result = await this.db.collection('sessions').deleteMany({ expiresAt: { $lt: new Date(now) } });
+		return result.deletedCount;
+	}
+	
+	async getSessionCount() {
+		return this.db.collection('sessions').countDocuments();
+	}
+	
+	async getLoginAttempts(key) {
+		// The TTL monitor only runs once a minute
+		const document = await this.db.collection('login_attempts').findOne({
+			_id: key,
+			expiresAt: { $gte: new Date() }
+		});
+		return document ? document.data : null;
+	}
+	
+	async saveLoginAttempts(key, record) {
+		await this.db.collection('login_attempts').replaceOne(
+			{ _id: key },
+			{
+				data: record,
+				expiresAt: new Date(record.expiresAt)
+			},
+			{ upsert: true }
+		);
+	}
+	
+	async deleteLoginAttempts(key) {
+		const result = await this.db.collection('login_attempts').deleteOne({ _id: key });
+		return result.deletedCount > 0;
+	}
+	
+	async appendAuditEvent(entry) {
+		try {
+			// The sequence is the _id, so concurrent appends of the same sequence conflict
+			await this.db.collection('audit_log').insertOne({ _id: entry.sequence, ...entry });
+		} catch (error) {
+			if (error.code === 11000) { // Duplicate key error
+				throw new ConflictError('AUDIT_SEQUENCE_CONFLICT');
+			}
+			throw error;
+		}
+	}
+	
+	async getLatestAuditEvent() {
+		const entry = await this.db.collection('audit_log').findOne({}, { sort: { _id: -1 }, projection: { _id: 0 } });
+		return entry || null;
+	}
+	
+	async queryAuditEvents(filters = {}) {
+		const { since = null, until = null, afterSequence = null, order = 'desc', limit = 100, offset = 0 } = filters;
+		const query = {};
+		
+		// Only plain values, so a filter can never carry query operators
+		for (const field of ['type', 'publicKey', 'sessionId', 'ip', 'outcome']) {
+			if (filters[field]) {
+				query[field] = String(filters[field]);
+			}
+		}
+		if (since !== null || until !== null) {
+			query.timestamp = {};
+			if (since !== null) {
+				query.timestamp.$gte = Number(since);
+			}
+			if (until !== null) {
+				query.timestamp.$lte = Number(until);
+			}
+		}
+		if (afterSequence !== null) {
+			query._id = { $gt: Number(afterSequence) };
+		}
+		
+		return this.db.collection('audit_log')
+			.find(query, { projection: { _id: 0 } })
+			.sort({ _id: order === 'asc' ? 1 : -1 })
+			.skip(offset)
+			.limit(limit)
+			.toArray();
+	}
+	
 	/**
 	 * Close the database connection
 	 */
@@ -1,4 +1,5 @@
 import { StorageAdapter } from './adapter.js';
+import { ConflictError } from '../core/errors.js';
 
 /**
  * PostgreSQL Storage Adapter
@@ -39,15 +40,51 @@ export class PostgresAdapter extends StorageAdapter {
 				CREATE TABLE IF NOT EXISTS zero_wallets (
 					public_key VARCHAR(44) PRIMARY KEY,
 					encrypted_private_key TEXT NOT NULL,
-					password_hash VARCHAR(128) NOT NULL,
+					password_hash TEXT NOT NULL,
 					salt VARCHAR(32) NOT NULL,
-					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					updated_at TIMESTAMP
 				)
 			`);
 			
+			// Versioned password hashes no longer fit the original VARCHAR(128) column
+			await client.query(`
+				ALTER TABLE zero_wallets
+				ALTER COLUMN password_hash TYPE TEXT,
+				ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP,
+				ADD COLUMN IF NOT EXISTS two_factor JSONB,
+				ADD COLUMN IF NOT EXISTS username TEXT,
+				ADD COLUMN IF NOT EXISTS email TEXT
+			`);
+			
+			// Alias lookups; NULL aliases do not conflict
+			await client.query(`
+				CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_username 
+				ON zero_wallets(username)
+			`);
+			
+			await client.query(`
+				CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_email 
+				ON zero_wallets(email)
+			`);
+			
+			await client.query(`
+				CREATE TABLE IF NOT EXISTS zero_accounts (
+					public_key VARCHAR(44) PRIMARY KEY,
+					wallet_public_key VARCHAR(44) NOT NULL REFERENCES zero_wallets(public_key) ON DELETE CASCADE,
+					account_index INTEGER NOT NULL,
+					label TEXT,
+					derivation_path TEXT,
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					UNIQUE (wallet_public_key, account_index)
+				)
+			`);
+			
+			// Balances and transactions are keyed by account public key, which
+			// is not always a wallet key, so they are cleaned up in deleteWallet()
 			await client.query(`
 				CREATE TABLE IF NOT EXISTS zero_balances (
-					public_key VARCHAR(44) PRIMARY KEY REFERENCES zero_wallets(public_key) ON DELETE CASCADE,
+					public_key VARCHAR(44) PRIMARY KEY,
 					sol_balance DECIMAL(20, 9) DEFAULT 0,
 					custom_data JSONB DEFAULT '{}',
 					last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -57,12 +94,17 @@ export class PostgresAdapter extends StorageAdapter {
 			await client.query(`
 				CREATE TABLE IF NOT EXISTS zero_transactions (
 					id SERIAL PRIMARY KEY,
-					public_key VARCHAR(44) REFERENCES zero_wallets(public_key) ON DELETE CASCADE,
+					public_key VARCHAR(44) NOT NULL,
 					transaction_data JSONB NOT NULL,
 					timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 				)
 			`);
 			
+			// Tables created by earlier versions reference zero_wallets directly
+			await client.query('ALTER TABLE zero_balances DROP CONSTRAINT IF EXISTS zero_balances_public_key_fkey');
+			await client.query('ALTER TABLE zero_balances ADD COLUMN IF NOT EXISTS token_balances JSONB');
+			await client.query('ALTER TABLE zero_transactions DROP CONSTRAINT IF EXISTS zero_transactions_public_key_fkey');
+			
 			await client.query(`
 				CREATE INDEX IF NOT EXISTS idx_transactions_public_key 
 				ON zero_transactions(public_key)
@@ -72,21 +114,86 @@ export class PostgresAdapter extends StorageAdapter {
 				CREATE INDEX IF NOT EXISTS idx_transactions_timestamp 
 				ON zero_transactions(timestamp DESC)
 			`);
+			
+			await client.query(`
+				CREATE INDEX IF NOT EXISTS idx_transactions_signature 
+				ON zero_transactions(public_key, (transaction_data->>'signature'))
+			`);
+			
+			await client.query(`
+				CREATE TABLE IF NOT EXISTS zero_sessions (
+					session_id VARCHAR(64) PRIMARY KEY,
+					public_key VARCHAR(44) NOT NULL,
+					data JSONB NOT NULL,
+					expires_at BIGINT NOT NULL
+				)
+			`);
+			
+			await client.query(`
+				CREATE INDEX IF NOT EXISTS idx_sessions_public_key 
+				ON zero_sessions(public_key)
+			`);
+			
+			await client.query(`
+				CREATE INDEX IF NOT EXISTS idx_sessions_expires_at 
+				ON zero_sessions(expires_at)
+			`);
+			
+			await client.query(`
+				CREATE TABLE IF NOT EXISTS zero_login_attempts (
+					attempt_key VARCHAR(255) PRIMARY KEY,
+					data JSONB NOT NULL,
+					expires_at BIGINT NOT NULL
+				)
+			`);
+			
+			await client.query(`
+				CREATE INDEX IF NOT EXISTS idx_login_attempts_expires_at 
+				ON zero_login_attempts(expires_at)
+			`);
+			
+			// Append-only audit log; the primary key orders concurrent appends.
+			// public_key is TEXT because failed logins record whatever key was sent.
+			await client.query(`
+				CREATE TABLE IF NOT EXISTS zero_audit_log (
+					sequence BIGINT PRIMARY KEY,
+					type VARCHAR(64) NOT NULL,
+					public_key TEXT,
+					session_id VARCHAR(64),
+					ip TEXT,
+					user_agent TEXT,
+					outcome VARCHAR(16) NOT NULL,
+					details JSONB,
+					timestamp BIGINT NOT NULL,
+					prev_hash CHAR(64) NOT NULL,
+					hash CHAR(64) NOT NULL
+				)
+			`);
+			
+			await client.query(`
+				CREATE INDEX IF NOT EXISTS idx_audit_log_public_key 
+				ON zero_audit_log(public_key)
+			`);
+			
+			await client.query(`
+				CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp 
+				ON zero_audit_log(timestamp)
+			`);
 		} finally {
 			client.release();
 		}
 	}
 	
-	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt) {
+	async createWallet(publicKey, encryptedPrivateKey, passwordHash, salt, aliases = {}) {
 		const client = await this.pool.connect();
 		try {
 			await client.query('BEGIN');
 			
 			// Insert wallet
 			await client.query(
-				`INSERT INTO zero_wallets (public_key, encrypted_private_key, password_hash, salt) 
-				 VALUES ($1, $2, $3, $4)`,
-				[publicKey, encryptedPrivateKey, passwordHash, salt]
+				`INSERT INTO zero_wallets (public_key, encrypted_private_key, password_hash, salt, username, email) 
+				 VALUES ($1, $2, $3, $4, $5, $6)`,
+				[publicKey, encryptedPrivateKey, passwordHash, salt, aliases.username || null, aliases.email || null]
 			);
 			
 			// Initialize balance
@@ -101,7 +208,13 @@ export class PostgresAdapter extends StorageAdapter {
 		} catch (error) {
 			await client.query('ROLLBACK');
 			if (error.code === '23505') { // Unique violation
-				throw new Error('Wallet already exists');
+				if (error.constraint === 'idx_wallets_username') {
+					throw new ConflictError('ALIAS_TAKEN', 'Username already taken', { details: { field: 'username' } });
+				}
+				if (error.constraint === 'idx_wallets_email') {
+					throw new ConflictError('ALIAS_TAKEN', 'Email already taken', { details: { field: 'email' } });
+				}
+				throw new ConflictError('WALLET_EXISTS');
 			}
 			throw error;
 		} finally {
@@ -115,20 +228,81 @@ export class PostgresAdapter extends StorageAdapter {
 			[publicKey]
 		);
 		
-		if (result.rows.length === 0) {
-			return null;
+		return result.rows.length > 0 ? this.mapWallet(result.rows[0]) : null;
+	}
+	
+	async getWalletByAlias(field, value) {
+		// Column names cannot be parameters
+		if (field !== 'username' && field !== 'email') {
+			throw new Error(`Unknown alias field: ${field}`);
 		}
 		
-		const row = result.rows[0];
+		const result = await this.pool.query(
+			`SELECT * FROM zero_wallets WHERE ${field} = $1`,
+			[value]
+		);
+		return result.rows.length > 0 ? this.mapWallet(result.rows[0]) : null;
+	}
+	
+	/**
+	 * Map a zero_wallets row to a wallet object
+	 */
+	mapWallet(row) {
 		return {
 			publicKey: row.public_key,
 			encryptedPrivateKey: row.encrypted_private_key,
 			passwordHash: row.password_hash,
 			salt: row.salt,
-			createdAt: row.created_at
+			username: row.username,
+			email: row.email,
+			twoFactor: row.two_factor,
+			createdAt: row.created_at,
+			updatedAt: row.updated_at
 		};
 	}
 	
+	async updateCredentials(publicKey, encryptedPrivateKey, passwordHash, salt, expectedPasswordHash = null) {
+		const result = await this.pool.query(
+			`UPDATE zero_wallets 
+			 SET encrypted_private_key = $2,
+			     password_hash = $3,
+			     salt = $4,
+			     updated_at = CURRENT_TIMESTAMP
+			 WHERE public_key = $1
+			   AND ($5::text IS NULL OR password_hash = $5)`,
+			[publicKey, encryptedPrivateKey, passwordHash, salt, expectedPasswordHash]
+		);
+		return result.rowCount > 0;
+	}
+	
+	async listWallets({ after = null, limit = 100 } = {}) {
+		const result = await this.pool.query(
+			`SELECT * FROM zero_wallets 
+			 WHERE ($1::text IS NULL OR public_key > $1) 
+			 ORDER BY public_key 
+			 LIMIT $2`,
+			[after, limit]
+		);
+		
+		return result.rows.map(row => this.mapWallet(row));
+	}
+	
+	async updateTwoFactor(publicKey, twoFactor, expectedTwoFactor = undefined) {
+		const result = await this.pool.query(
+			`UPDATE zero_wallets 
+			 SET two_factor = $2, updated_at = CURRENT_TIMESTAMP 
+			 WHERE public_key = $1
+			   AND (NOT $3::boolean OR two_factor IS NOT DISTINCT FROM $4::jsonb)`,
+			[
+				publicKey,
+				twoFactor === null ? null : JSON.stringify(twoFactor),
+				expectedTwoFactor !== undefined,
+				expectedTwoFactor == null ? null : JSON.stringify(expectedTwoFactor)
+			]
+		);
+		return result.rowCount > 0;
+	}
+	
 	async getPasswordData(publicKey) {
 		const result = await this.pool.query(
 			'SELECT password_hash, salt FROM zero_wallets WHERE public_key = $1',
@@ -145,26 +319,23 @@ export class PostgresAdapter extends StorageAdapter {
 		};
 	}
 	
-	async updateBalance(publicKey, solBalance, customData = {}) {
+	async updateBalance(publicKey, solBalance, customData = {}, tokens = undefined) {
 		const result = await this.pool.query(
 			`UPDATE zero_balances 
 			 SET sol_balance = $2, 
 			     custom_data = custom_data || $3::jsonb,
+			     token_balances = COALESCE($4::jsonb, token_balances),
 			     last_updated = CURRENT_TIMESTAMP
 			 WHERE public_key = $1
 			 RETURNING *`,
-			[publicKey, solBalance, JSON.stringify(customData)]
+			[publicKey, solBalance, JSON.stringify(customData), tokens !== undefined ? JSON.stringify(tokens) : null]
 		);
 		
 		if (result.rows.length === 0) {
 			return null;
 		}
 		
-		return {
-			solBalance: parseFloat(result.rows[0].sol_balance),
-			customData: result.rows[0].custom_data,
-			lastUpdated: result.rows[0].last_updated
-		};
+		return this.mapBalance(result.rows[0]);
 	}
 	
 	async getBalance(publicKey) {
@@ -177,11 +348,7 @@ export class PostgresAdapter extends StorageAdapter {
 			return null;
 		}
 		
-		return {
-			solBalance: parseFloat(result.rows[0].sol_balance),
-			customData: result.rows[0].custom_data,
-			lastUpdated: result.rows[0].last_updated
-		};
+		return this.mapBalance(result.rows[0]);
 	}
 	
 	async addTransaction(publicKey, transaction) {
@@ -198,6 +365,25 @@ export class PostgresAdapter extends StorageAdapter {
 		};
 	}
 	
+	async updateTransaction(publicKey, signature, updates) {
+		const result = await this.pool.query(
+			`UPDATE zero_transactions 
+			 SET transaction_data = transaction_data || $3::jsonb 
+			 WHERE public_key = $1 AND transaction_data->>'signature' = $2 
+			 RETURNING transaction_data, timestamp`,
+			[publicKey, signature, JSON.stringify({ ...updates, updatedAt: new Date().toISOString() })]
+		);
+		
+		if (result.rows.length === 0) {
+			return null;
+		}
+		
+		return {
+			...result.rows[0].transaction_data,
+			timestamp: result.rows[0].timestamp
+		};
+	}
+	
 	async getTransactions(publicKey, limit = 100, offset = 0) {
 		const result = await this.pool.query(
 			`SELECT transaction_data, timestamp 
@@ -214,14 +400,283 @@ export class PostgresAdapter extends StorageAdapter {
 		}));
 	}
 	
+	async addAccount(walletPublicKey, account) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+			
+			const result = await client.query(
+				`INSERT INTO zero_accounts (public_key, wallet_public_key, account_index, label, derivation_path) 
+				 VALUES ($1, $2, $3, $4, $5) 
+				 RETURNING *`,
+				[account.publicKey, walletPublicKey, account.index, account.label || null, account.derivationPath || null]
+			);
+			
+			// Initialize balance (account 0 already has one from createWallet)
+			await client.query(
+				`INSERT INTO zero_balances (public_key, sol_balance, custom_data) 
+				 VALUES ($1, 0, '{}') 
+				 ON CONFLICT (public_key) DO NOTHING`,
+				[account.publicKey]
+			);
+			
+			await client.query('COMMIT');
+			return this.mapAccount(result.rows[0]);
+		} catch (error) {
+			await client.query('ROLLBACK');
+			if (error.code === '23505') { // Unique violation
+				throw new ConflictError('ACCOUNT_EXISTS');
+			}
+			throw error;
+		} finally {
+			client.release();
+		}
+	}
+	
+	async getAccounts(walletPublicKey) {
+		const result = await this.pool.query(
+			`SELECT * FROM zero_accounts 
+			 WHERE wallet_public_key = $1 
+			 ORDER BY account_index`,
+			[walletPublicKey]
+		);
+		return result.rows.map(row => this.mapAccount(row));
+	}
+	
+	async updateAccountLabel(walletPublicKey, index, label) {
+		const result = await this.pool.query(
+			`UPDATE zero_accounts 
+			 SET label = $3 
+			 WHERE wallet_public_key = $1 AND account_index = $2`,
+			[walletPublicKey, index, label]
+		);
+		return result.rowCount > 0;
+	}
+	
+	/**
+	 * Map a zero_accounts row to an account object
+	 */
+	mapAccount(row) {
+		return {
+			index: row.account_index,
+			publicKey: row.public_key,
+			label: row.label,
+			derivationPath: row.derivation_path,
+			createdAt: row.created_at
+		};
+	}
+	
 	async deleteWallet(publicKey) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+			
+			// Remove balances and transactions of the wallet and all of its accounts
+			await client.query(
+				`DELETE FROM zero_balances 
+				 WHERE public_key = $1 
+				    OR public_key IN (SELECT public_key FROM zero_accounts WHERE wallet_public_key = $1)`,
+				[publicKey]
+			);
+			await client.query(
+				`DELETE FROM zero_transactions 
+				 WHERE public_key = $1 
+				    OR public_key IN (SELECT public_key FROM zero_accounts WHERE wallet_public_key = $1)`,
+				[publicKey]
+			);
+			
+			// Accounts are removed by ON DELETE CASCADE
+			const result = await client.query(
+				'DELETE FROM zero_wallets WHERE public_key = $1',
+				[publicKey]
+			);
+			
+			await client.query('COMMIT');
+			return result.rowCount > 0;
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw error;
+		} finally {
+			client.release();
+		}
+	}
+	
+	async saveSession(sessionId, session) {
+		await this.pool.query(
+			`INSERT INTO zero_sessions (session_id, public_key, data, expires_at) 
+			 VALUES ($1, $2, $3, $4) 
+			 ON CONFLICT (session_id) DO UPDATE 
+			 SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at`,
+			[sessionId, session.publicKey, JSON.stringify(session), session.expiresAt]
+		);
+	}
+	
+	async getSession(sessionId) {
+		const result = await this.pool.query(
+			'SELECT data FROM zero_sessions WHERE session_id = $1',
+			[sessionId]
+		);
+		return result.rows.length > 0 ? result.rows[0].data : null;
+	}
+	
+	async deleteSession(sessionId) {
+		const result = await this.pool.query(
+			'DELETE FROM zero_sessions WHERE session_id = $1',
+			[sessionId]
+		);
+		return result.rowCount > 0;
+	}
+	
+	async getSessionsByPublicKey(publicKey) {
 		const result = await this.pool.query(
-			'DELETE FROM zero_wallets WHERE public_key = $1',
+			'SELECT session_id, data FROM zero_sessions WHERE public_key = $1',
 			[publicKey]
 		);
+		return result.rows.map(row => ({ sessionId: row.session_id, session: row.data }));
+	}
+	
+	async deleteExpiredSessions(now) {
+		const result = await this.pool.query(
+			'DELETE FROM zero_sessions WHERE expires_at < $1',
+			[now]
+		);
+		return result.rowCount;
+	}
+	
+	async getSessionCount() {
+		const result = await this.pool.query('SELECT COUNT(*) AS count FROM zero_sessions');
+		return parseInt(result.rows[0].count, 10);
+	}
+	
+	async getLoginAttempts(key) {
+		const result = await this.pool.query(
+			'SELECT data FROM zero_login_attempts WHERE attempt_key = $1 AND expires_at >= $2',
+			[key, Date.now()]
+		);
+		return result.rows.length > 0 ? result.rows[0].data : null;
+	}
+	
+	async saveLoginAttempts(key, record) {
+		await this.pool.query(
+			`INSERT INTO zero_login_attempts (attempt_key, data, expires_at) 
+			 VALUES ($1, $2, $3) 
+			 ON CONFLICT (attempt_key) DO UPDATE 
+			 SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at`,
+			[key, JSON.stringify(record), record.expiresAt]
+		);
+		
+		// Drop expired records while we are writing anyway
+		await this.pool.query('DELETE FROM zero_login_attempts WHERE expires_at < $1', [Date.now()]);
+	}
+	
+	async deleteLoginAttempts(key) {
+		const result = await this.pool.query(
+			'DELETE FROM zero_login_attempts WHERE attempt_key = $1',
+			[key]
+		);
 		return result.rowCount > 0;
 	}
 	
+	async appendAuditEvent(entry) {
+		try {
+			await this.pool.query(
+				`INSERT INTO zero_audit_log 
+				 (sequence, type, public_key, session_id, ip, user_agent, outcome, details, timestamp, prev_hash, hash) 
+				 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+				[
+					entry.sequence,
+					entry.type,
+					entry.publicKey,
+					entry.sessionId,
+					entry.ip,
+					entry.userAgent,
+					entry.outcome,
+					entry.details === null ? null : JSON.stringify(entry.details),
+					entry.timestamp,
+					entry.prevHash,
+					entry.hash
+				]
+			);
+		} catch (error) {
+			if (error.code === '23505') { // Unique violation
+				throw new ConflictError('AUDIT_SEQUENCE_CONFLICT');
+			}
+			throw error;
+		}
+	}
+	
+	async getLatestAuditEvent() {
+		const result = await this.pool.query('SELECT * FROM zero_audit_log ORDER BY sequence DESC LIMIT 1');
+		return result.rows.length > 0 ? this.mapAuditEvent(result.rows[0]) : null;
+	}
+	
+	async queryAuditEvents(filters = {}) {
+		const { since = null, until = null, afterSequence = null, order = 'desc', limit = 100, offset = 0 } = filters;
+		const columns = { type: 'type', publicKey: 'public_key', sessionId: 'session_id', ip: 'ip', outcome: 'outcome' };
+		const conditions = [];
+		const params = [];
+		
+		for (const [field, column] of Object.entries(columns)) {
+			if (filters[field]) {
+				params.push(filters[field]);
+				conditions.push(`${column} = $${params.length}`);
+			}
+		}
+		if (since !== null) {
+			params.push(since);
+			conditions.push(`timestamp >= $${params.length}`);
+		}
+		if (until !== null) {
+			params.push(until);
+			conditions.push(`timestamp <= $${params.length}`);
+		}
+		if (afterSequence !== null) {
+			params.push(afterSequence);
+			conditions.push(`sequence > $${params.length}`);
+		}
+		params.push(limit, offset);
+		
+		const result = await this.pool.query(
+			`SELECT * FROM zero_audit_log 
+			 ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} 
+			 ORDER BY sequence ${order === 'asc' ? 'ASC' : 'DESC'} 
+			 LIMIT $${params.length - 1} OFFSET $${params.length}`,
+			params
+		);
+		return result.rows.map(row => this.mapAuditEvent(row));
+	}
+	
+	/**
+	 * Map a zero_balances row to a balance (tokens only once token balances were stored)
+	 */
+	mapBalance(row) {
+		return {
+			solBalance: parseFloat(row.sol_balance),
+			customData: row.custom_data,
+			...(row.token_balances && { tokens: row.token_balances }),
+			lastUpdated: row.last_updated
+		};
+	}
+	
+	/**
+	 * Map a zero_audit_log row to an audit entry (BIGINT columns come back as strings)
+	 */
+	mapAuditEvent(row) {
+		return {
+			sequence: Number(row.sequence),
+			type: row.type,
+			publicKey: row.public_key,
+			sessionId: row.session_id,
+			ip: row.ip,
+			userAgent: row.user_agent,
+			outcome: row.outcome,
+			details: row.details,
+			timestamp: Number(row.timestamp),
+			prevHash: row.prev_hash,
+			hash: row.hash
+		};
+	}
+	
 	/**
 	 * Close the database connection pool
 	 */
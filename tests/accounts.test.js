@@ -0,0 +1,95 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZeroConnector, defaultSessionManager, defaultWorkerPool, keypairFromMnemonic } from '../src/index.js';
+import { parseAccountIndex } from '../src/core/mnemonic.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+const PASSWORD = 'right-password-1';
+
+describe('accounts', () => {
+	let temp;
+	let connector;
+	let wallet;
+
+	before(async () => {
+		temp = tempStorage();
+		connector = new ZeroConnector({
+			storage: temp.storage,
+			kdfParams: TEST_KDF_PARAMS,
+			workerPool: null,
+			useDefaultSessionManager: false,
+			sessionOptions: { autoCleanup: false },
+			auditLog: false,
+			loginThrottle: false
+		});
+		wallet = await connector.createWallet({ password: PASSWORD, withMnemonic: true });
+		assert.equal((await connector.addAccount({ publicKey: wallet.publicKey, password: PASSWORD })).success, true);
+	});
+
+	after(async () => {
+		await connector.close();
+		temp.cleanup();
+		// Created on import; stop them so the test process can exit
+		defaultSessionManager.stopCleanup();
+		await defaultWorkerPool.terminate();
+	});
+
+	test('labelAccount requires the wallet password', async () => {
+		const data = { publicKey: wallet.publicKey, accountIndex: 1, label: 'Savings' };
+		assert.equal((await connector.labelAccount(data)).code, 'INVALID_INPUT');
+		assert.equal((await connector.labelAccount({ ...data, password: 'wrong-password-1' })).code, 'INVALID_PASSWORD');
+
+		const result = await connector.labelAccount({ ...data, password: PASSWORD });
+		assert.equal(result.success, true);
+		const { accounts } = await connector.listAccounts(wallet.publicKey);
+		assert.equal(accounts.find(account => account.index === 1).label, 'Savings');
+	});
+
+	test('account indexes may be integer strings', async () => {
+		const label = await connector.labelAccount({ publicKey: wallet.publicKey, password: PASSWORD, accountIndex: '0', label: 'Main' });
+		assert.equal(label.success, true);
+		assert.equal(label.accountIndex, 0);
+
+		const exported = await connector.exportWallet({ publicKey: wallet.publicKey, password: PASSWORD, format: 'raw', accountIndex: '1' });
+		assert.equal(exported.success, true);
+		assert.equal(exported.privateKey, keypairFromMnemonic(wallet.mnemonic, 1).privateKey);
+
+		const signer = await connector.getSigner(wallet.publicKey, PASSWORD, '0');
+		assert.equal(signer.publicKey.toBase58(), wallet.publicKey);
+	});
+
+	test('invalid account indexes fail with INVALID_INPUT', async () => {
+		for (const accountIndex of ['', '1.5', '-1', 'one', 2 ** 31]) {
+			const data = { publicKey: wallet.publicKey, password: PASSWORD, accountIndex };
+			assert.equal((await connector.labelAccount({ ...data, label: 'x' })).code, 'INVALID_INPUT');
+			assert.equal((await connector.exportWallet({ ...data, format: 'raw' })).code, 'INVALID_INPUT');
+			await assert.rejects(connector.getSigner(wallet.publicKey, PASSWORD, accountIndex), { code: 'INVALID_INPUT' });
+		}
+	});
+
+	test('accounts above 0 of single-key wallets fail with NOT_SEED_WALLET', async () => {
+		const single = await connector.createWallet({ password: PASSWORD });
+		assert.equal((await connector.addAccount({ publicKey: single.publicKey, password: PASSWORD })).code, 'NOT_SEED_WALLET');
+
+		const exported = await connector.exportWallet({ publicKey: single.publicKey, password: PASSWORD, format: 'raw', accountIndex: 1 });
+		assert.equal(exported.code, 'NOT_SEED_WALLET');
+		await assert.rejects(connector.getSigner(single.publicKey, PASSWORD, 1), { name: 'ValidationError', code: 'NOT_SEED_WALLET' });
+
+		const { sessionToken } = await connector.authenticate({ publicKey: single.publicKey, password: PASSWORD });
+		await assert.rejects(connector.getSignerFromSession(sessionToken, 1), { name: 'ValidationError', code: 'NOT_SEED_WALLET' });
+		await assert.rejects(connector.withSessionSigner(sessionToken, () => {}, 1), { code: 'NOT_SEED_WALLET' });
+
+		// Account 0 is the wallet's own key
+		const signer = await connector.getSignerFromSession(sessionToken, 0);
+		assert.equal(signer.publicKey.toBase58(), single.publicKey);
+	});
+
+	test('parseAccountIndex accepts non-negative integers and integer strings', () => {
+		assert.equal(parseAccountIndex(0), 0);
+		assert.equal(parseAccountIndex('7'), 7);
+		assert.equal(parseAccountIndex(' 3 '), 3);
+		for (const value of [-1, 1.5, '', ' ', 'abc', null, undefined, true, [], 2 ** 31, NaN]) {
+			assert.equal(parseAccountIndex(value), null);
+		}
+	});
+});
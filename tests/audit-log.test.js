@@ -0,0 +1,67 @@
+import { test, describe, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZeroConnector, defaultSessionManager, defaultWorkerPool } from '../src/index.js';
+import { StorageAdapter } from '../src/storage/index.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+function createConnector(storage) {
+	return new ZeroConnector({
+		storage,
+		kdfParams: TEST_KDF_PARAMS,
+		workerPool: null,
+		useDefaultSessionManager: false,
+		sessionOptions: { autoCleanup: false },
+		loginThrottle: false
+	});
+}
+
+describe('audit log', () => {
+	after(async () => {
+		// Created on import; stop them so the test process can exit
+		defaultSessionManager.stopCleanup();
+		await defaultWorkerPool.terminate();
+	});
+
+	test('records failed logins with whatever public key was sent', async () => {
+		const temp = tempStorage();
+		const connector = createConnector(temp.storage);
+		try {
+			const publicKey = 'x'.repeat(500);
+			const result = await connector.authenticate({ publicKey, password: 'some-password-1' });
+			assert.equal(result.code, 'WALLET_NOT_FOUND');
+
+			const [entry] = await connector.queryAuditLog({ type: 'auth.login' });
+			assert.equal(entry.publicKey, publicKey);
+			assert.equal(entry.outcome, 'failure');
+			assert.equal((await connector.verifyAuditLog()).valid, true);
+		} finally {
+			await connector.close();
+			temp.cleanup();
+		}
+	});
+
+	test('is off with a warning for adapters without the audit event methods', async () => {
+		const temp = tempStorage();
+		// Like a custom adapter that inherits the StorageAdapter stubs
+		temp.storage.appendAuditEvent = StorageAdapter.prototype.appendAuditEvent;
+		const warn = mock.method(console, 'warn', () => {});
+		const error = mock.method(console, 'error', () => {});
+
+		const connector = createConnector(temp.storage);
+		try {
+			assert.equal(connector.auditLog, null);
+			assert.ok(warn.mock.calls.some(call => String(call.arguments[0]).includes('audit logging is off')));
+
+			const wallet = await connector.createWallet({ password: 'some-password-1' });
+			assert.equal(wallet.success, true);
+			assert.deepEqual(await connector.queryAuditLog(), []);
+			// Nothing tried to write to the adapter
+			assert.equal(error.mock.calls.length, 0);
+		} finally {
+			warn.mock.restore();
+			error.mock.restore();
+			await connector.close();
+			temp.cleanup();
+		}
+	});
+});
@@ -0,0 +1,139 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZeroConnector, generateKeypair, defaultSessionManager, defaultWorkerPool } from '../src/index.js';
+import { tempStorage } from './helpers.js';
+
+/**
+ * Login timing check for account enumeration
+ *
+ * Times failed logins against an existing wallet (wrong password) and against
+ * public keys that have no wallet, interleaved, and compares the two
+ * distributions with a two-sample Kolmogorov-Smirnov test. More samples and
+ * the production cost give a sharper check on your own hardware:
+ *
+ *   TIMING_SAMPLES=200 TIMING_KDF_N=16384 node --test tests/enumeration-timing.test.js
+ */
+const SAMPLES = Number(process.env.TIMING_SAMPLES || 40);
+const KDF_N = Number(process.env.TIMING_KDF_N || 4096);
+// Comparable distributions fail the check this rarely by chance
+const ALPHA = 0.001;
+
+const PASSWORD = 'timing-check-password';
+const WRONG_PASSWORD = 'not-the-password';
+
+/**
+ * Failed login timings for an existing and for missing wallets
+ * @param {Object} options - Connector options
+ * @param {Object} walletKdfParams - Cost the wallet is stored with (default: options.kdfParams)
+ */
+async function measure(options, walletKdfParams = options.kdfParams) {
+	const temp = tempStorage();
+	const connectorOptions = {
+		storage: temp.storage,
+		workerPool: null,
+		useDefaultSessionManager: false,
+		sessionOptions: { autoCleanup: false },
+		auditLog: false,
+		// Count failures as usual but never lock out, so every attempt does the full work
+		loginThrottle: { freeAttempts: Infinity, ipFreeAttempts: Infinity }
+	};
+
+	// Write the wallet at its own cost, as if kdfParams were raised since
+	const creator = new ZeroConnector({ ...connectorOptions, kdfParams: walletKdfParams });
+	const { publicKey } = await creator.createWallet({ password: PASSWORD });
+	const connector = new ZeroConnector({ ...connectorOptions, ...options });
+
+	try {
+		const attempt = async (target) => {
+			const start = process.hrtime.bigint();
+			const result = await connector.authenticate({ publicKey: target, password: WRONG_PASSWORD, ip: '203.0.113.7' });
+			return { ms: Number(process.hrtime.bigint() - start) / 1e6, answer: `${result.code}: ${result.error}` };
+		};
+
+		// Warm up (decoy hash, file cache, JIT)
+		for (let i = 0; i < 5; i++) {
+			await attempt(publicKey);
+			await attempt(generateKeypair().publicKey);
+		}
+
+		const existing = [];
+		const missing = [];
+		const answers = { existing: new Set(), missing: new Set() };
+		for (let i = 0; i < SAMPLES; i++) {
+			// Alternate the order so drift affects both groups alike
+			const order = i % 2 === 0 ? ['existing', 'missing'] : ['missing', 'existing'];
+			for (const group of order) {
+				const { ms, answer } = await attempt(group === 'existing' ? publicKey : generateKeypair().publicKey);
+				(group === 'existing' ? existing : missing).push(ms);
+				answers[group].add(answer);
+			}
+		}
+		return { existing, missing, answers: { existing: [...answers.existing], missing: [...answers.missing] } };
+	} finally {
+		await creator.close();
+		await connector.close();
+		temp.cleanup();
+	}
+}
+
+/**
+ * Two-sample Kolmogorov-Smirnov statistic and its critical value at ALPHA
+ */
+function ksTest(a, b) {
+	const x = [...a].sort((p, q) => p - q);
+	const y = [...b].sort((p, q) => p - q);
+	let i = 0;
+	let j = 0;
+	let d = 0;
+	while (i < x.length && j < y.length) {
+		const value = Math.min(x[i], y[j]);
+		while (i < x.length && x[i] <= value) i++;
+		while (j < y.length && y[j] <= value) j++;
+		d = Math.max(d, Math.abs(i / x.length - j / y.length));
+	}
+	const critical = Math.sqrt(-Math.log(ALPHA / 2) / 2) * Math.sqrt((x.length + y.length) / (x.length * y.length));
+	return { d, critical, comparable: d <= critical };
+}
+
+function summary(values) {
+	const sorted = [...values].sort((p, q) => p - q);
+	return `median ${sorted[Math.floor(sorted.length / 2)].toFixed(2)} ms`;
+}
+
+/**
+ * Fail unless the two timing distributions are comparable
+ */
+function assertComparable({ existing, missing }) {
+	const ks = ksTest(existing, missing);
+	assert.ok(ks.comparable,
+		`failed logins for missing wallets can be told apart by timing: KS D = ${ks.d.toFixed(3)} > ${ks.critical.toFixed(3)} ` +
+		`(wrong password ${summary(existing)}, missing wallet ${summary(missing)})`);
+}
+
+describe(`login timing (${SAMPLES} samples per group, scrypt N=${KDF_N})`, () => {
+	after(async () => {
+		// Created on import; stop them so the test process can exit
+		defaultSessionManager.stopCleanup();
+		await defaultWorkerPool.terminate();
+	});
+
+	test('the check tells missing wallets apart without preventEnumeration', async () => {
+		const { existing, missing, answers } = await measure({ kdfParams: { N: KDF_N } });
+		assert.deepEqual(answers.existing, ['INVALID_PASSWORD: Invalid password']);
+		assert.deepEqual(answers.missing, ['WALLET_NOT_FOUND: Wallet not found']);
+		assert.equal(ksTest(existing, missing).comparable, false);
+	});
+
+	test('preventEnumeration gives missing wallets the same answer and timing', async () => {
+		const timings = await measure({ kdfParams: { N: KDF_N }, preventEnumeration: true });
+		assert.deepEqual(timings.answers.existing, ['INVALID_CREDENTIALS: Invalid credentials']);
+		assert.deepEqual(timings.answers.missing, timings.answers.existing);
+		assertComparable(timings);
+	});
+
+	test('the decoy costs as much as wallets still on legacyKdfParams', async () => {
+		const legacy = { N: KDF_N };
+		const timings = await measure({ kdfParams: { N: KDF_N * 4 }, legacyKdfParams: legacy, preventEnumeration: true }, legacy);
+		assertComparable(timings);
+	});
+});
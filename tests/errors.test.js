@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { errorResult, errorFromResult, createError, RateLimitError } from '../src/core/errors.js';
+import { importWallet } from '../src/handlers/import-wallet.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+describe('error results', () => {
+	test('hide the message of unexpected errors', () => {
+		assert.deepEqual(errorResult(new Error('connection string with a password'), 'Failed to get balance'), {
+			success: false,
+			error: 'Failed to get balance',
+			code: 'INTERNAL_ERROR'
+		});
+	});
+
+	test('spread library error details as top-level fields', () => {
+		const result = errorResult(createError('LOCKED_OUT', null, { details: { retryAfter: 30 } }));
+		assert.deepEqual(result, {
+			success: false,
+			error: 'Too many failed attempts, try again later',
+			code: 'LOCKED_OUT',
+			retryAfter: 30
+		});
+
+		const error = errorFromResult(result);
+		assert.ok(error instanceof RateLimitError);
+		assert.deepEqual(error.details, { retryAfter: 30 });
+	});
+
+	test('have no details field when a key cannot be imported', async () => {
+		const temp = tempStorage();
+		try {
+			const result = await importWallet(temp.storage, { secretKey: 'not-a-key', password: 'some-password-1' }, { kdfParams: TEST_KDF_PARAMS, workerPool: null });
+			assert.equal(result.code, 'INVALID_KEY');
+			assert.match(result.error, /^Invalid key: /);
+			assert.equal('details' in result, false);
+		} finally {
+			temp.cleanup();
+		}
+	});
+});
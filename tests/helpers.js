@@ -0,0 +1,25 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JSONAdapter } from '../src/storage/index.js';
+
+/**
+ * Test helpers
+ */
+
+/**
+ * JSON storage in a fresh temporary directory
+ * @returns {Object} { storage, path, cleanup }
+ */
+export function tempStorage() {
+	const dir = mkdtempSync(join(tmpdir(), 'zc-test-'));
+	const path = join(dir, 'wallets.json');
+	return {
+		storage: new JSONAdapter(path),
+		path,
+		cleanup: () => rmSync(dir, { recursive: true, force: true })
+	};
+}
+
+// Cheap key derivation for tests that create wallets
+export const TEST_KDF_PARAMS = Object.freeze({ N: 1024 });
@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeystore, readKeystore } from '../src/core/keystore.js';
+import { generateKeypair } from '../src/core/solana.js';
+import { importWallet } from '../src/handlers/import-wallet.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+const PASSWORD = 'keystore-password-1';
+
+/**
+ * Keystore whose scrypt parameters were rewritten, as a caller could send it
+ */
+async function keystoreWithParams(params) {
+	const keystore = await createKeystore(generateKeypair().privateKey, PASSWORD, { kdfParams: TEST_KDF_PARAMS, workerPool: null });
+	return { ...keystore, crypto: keystore.crypto.replace('N=1024,r=8,p=1', params) };
+}
+
+describe('keystores', () => {
+	test('open within the configured kdfParams', async () => {
+		const secret = generateKeypair().privateKey;
+		const keystore = await createKeystore(secret, PASSWORD, { kdfParams: TEST_KDF_PARAMS, workerPool: null });
+		const read = await readKeystore(keystore, PASSWORD, { kdfParams: TEST_KDF_PARAMS, workerPool: null });
+		assert.equal(read.secret, secret);
+		assert.equal(read.publicKey, keystore.publicKey);
+	});
+
+	test('costing more than the configured kdfParams are refused before key derivation', async () => {
+		for (const params of ['N=2048,r=8,p=1', 'N=1024,r=16,p=1', 'N=1024,r=8,p=2', 'N=1073741824,r=8,p=1', 'N=1024,r=8,p=1000000']) {
+			const keystore = await keystoreWithParams(params);
+			const start = Date.now();
+			await assert.rejects(readKeystore(keystore, PASSWORD, { kdfParams: TEST_KDF_PARAMS, workerPool: null }), /exceed the configured kdfParams/);
+			assert.ok(Date.now() - start < 1000, `${params} was derived`);
+		}
+	});
+
+	test('that are too expensive fail importWallet with INVALID_KEY', async () => {
+		const temp = tempStorage();
+		try {
+			const keystore = await keystoreWithParams('N=1073741824,r=8,p=1');
+			const result = await importWallet(temp.storage, { password: PASSWORD, keystore }, { kdfParams: TEST_KDF_PARAMS, workerPool: null });
+			assert.equal(result.code, 'INVALID_KEY');
+			assert.deepEqual(await temp.storage.listWallets(), []);
+		} finally {
+			temp.cleanup();
+		}
+	});
+});
@@ -0,0 +1,111 @@
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZeroConnector, defaultSessionManager, defaultWorkerPool, RateLimitError } from '../src/index.js';
+import { StorageAdapter } from '../src/storage/index.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+const PASSWORD = 'right-password-1';
+const WRONG = 'wrong-password-1';
+
+function createConnector(storage, options = {}) {
+	return new ZeroConnector({
+		storage,
+		kdfParams: TEST_KDF_PARAMS,
+		workerPool: null,
+		useDefaultSessionManager: false,
+		sessionOptions: { autoCleanup: false },
+		auditLog: false,
+		...options
+	});
+}
+
+describe('password throttling', () => {
+	let temp;
+	let connector;
+	let wallet;
+	let sessionToken = null;
+
+	before(async () => {
+		temp = tempStorage();
+		// One free failure, then a lockout longer than the test
+		connector = createConnector(temp.storage, { loginThrottle: { freeAttempts: 1, baseDelay: 60 * 1000 } });
+		wallet = await connector.createWallet({ password: PASSWORD, withMnemonic: true });
+		assert.equal(wallet.success, true);
+	});
+
+	beforeEach(() => connector.clearLockout({ publicKey: wallet.publicKey }));
+
+	after(async () => {
+		await connector.close();
+		temp.cleanup();
+		// Created on import; stop them so the test process can exit
+		defaultSessionManager.stopCleanup();
+		await defaultWorkerPool.terminate();
+	});
+
+	const operations = {
+		exportWallet: password => connector.exportWallet({ publicKey: wallet.publicKey, password }),
+		changePassword: password => connector.changePassword({ publicKey: wallet.publicKey, oldPassword: password, newPassword: 'another-password-3' }),
+		addAccount: password => connector.addAccount({ publicKey: wallet.publicKey, password }),
+		enrollTotp: password => connector.enrollTotp({ publicKey: wallet.publicKey, password }),
+		unlockSession: async password => {
+			// Log in before the first failure; a successful login clears the count
+			sessionToken ??= (await connector.authenticate({ publicKey: wallet.publicKey, password: PASSWORD })).sessionToken;
+			return connector.unlockSession({ sessionToken, password });
+		}
+	};
+
+	for (const [name, operation] of Object.entries(operations)) {
+		test(`${name} counts wrong passwords and refuses locked out wallets`, async () => {
+			assert.equal((await operation(WRONG)).code, 'INVALID_PASSWORD');
+
+			const locked = await operation(WRONG);
+			assert.equal(locked.code, 'LOCKED_OUT');
+			assert.ok(locked.retryAfter > 0);
+
+			// Even the right password waits out the lockout
+			assert.equal((await operation(PASSWORD)).code, 'LOCKED_OUT');
+			assert.equal((await connector.authenticate({ publicKey: wallet.publicKey, password: PASSWORD })).code, 'LOCKED_OUT');
+		});
+	}
+
+	test('getSigner throws a RateLimitError once locked out', async () => {
+		await assert.rejects(connector.getSigner(wallet.publicKey, WRONG), { code: 'INVALID_PASSWORD' });
+		await assert.rejects(connector.getSigner(wallet.publicKey, WRONG), error => {
+			assert.ok(error instanceof RateLimitError);
+			assert.equal(error.code, 'LOCKED_OUT');
+			assert.ok(error.details.retryAfter > 0);
+			return true;
+		});
+		await assert.rejects(connector.getSigner(wallet.publicKey, PASSWORD), { code: 'LOCKED_OUT' });
+	});
+
+	test('failures elsewhere add up with failed logins', async () => {
+		await assert.rejects(connector.getSigner(wallet.publicKey, WRONG), { code: 'INVALID_PASSWORD' });
+		const result = await connector.authenticate({ publicKey: wallet.publicKey, password: WRONG });
+		assert.equal(result.code, 'LOCKED_OUT');
+	});
+});
+
+describe('adapters without login attempt methods', () => {
+	test('get no throttle and a warning instead of failing every login', async () => {
+		const temp = tempStorage();
+		// Like a custom adapter that inherits the StorageAdapter stubs
+		temp.storage.getLoginAttempts = StorageAdapter.prototype.getLoginAttempts;
+		const warn = mock.method(console, 'warn', () => {});
+
+		const connector = createConnector(temp.storage);
+		try {
+			assert.equal(connector.loginThrottle, null);
+			assert.ok(warn.mock.calls.some(call => String(call.arguments[0]).includes('not throttled')));
+
+			const wallet = await connector.createWallet({ password: PASSWORD });
+			assert.equal((await connector.authenticate({ publicKey: wallet.publicKey, password: WRONG })).code, 'INVALID_PASSWORD');
+			assert.equal((await connector.authenticate({ publicKey: wallet.publicKey, password: PASSWORD })).success, true);
+		} finally {
+			warn.mock.restore();
+			await connector.close();
+			temp.cleanup();
+		}
+	});
+});
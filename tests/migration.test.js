@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateWallets } from '../src/core/migration.js';
+import { LocalKeyProvider } from '../src/core/key-provider.js';
+import { generateKeypair } from '../src/core/solana.js';
+import { tempStorage } from './helpers.js';
+
+/**
+ * Checkpoint kept in memory
+ */
+function memoryCheckpoint() {
+	let saved = null;
+	return {
+		load: async () => saved,
+		save: async state => {
+			saved = structuredClone(state);
+		}
+	};
+}
+
+/**
+ * Storage holding wallets that are not wrapped under any master key yet
+ */
+async function storageWithWallets(count) {
+	const temp = tempStorage();
+	for (let i = 0; i < count; i++) {
+		await temp.storage.createWallet(generateKeypair().publicKey, `encrypted-${i}`, `hash-${i}`, `salt-${i}`);
+	}
+	return temp;
+}
+
+describe('wallet migration', () => {
+	const keyProvider = new LocalKeyProvider({ keys: { k1: LocalKeyProvider.generateKey() } });
+
+	test('is complete when the limit equals the wallets left', async () => {
+		const temp = await storageWithWallets(3);
+		try {
+			const checkpoint = memoryCheckpoint();
+			const report = await migrateWallets(temp.storage, { keyProvider, checkpoint, limit: 3, batchSize: 2 });
+			assert.equal(report.processed, 3);
+			assert.equal(report.migrated, 3);
+			assert.equal(report.completed, true);
+			assert.equal((await checkpoint.load()).completed, true);
+		} finally {
+			temp.cleanup();
+		}
+	});
+
+	test('resumes after a run stopped by the limit', async () => {
+		const temp = await storageWithWallets(3);
+		try {
+			const checkpoint = memoryCheckpoint();
+			const first = await migrateWallets(temp.storage, { keyProvider, checkpoint, limit: 2 });
+			assert.equal(first.processed, 2);
+			assert.equal(first.completed, false);
+
+			const second = await migrateWallets(temp.storage, { keyProvider, checkpoint, limit: 2 });
+			assert.equal(second.processed, 3);
+			assert.equal(second.migrated, 3);
+			assert.equal(second.completed, true);
+		} finally {
+			temp.cleanup();
+		}
+	});
+});
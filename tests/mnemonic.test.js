@@ -0,0 +1,69 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	mnemonicToSeed,
+	keypairFromMnemonic,
+	keypairFromSeed,
+	keypairFromSecret,
+	encodeSeedSecret,
+	validateMnemonic,
+	getDerivationPath
+} from '../src/core/mnemonic.js';
+
+// BIP39 test vectors (trezor/python-mnemonic) and the Solana addresses that
+// Phantom, Solflare and solana-keygen derive for them along m/44'/501'/n'/0'
+const ABANDON = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const LEGAL_WINNER = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+
+describe('BIP39 seeds', () => {
+	test('match the reference vectors with and without a passphrase', () => {
+		assert.equal(
+			mnemonicToSeed(ABANDON).toString('hex'),
+			'5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc19a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4'
+		);
+		assert.equal(
+			mnemonicToSeed(ABANDON, 'TREZOR').toString('hex'),
+			'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+		);
+	});
+
+	test('ignore case and extra whitespace in the phrase', () => {
+		assert.deepEqual(mnemonicToSeed(`  ${ABANDON.toUpperCase().replaceAll(' ', '   ')}\n`), mnemonicToSeed(ABANDON));
+	});
+
+	test('reject phrases with a bad checksum or unknown words', () => {
+		assert.equal(validateMnemonic(ABANDON), true);
+		assert.equal(validateMnemonic(ABANDON.replace(/about$/, 'abandon')), false);
+		assert.equal(validateMnemonic(ABANDON.replace(/about$/, 'solana')), false);
+		assert.equal(validateMnemonic(null), false);
+	});
+});
+
+describe('Solana key derivation', () => {
+	const vectors = [
+		[ABANDON, 0, 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk'],
+		[ABANDON, 1, 'Hh8QwFUA6MtVu1qAoq12ucvFHNwCcVTV7hpWjeY1Hztb'],
+		[ABANDON, 2, '7WktogJEd2wQ9eH2oWusmcoFTgeYi6rS632UviTBJ2jm'],
+		[LEGAL_WINNER, 0, 'BLeUXTx9thHGT7VJUtF9vHEmfMDgW1nnKZ9UVer2CoLX']
+	];
+
+	for (const [mnemonic, accountIndex, publicKey] of vectors) {
+		test(`${mnemonic.split(' ')[0]}… account ${accountIndex} is ${publicKey}`, () => {
+			const keypair = keypairFromMnemonic(mnemonic, accountIndex);
+			assert.equal(keypair.publicKey, publicKey);
+			assert.equal(keypair.derivationPath, `m/44'/501'/${accountIndex}'/0'`);
+		});
+	}
+
+	test('seed secrets derive the same accounts as the phrase', () => {
+		const secret = encodeSeedSecret(mnemonicToSeed(ABANDON));
+		assert.equal(keypairFromSecret(secret, 0).publicKey, vectors[0][2]);
+		assert.equal(keypairFromSecret(secret, 1).publicKey, vectors[1][2]);
+		assert.equal(keypairFromSeed(mnemonicToSeed(ABANDON), 2).publicKey, vectors[2][2]);
+	});
+
+	test('derivation paths follow m/44\'/501\'/n\'/0\'', () => {
+		assert.equal(getDerivationPath(), "m/44'/501'/0'/0'");
+		assert.equal(getDerivationPath(7), "m/44'/501'/7'/0'");
+	});
+});
@@ -0,0 +1,93 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZeroConnector, defaultSessionManager, defaultWorkerPool, keypairFromMnemonic } from '../src/index.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+// A valid phrase that belongs to no stored wallet
+const OTHER_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const OLD_PASSWORD = 'old-password-1';
+const NEW_PASSWORD = 'new-password-2';
+
+describe('recoverWallet', () => {
+	let temp;
+	let connector;
+	let wallet;
+
+	before(async () => {
+		temp = tempStorage();
+		connector = new ZeroConnector({
+			storage: temp.storage,
+			kdfParams: TEST_KDF_PARAMS,
+			workerPool: null,
+			useDefaultSessionManager: false,
+			sessionOptions: { autoCleanup: false },
+			auditLog: false
+		});
+		wallet = await connector.createWallet({ password: OLD_PASSWORD, withMnemonic: true });
+		assert.equal(wallet.success, true);
+	});
+
+	after(async () => {
+		await connector.close();
+		temp.cleanup();
+		// Created on import; stop them so the test process can exit
+		defaultSessionManager.stopCleanup();
+		await defaultWorkerPool.terminate();
+	});
+
+	test('rejects a phrase that derives a different wallet', async () => {
+		const result = await connector.recoverWallet({
+			mnemonic: OTHER_MNEMONIC,
+			newPassword: NEW_PASSWORD,
+			publicKey: wallet.publicKey
+		});
+		assert.equal(result.success, false);
+		assert.equal(result.code, 'MNEMONIC_MISMATCH');
+	});
+
+	test('rejects a phrase without a stored wallet', async () => {
+		const result = await connector.recoverWallet({ mnemonic: OTHER_MNEMONIC, newPassword: NEW_PASSWORD });
+		assert.equal(result.code, 'WALLET_NOT_FOUND');
+	});
+
+	test('rejects an invalid phrase', async () => {
+		const result = await connector.recoverWallet({
+			mnemonic: OTHER_MNEMONIC.replace(/about$/, 'abandon'),
+			newPassword: NEW_PASSWORD
+		});
+		assert.equal(result.code, 'INVALID_MNEMONIC');
+	});
+
+	test('failed recoveries leave the old password working', async () => {
+		const result = await connector.authenticate({ publicKey: wallet.publicKey, password: OLD_PASSWORD });
+		assert.equal(result.success, true);
+		await connector.deleteSession(result.sessionToken);
+	});
+
+	test('sets the new password, revokes sessions and keeps derived accounts', async () => {
+		const login = await connector.authenticate({ publicKey: wallet.publicKey, password: OLD_PASSWORD });
+		assert.equal(login.success, true);
+
+		// Phrases are accepted with different case and spacing
+		const result = await connector.recoverWallet({
+			mnemonic: `  ${wallet.mnemonic.toUpperCase().split(' ').join('  ')} `,
+			newPassword: NEW_PASSWORD,
+			publicKey: wallet.publicKey
+		});
+		assert.equal(result.success, true);
+		assert.equal(result.publicKey, wallet.publicKey);
+		assert.equal(result.revokedSessions, 1);
+
+		assert.equal(await connector.verifySession(login.sessionToken), null);
+
+		const oldLogin = await connector.authenticate({ publicKey: wallet.publicKey, password: OLD_PASSWORD });
+		assert.equal(oldLogin.success, false);
+		assert.equal(oldLogin.code, 'INVALID_PASSWORD');
+
+		const newLogin = await connector.authenticate({ publicKey: wallet.publicKey, password: NEW_PASSWORD });
+		assert.equal(newLogin.success, true);
+
+		const signer = await connector.getSigner(wallet.publicKey, NEW_PASSWORD, 1);
+		assert.equal(signer.publicKey.toBase58(), keypairFromMnemonic(wallet.mnemonic, 1).publicKey);
+	});
+});
@@ -0,0 +1,113 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionManager, defaultSessionManager } from '../src/core/session.js';
+import { MemorySessionStore, AdapterSessionStore, RedisSessionStore } from '../src/core/session-store.js';
+import { tempStorage } from './helpers.js';
+
+const PUBLIC_KEY = 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk';
+
+/**
+ * In-memory stand-in for an ioredis client, with just the commands RedisSessionStore sends
+ */
+function fakeRedis() {
+	const strings = new Map();
+	const sortedSets = new Map();
+	const sortedSet = key => sortedSets.get(key) || sortedSets.set(key, new Map()).get(key);
+	const byScore = key => [...sortedSet(key).entries()].sort((a, b) => a[1] - b[1]);
+
+	const commands = {
+		GET: key => strings.get(key) ?? null,
+		SET: (key, value) => {
+			strings.set(key, value);
+			return 'OK';
+		},
+		GETDEL: key => {
+			const value = strings.get(key) ?? null;
+			strings.delete(key);
+			return value;
+		},
+		DEL: key => (strings.delete(key) ? 1 : 0),
+		MGET: (...keys) => keys.map(key => strings.get(key) ?? null),
+		ZADD: (key, score, member) => sortedSet(key).set(member, Number(score)) && 1,
+		ZREM: (key, member) => (sortedSet(key).delete(member) ? 1 : 0),
+		ZRANGE: (key, start, stop, withScores) => {
+			const entries = byScore(key).slice(start, stop === -1 ? undefined : stop + 1);
+			return withScores ? entries.flat().map(String) : entries.map(([member]) => member);
+		},
+		ZREMRANGEBYSCORE: () => 0,
+		PEXPIREAT: () => 1
+	};
+
+	// Answer asynchronously, like a real connection
+	return { call: async (command, ...args) => commands[command](...args) };
+}
+
+const stores = {
+	MemorySessionStore: () => ({ store: new MemorySessionStore(), cleanup() {} }),
+	AdapterSessionStore: () => {
+		const temp = tempStorage();
+		return { store: new AdapterSessionStore(temp.storage), cleanup: temp.cleanup };
+	},
+	RedisSessionStore: () => ({ store: new RedisSessionStore(fakeRedis()), cleanup() {} })
+};
+
+// Created on import; stop it so the test process can exit
+after(() => defaultSessionManager.stopCleanup());
+
+for (const [name, createStore] of Object.entries(stores)) {
+	describe(`refresh tokens with ${name}`, () => {
+		async function login() {
+			const { store, cleanup } = createStore();
+			const manager = new SessionManager({ store, refreshTokenDuration: 60 * 1000, autoCleanup: false });
+			const sessionToken = await manager.createSession(PUBLIC_KEY);
+			const refreshToken = await manager.issueRefreshToken(sessionToken);
+			return { manager, sessionToken, refreshToken, cleanup };
+		}
+
+		test('concurrent refreshes with one token yield a single new session', async () => {
+			const { manager, refreshToken, cleanup } = await login();
+			try {
+				const results = await Promise.allSettled([
+					manager.refreshSession(refreshToken),
+					manager.refreshSession(refreshToken),
+					manager.refreshSession(refreshToken)
+				]);
+
+				const refreshed = results.filter(result => result.status === 'fulfilled' && result.value);
+				assert.equal(refreshed.length, 1);
+				assert.equal(refreshed[0].value.publicKey, PUBLIC_KEY);
+				assert.ok(await manager.verifySession(refreshed[0].value.sessionToken));
+			} finally {
+				cleanup();
+			}
+		});
+
+		test('a spent token revokes the whole family', async () => {
+			const { manager, refreshToken, cleanup } = await login();
+			try {
+				const first = await manager.refreshSession(refreshToken);
+				assert.ok(first);
+
+				await assert.rejects(manager.refreshSession(refreshToken), { code: 'REFRESH_TOKEN_REUSED' });
+				assert.equal(await manager.verifySession(first.sessionToken), null);
+				assert.equal(await manager.refreshSession(first.refreshToken), null);
+			} finally {
+				cleanup();
+			}
+		});
+
+		test('rotated tokens keep working', async () => {
+			const { manager, sessionToken, refreshToken, cleanup } = await login();
+			try {
+				const first = await manager.refreshSession(refreshToken);
+				const second = await manager.refreshSession(first.refreshToken);
+				assert.ok(second);
+				assert.equal(await manager.verifySession(sessionToken), null);
+				assert.equal(await manager.verifySession(first.sessionToken), null);
+				assert.ok(await manager.verifySession(second.sessionToken));
+			} finally {
+				cleanup();
+			}
+		});
+	});
+}
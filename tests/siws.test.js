@@ -0,0 +1,67 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'crypto';
+import bs58 from 'bs58';
+import { ZeroConnector, StatelessSessionManager, defaultSessionManager, defaultWorkerPool } from '../src/index.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+/**
+ * Externally held Ed25519 wallet that can sign SIWS messages
+ */
+function externalWallet() {
+	const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+	return {
+		publicKey: bs58.encode(Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url')),
+		sign: message => bs58.encode(sign(null, Buffer.from(message, 'utf8'), privateKey))
+	};
+}
+
+describe('Sign-In With Solana with stateless sessions', () => {
+	let temp;
+	let connector;
+
+	before(() => {
+		temp = tempStorage();
+		connector = new ZeroConnector({
+			storage: temp.storage,
+			kdfParams: TEST_KDF_PARAMS,
+			workerPool: null,
+			statelessSessions: { keys: { k1: StatelessSessionManager.generateKey() } },
+			siws: { domain: 'example.com' },
+			auditLog: false,
+			loginThrottle: false
+		});
+	});
+
+	after(async () => {
+		await connector.close();
+		temp.cleanup();
+		// Created on import; stop them so the test process can exit
+		defaultSessionManager.stopCleanup();
+		await defaultWorkerPool.terminate();
+	});
+
+	test('sessions stay non-custodial', async () => {
+		const wallet = externalWallet();
+		const { message } = await connector.createSiwsChallenge({ publicKey: wallet.publicKey });
+		const login = await connector.authenticateSiws({ message, signature: wallet.sign(message) });
+		assert.equal(login.success, true);
+
+		const session = await connector.verifySession(login.sessionToken);
+		assert.equal(session.publicKey, wallet.publicKey);
+		assert.equal(session.metadata.nonCustodial, true);
+
+		await assert.rejects(connector.getSignerFromSession(login.sessionToken), { name: 'PermissionError', code: 'NON_CUSTODIAL' });
+		const unlocked = await connector.unlockSession({ sessionToken: login.sessionToken, password: 'any-password-1' });
+		assert.equal(unlocked.code, 'NON_CUSTODIAL');
+	});
+
+	test('password sessions are not flagged', async () => {
+		const wallet = await connector.createWallet({ password: 'right-password-1' });
+		const login = await connector.authenticate({ publicKey: wallet.publicKey, password: 'right-password-1' });
+
+		const session = await connector.verifySession(login.sessionToken);
+		assert.equal(session.metadata.nonCustodial, undefined);
+		await assert.rejects(connector.getSignerFromSession(login.sessionToken), { code: 'SESSION_LOCKED' });
+	});
+});
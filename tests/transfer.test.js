@@ -0,0 +1,230 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, SendTransactionError, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { sendSol } from '../src/handlers/transfer.js';
+import { parseSolAmount } from '../src/core/solana.js';
+import { tempStorage } from './helpers.js';
+
+const LAST_VALID_BLOCK_HEIGHT = 150;
+const FAST = { retryDelay: 1, pollInterval: 1, resendInterval: 5, timeout: 100 };
+
+/**
+ * Stand-in for a web3.js Connection; tests override single methods
+ */
+function fakeConnection(overrides = {}) {
+	const connection = {
+		sent: [],
+		async getLatestBlockhash() {
+			return { blockhash: bs58.encode(Buffer.alloc(32, 7)), lastValidBlockHeight: LAST_VALID_BLOCK_HEIGHT };
+		},
+		async getBalance() {
+			return 5 * LAMPORTS_PER_SOL;
+		},
+		async getFeeForMessage() {
+			return { context: { slot: 1 }, value: 5000 };
+		},
+		async sendRawTransaction(rawTransaction, options) {
+			connection.sent.push(options);
+			return 'sent';
+		},
+		async getSignatureStatuses() {
+			return { context: { slot: 1 }, value: [{ slot: 42, confirmations: 1, err: null, confirmationStatus: 'confirmed' }] };
+		},
+		async getBlockHeight() {
+			return 100;
+		},
+		...overrides
+	};
+	return connection;
+}
+
+describe('sendSol', () => {
+	let temp;
+	let statuses;
+	const to = Keypair.generate().publicKey.toBase58();
+	const withSigner = callback => callback(Keypair.generate());
+
+	beforeEach(() => {
+		temp = tempStorage();
+		statuses = [];
+		// Record every status the handler writes, in order
+		const { addTransaction, updateTransaction } = temp.storage;
+		temp.storage.addTransaction = async (publicKey, transaction) => {
+			statuses.push(transaction.status);
+			return addTransaction.call(temp.storage, publicKey, transaction);
+		};
+		temp.storage.updateTransaction = async (publicKey, signature, updates) => {
+			statuses.push(updates.status);
+			return updateTransaction.call(temp.storage, publicKey, signature, updates);
+		};
+	});
+
+	afterEach(() => temp.cleanup());
+
+	const send = (connection, data = {}, transferOptions = {}) => sendSol(temp.storage, withSigner, { to, amount: '0.1', ...data }, {
+		connection,
+		transferOptions: { ...FAST, ...transferOptions }
+	});
+
+	test('retries a send that failed for network reasons and records pending, submitted, confirmed', async () => {
+		let attempts = 0;
+		const connection = fakeConnection({
+			async sendRawTransaction(rawTransaction, options) {
+				connection.sent.push(options);
+				if (++attempts === 1) {
+					throw new Error('fetch failed');
+				}
+				return 'sent';
+			}
+		});
+
+		const result = await send(connection);
+
+		assert.equal(result.success, true);
+		assert.equal(connection.sent.length, 2);
+		assert.deepEqual(statuses, ['pending', 'submitted', 'confirmed']);
+		assert.equal(result.transaction.status, 'confirmed');
+		assert.equal(result.transaction.slot, 42);
+		assert.equal(result.transaction.lamports, '100000000');
+
+		const [stored] = await temp.storage.getTransactions(result.publicKey);
+		assert.equal(stored.signature, result.signature);
+		assert.equal(stored.status, 'confirmed');
+		assert.equal(stored.confirmationStatus, 'confirmed');
+		assert.equal(stored.to, to);
+	});
+
+	test('does not retry a transaction that failed simulation', async () => {
+		const connection = fakeConnection({
+			async sendRawTransaction(rawTransaction, options) {
+				connection.sent.push(options);
+				throw new SendTransactionError({
+					action: 'simulate',
+					signature: '',
+					transactionMessage: 'Transaction simulation failed: Error processing Instruction 0: custom program error: 0x1',
+					logs: ['Program 11111111111111111111111111111111 failed']
+				});
+			}
+		});
+
+		const result = await send(connection);
+
+		assert.equal(result.success, false);
+		assert.equal(result.code, 'TRANSACTION_FAILED');
+		assert.equal(connection.sent.length, 1);
+		assert.deepEqual(statuses, ['pending', 'failed']);
+		assert.equal(result.transaction.status, 'failed');
+		assert.equal(result.transaction.code, 'TRANSACTION_FAILED');
+	});
+
+	test('gives up after the send retries with RPC_UNAVAILABLE', async () => {
+		const connection = fakeConnection({
+			async sendRawTransaction(rawTransaction, options) {
+				connection.sent.push(options);
+				throw new Error('fetch failed');
+			}
+		});
+
+		const result = await send(connection, {}, { sendRetries: 2 });
+
+		assert.equal(result.code, 'RPC_UNAVAILABLE');
+		assert.equal(connection.sent.length, 3);
+		assert.deepEqual(statuses, ['pending', 'failed']);
+	});
+
+	test('leaves the record submitted after a confirmation timeout', async () => {
+		const connection = fakeConnection({
+			async getSignatureStatuses() {
+				return { context: { slot: 1 }, value: [null] };
+			}
+		});
+
+		const result = await send(connection);
+
+		assert.equal(result.success, false);
+		assert.equal(result.code, 'CONFIRMATION_TIMEOUT');
+		assert.deepEqual(statuses, ['pending', 'submitted']);
+		assert.equal(result.transaction.status, 'submitted');
+		const [stored] = await temp.storage.getTransactions(result.publicKey);
+		assert.equal(stored.status, 'submitted');
+		// Re-broadcast without preflight while waiting
+		assert.ok(connection.sent.slice(1).some(options => options.skipPreflight));
+	});
+
+	test('marks the record expired once the blockhash expired', async () => {
+		const connection = fakeConnection({
+			async getSignatureStatuses() {
+				return { context: { slot: 1 }, value: [null] };
+			},
+			async getBlockHeight() {
+				return LAST_VALID_BLOCK_HEIGHT + 1;
+			}
+		});
+
+		const result = await send(connection, {}, { timeout: 5000 });
+
+		assert.equal(result.code, 'TRANSACTION_EXPIRED');
+		assert.deepEqual(statuses, ['pending', 'submitted', 'expired']);
+		const [stored] = await temp.storage.getTransactions(result.publicKey);
+		assert.equal(stored.status, 'expired');
+	});
+
+	test('marks the record failed when the transaction executed with an error', async () => {
+		const connection = fakeConnection({
+			async getSignatureStatuses() {
+				return { context: { slot: 1 }, value: [{ slot: 42, confirmations: 1, err: { InstructionError: [0, 'Custom'] }, confirmationStatus: 'confirmed' }] };
+			}
+		});
+
+		const result = await send(connection);
+
+		assert.equal(result.code, 'TRANSACTION_FAILED');
+		assert.deepEqual(statuses, ['pending', 'submitted', 'failed']);
+	});
+
+	test('rejects a transfer the balance cannot cover without sending or recording it', async () => {
+		const connection = fakeConnection({
+			async getBalance() {
+				return 0.1 * LAMPORTS_PER_SOL;
+			}
+		});
+
+		const result = await send(connection);
+
+		assert.equal(result.code, 'INSUFFICIENT_FUNDS');
+		assert.equal(connection.sent.length, 0);
+		assert.deepEqual(statuses, []);
+	});
+
+	test('validates the destination, amount and commitment before signing', async () => {
+		let signed = false;
+		const connection = fakeConnection();
+		const check = data => sendSol(temp.storage, callback => {
+			signed = true;
+			return withSigner(callback);
+		}, { to, amount: '1', ...data }, { connection });
+
+		assert.equal((await check({ to: 'not-an-address' })).code, 'INVALID_PUBLIC_KEY');
+		assert.equal((await check({ amount: '0.0000000001' })).code, 'INVALID_AMOUNT');
+		assert.equal((await check({ amount: -1 })).code, 'INVALID_AMOUNT');
+		assert.equal((await check({ commitment: 'max' })).code, 'INVALID_INPUT');
+		assert.equal((await check({ amount: undefined })).code, 'INVALID_INPUT');
+		assert.equal(signed, false);
+	});
+});
+
+describe('parseSolAmount', () => {
+	test('converts decimal amounts exactly', () => {
+		assert.equal(parseSolAmount(0.1), 100000000n);
+		assert.equal(parseSolAmount(0.3), 300000000n);
+		assert.equal(parseSolAmount(1e-7), 100n);
+		assert.equal(parseSolAmount('1.000000001'), 1000000001n);
+	});
+
+	test('rejects zero, negative, malformed and too precise amounts', () => {
+		for (const amount of [0, '0', -1, 'abc', '1e3', '0.0000000001', null]) {
+			assert.throws(() => parseSolAmount(amount), { code: 'INVALID_AMOUNT' });
+		}
+	});
+});
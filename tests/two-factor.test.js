@@ -0,0 +1,129 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZeroConnector, defaultSessionManager, defaultWorkerPool, totp, keypairFromMnemonic } from '../src/index.js';
+import { tempStorage, TEST_KDF_PARAMS } from './helpers.js';
+
+const PASSWORD = 'right-password-1';
+
+function createConnector(storage, loginThrottle = false) {
+	return new ZeroConnector({
+		storage,
+		kdfParams: TEST_KDF_PARAMS,
+		workerPool: null,
+		useDefaultSessionManager: false,
+		sessionOptions: { autoCleanup: false },
+		auditLog: false,
+		loginThrottle
+	});
+}
+
+/**
+ * Create a seed wallet with 2FA enabled
+ * Codes are single use and the current TOTP step is spent, so the tests use backup codes
+ * @returns {Promise<Object>} { wallet, secret, backupCodes }
+ */
+async function createTwoFactorWallet(connector) {
+	const wallet = await connector.createWallet({ password: PASSWORD, withMnemonic: true });
+	const { secret } = await connector.enrollTotp({ publicKey: wallet.publicKey, password: PASSWORD });
+	const confirmed = await connector.confirmTotp({ publicKey: wallet.publicKey, password: PASSWORD, otp: totp.generateTotp(secret) });
+	assert.equal(confirmed.success, true);
+	return { wallet, secret, backupCodes: [...confirmed.backupCodes] };
+}
+
+// Created on import; stop them so the test process can exit
+after(async () => {
+	defaultSessionManager.stopCleanup();
+	await defaultWorkerPool.terminate();
+});
+
+describe('two-factor wallets', () => {
+	let temp;
+	let connector;
+	let wallet;
+	let secret;
+	let backupCodes;
+
+	before(async () => {
+		temp = tempStorage();
+		connector = createConnector(temp.storage);
+		({ wallet, secret, backupCodes } = await createTwoFactorWallet(connector));
+	});
+
+	after(async () => {
+		await connector.close();
+		temp.cleanup();
+	});
+
+	test('getSigner requires a valid second factor', async () => {
+		await assert.rejects(connector.getSigner(wallet.publicKey, PASSWORD), { code: 'OTP_REQUIRED' });
+		await assert.rejects(connector.getSigner(wallet.publicKey, PASSWORD, 0, '000000'), { code: 'INVALID_OTP' });
+
+		const signer = await connector.getSigner(wallet.publicKey, PASSWORD, 1, backupCodes.pop());
+		assert.equal(signer.publicKey.toBase58(), keypairFromMnemonic(wallet.mnemonic, 1).publicKey);
+	});
+
+	test('unlockSession requires a valid second factor', async () => {
+		const login = await connector.authenticate({ publicKey: wallet.publicKey, password: PASSWORD, otp: backupCodes.pop() });
+		assert.equal(login.success, true);
+		await connector.lockSession(login.sessionToken);
+
+		const data = { sessionToken: login.sessionToken, password: PASSWORD };
+		assert.equal((await connector.unlockSession(data)).code, 'OTP_REQUIRED');
+		assert.equal((await connector.unlockSession({ ...data, otp: '000000' })).code, 'INVALID_OTP');
+		assert.equal((await connector.unlockSession({ ...data, otp: backupCodes.pop() })).success, true);
+	});
+
+	test('exportWallet requires a valid second factor', async () => {
+		const data = { publicKey: wallet.publicKey, password: PASSWORD, format: 'raw' };
+		assert.equal((await connector.exportWallet(data)).code, 'OTP_REQUIRED');
+		assert.equal((await connector.exportWallet({ ...data, otp: '000000' })).code, 'INVALID_OTP');
+		assert.equal((await connector.exportWallet({ ...data, otp: backupCodes.pop() })).success, true);
+	});
+
+	test('a backup code works only once', async () => {
+		const code = backupCodes.pop();
+		await connector.getSigner(wallet.publicKey, PASSWORD, 0, code);
+		await assert.rejects(connector.getSigner(wallet.publicKey, PASSWORD, 0, code), { code: 'INVALID_OTP' });
+	});
+
+	test('concurrent requests cannot both spend one code', async () => {
+		const data = { publicKey: wallet.publicKey, password: PASSWORD, format: 'raw' };
+		// The current step was spent by confirmTotp; the next one is still accepted
+		const nextCode = totp.generateTotp(secret, Math.floor(Date.now() / 1000 / totp.TOTP_STEP) + 1);
+
+		for (const otp of [backupCodes.pop(), nextCode]) {
+			const results = await Promise.all([
+				connector.exportWallet({ ...data, otp }),
+				connector.exportWallet({ ...data, otp }),
+				connector.exportWallet({ ...data, otp })
+			]);
+			assert.deepEqual(results.map(result => result.code ?? 'OK').sort(), ['INVALID_OTP', 'INVALID_OTP', 'OK']);
+		}
+	});
+});
+
+describe('two-factor throttling', () => {
+	test('guessing codes with the right password locks the wallet out', async () => {
+		const temp = tempStorage();
+		// Three free failures, then a lockout longer than the test
+		const connector = createConnector(temp.storage, { freeAttempts: 3, baseDelay: 60 * 1000 });
+		try {
+			const { wallet, backupCodes } = await createTwoFactorWallet(connector);
+			const data = { publicKey: wallet.publicKey, password: PASSWORD, format: 'raw' };
+
+			for (let i = 0; i < 3; i++) {
+				assert.equal((await connector.exportWallet({ ...data, otp: '000000' })).code, 'INVALID_OTP');
+			}
+			const locked = await connector.exportWallet({ ...data, otp: '000000' });
+			assert.equal(locked.code, 'LOCKED_OUT');
+			assert.ok(locked.retryAfter > 0);
+
+			// A valid code waits out the lockout too, on every path
+			assert.equal((await connector.exportWallet({ ...data, otp: backupCodes[0] })).code, 'LOCKED_OUT');
+			await assert.rejects(connector.getSigner(wallet.publicKey, PASSWORD, 0, backupCodes[0]), { code: 'LOCKED_OUT' });
+		} finally {
+			await connector.close();
+			temp.cleanup();
+		}
+	});
+});